@@ -0,0 +1,1027 @@
+/**
+ * Computation Core for Parallel Axes Visualizer
+ * Axis scales, sampling, Y range fitting, discontinuity detection, slope normalization, equation solving,
+ * feature points and line-point duality without the DOM.
+ * Used by main.js in the browser and by Node scripts (see scripts/sample.js).
+ */
+
+const AxesCore = (function () {
+    const isNode = typeof window === 'undefined';
+
+    // In the browser these are globals from functions.js and expression-parser.js;
+    // in Node they are required on first use so built-in functions work without math.js
+    function getMathFunctions() {
+        return isNode ? require('./functions.js').MathFunctions : window.MathFunctions;
+    }
+
+    function getExpressionParser() {
+        if (!isNode) return window.ExpressionParser;
+        try {
+            return require('./expression-parser.js');
+        } catch (e) {
+            throw new Error('Expressions need the mathjs package in Node (npm install mathjs): ' + e.message.split('\n')[0]);
+        }
+    }
+
+    /**
+     * Turn a function spec into an evaluator
+     * @param {Object} spec - One of:
+     *   { function: 'quadraticFull', params: { a: -0.5 } } - built-in, missing params take their defaults
+     *   { expression: 'x * sin(x)' } - parsed with ExpressionParser
+     *   { expression: 'a * sin(b * x)', params: { a: 2, b: 0.5 } } - free parameters need a value each
+     *   { evaluate: (x) => y } - any JavaScript function
+     * @returns {Object} - { evaluate: (x) => y, params }
+     */
+    function resolveFunction(spec) {
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Function spec must be an object');
+        }
+
+        if (typeof spec.evaluate === 'function') {
+            return { evaluate: spec.evaluate, params: {} };
+        }
+
+        if (typeof spec.expression === 'string') {
+            const parser = getExpressionParser();
+            const parsed = parser.parse(parser.normalize(spec.expression), { parameters: true });
+            if (!parsed.valid) {
+                throw new Error(`Invalid expression "${spec.expression}": ${parsed.error}`);
+            }
+            const params = {};
+            for (const key of parsed.parameters) {
+                const value = spec.params ? spec.params[key] : undefined;
+                if (typeof value !== 'number' || !isFinite(value)) {
+                    throw new Error(`Parameter "${key}" of "${spec.expression}" must be a finite number`);
+                }
+                params[key] = value;
+            }
+            for (const key of Object.keys(spec.params || {})) {
+                if (!(key in params)) {
+                    throw new Error(`"${spec.expression}" has no parameter "${key}"`);
+                }
+            }
+            return { evaluate: x => parsed.evaluate(x, params), params };
+        }
+
+        const functions = getMathFunctions();
+        const func = functions[spec.function];
+        if (!func || spec.function === 'custom') {
+            throw new Error(`Unknown function "${spec.function}". Known: ${Object.keys(functions).filter(k => k !== 'custom').join(', ')}`);
+        }
+
+        const params = {};
+        for (const [key, config] of Object.entries(func.params || {})) {
+            const value = spec.params && key in spec.params ? spec.params[key] : config.default;
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Parameter "${key}" of "${spec.function}" must be a finite number`);
+            }
+            params[key] = value;
+        }
+        for (const key of Object.keys(spec.params || {})) {
+            if (!(key in params)) {
+                throw new Error(`"${spec.function}" has no parameter "${key}"`);
+            }
+        }
+
+        return { evaluate: (x) => func.evaluate(x, params), params };
+    }
+
+    // ===== Axis Scales =====
+    //
+    // An axis maps its values to a 0..1 fraction of its length. 'linear' is proportional,
+    // 'log' is proportional to log10 and only holds positive values, 'symlog' is linear
+    // within SYMLOG_THRESHOLD of zero and logarithmic beyond, so it can cross zero.
+
+    const SCALES = ['linear', 'log', 'symlog'];
+    const SYMLOG_THRESHOLD = 1;
+
+    /**
+     * A value in the transformed space of a scale, where the axis is linear
+     * @param {number} value - Axis value
+     * @param {string} scale - 'linear', 'log' or 'symlog'
+     * @returns {number} - For 'log', -Infinity at or below zero: off the low end of the axis
+     */
+    function scaleForward(value, scale) {
+        if (scale === 'log') return value > 0 ? Math.log10(value) : -Infinity;
+        if (scale === 'symlog') return Math.sign(value) * Math.log10(1 + Math.abs(value) / SYMLOG_THRESHOLD);
+        return value;
+    }
+
+    // Inverse of scaleForward
+    function scaleInverse(u, scale) {
+        if (scale === 'log') return Math.pow(10, u);
+        if (scale === 'symlog') return Math.sign(u) * SYMLOG_THRESHOLD * (Math.pow(10, Math.abs(u)) - 1);
+        return u;
+    }
+
+    /**
+     * Position of a value along an axis
+     * @param {number} value - Axis value
+     * @param {number} min - Axis minimum (above 0 for 'log')
+     * @param {number} max - Axis maximum
+     * @param {string} scale - 'linear', 'log' or 'symlog'
+     * @returns {number} - 0 at min, 1 at max; -Infinity for a non-positive value on a log axis
+     */
+    function scaleFraction(value, min, max, scale = 'linear') {
+        const lo = scaleForward(min, scale);
+        return (scaleForward(value, scale) - lo) / (scaleForward(max, scale) - lo);
+    }
+
+    // Inverse of scaleFraction
+    function scaleValue(fraction, min, max, scale = 'linear') {
+        const lo = scaleForward(min, scale);
+        return scaleInverse(lo + fraction * (scaleForward(max, scale) - lo), scale);
+    }
+
+    /**
+     * Tick values for an axis. Linear axes keep count + 1 evenly spaced ticks; log and symlog
+     * axes tick at powers of ten (with 2 and 5 in between over short spans) plus both ends.
+     * @param {number} min - Axis minimum
+     * @param {number} max - Axis maximum
+     * @param {string} scale - 'linear', 'log' or 'symlog'
+     * @param {number} count - Number of intervals for a linear axis
+     * @returns {Array} - Ascending tick values
+     */
+    function scaleTicks(min, max, scale = 'linear', count = 5) {
+        const even = [];
+        for (let i = 0; i <= count; i++) even.push(min + (i / count) * (max - min));
+        if (scale === 'linear') return even;
+
+        // Candidates ±m·10^k over every decade the axis touches
+        const magnitudes = [Math.abs(min), Math.abs(max)].filter(v => v > 0);
+        const floor = scale === 'log' ? min : SYMLOG_THRESHOLD;
+        const low = Math.floor(Math.log10(Math.min(floor, ...magnitudes)));
+        const high = Math.ceil(Math.log10(Math.max(floor, ...magnitudes)));
+        const mantissas = high - low <= 2 ? [1, 2, 5] : [1];
+
+        const candidates = [];
+        if (scale === 'symlog') candidates.push(0);
+        for (let k = low; k <= high; k++) {
+            for (const m of mantissas) {
+                const value = parseFloat((m * Math.pow(10, k)).toPrecision(12));
+                candidates.push(value);
+                if (scale === 'symlog') candidates.push(-value);
+            }
+        }
+
+        // Keep ticks clear of the ends, which are always labelled
+        const inner = candidates
+            .filter(v => {
+                const t = scaleFraction(v, min, max, scale);
+                return t > 0.06 && t < 0.94;
+            })
+            .sort((a, b) => a - b);
+
+        // Thin out dense decades to at most about 2·count ticks
+        const stride = Math.ceil(inner.length / (2 * count));
+        return [min, ...inner.filter((_, i) => i % stride === 0), max];
+    }
+
+    /**
+     * Positions spread evenly along an axis, so a log axis gets as many samples per decade
+     * @returns {Array} - count values from min to max, hitting both ends exactly
+     */
+    function scalePositions(min, max, count, scale = 'linear') {
+        const lo = scaleForward(min, scale);
+        const hi = scaleForward(max, scale);
+        const step = (hi - lo) / (count - 1);
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            positions.push(i === 0 ? min : i === count - 1 ? max : scaleInverse(lo + i * step, scale));
+        }
+        return positions;
+    }
+
+    /**
+     * Sample a function at evenly spaced positions of the X axis
+     * @param {Function} evaluate - (x) => y
+     * @param {number} xMin - Domain start
+     * @param {number} xMax - Domain end
+     * @param {number} numSamples - Number of samples
+     * @param {string} xScale - Scale of the X axis; samples are even in its transformed space
+     * @returns {Object} - { points: [{x, y, index}], yMin, yMax, positiveYMin } with the actual
+     *                     value range and the smallest positive value (Infinity if none)
+     */
+    function sampleSeries(evaluate, xMin, xMax, numSamples, xScale = 'linear') {
+        const positions = scalePositions(xMin, xMax, numSamples, xScale);
+        const points = [];
+        let yMin = Infinity;
+        let yMax = -Infinity;
+        let positiveYMin = Infinity;
+
+        positions.forEach((x, i) => {
+            const y = evaluate(x);
+
+            if (!isNaN(y) && isFinite(y)) {
+                points.push({ x, y, index: i });
+                yMin = Math.min(yMin, y);
+                yMax = Math.max(yMax, y);
+                if (y > 0) positiveYMin = Math.min(positiveYMin, y);
+            }
+        });
+
+        return { points, yMin, yMax, positiveYMin };
+    }
+
+    /**
+     * Resolve the displayed Y range from the actual value range and the squash setting
+     * @param {number} actualYMin - Smallest sampled value
+     * @param {number} actualYMax - Largest sampled value
+     * @param {Object} options - { xMin, xMax, ySquash: 0 standard | 1 min/max | 2 symmetric,
+     *                           yScale = 'linear', positiveYMin: smallest positive sampled value }
+     * @returns {Object} - { yMin, yMax }; above 0 for a log Y scale
+     */
+    function fitYRange(actualYMin, actualYMax, { xMin, xMax, ySquash, yScale = 'linear', positiveYMin = Infinity }) {
+        const range = fitLinearYRange(actualYMin, actualYMax, { xMin, xMax, ySquash });
+        if (yScale !== 'log') return range;
+
+        // A log axis cannot reach zero: keep the positive part of the fit, or make one up
+        const yMax = range.yMax > 0 ? range.yMax : (actualYMax > 0 ? actualYMax : 10);
+        let yMin = range.yMin > 0 ? range.yMin : (positiveYMin < yMax ? positiveYMin : yMax / 1000);
+        if (yMin >= yMax) yMin = yMax / 10;
+        return { yMin, yMax };
+    }
+
+    function fitLinearYRange(actualYMin, actualYMax, { xMin, xMax, ySquash }) {
+        // No finite values at all - fall back to the X range
+        if (!isFinite(actualYMin) || !isFinite(actualYMax)) {
+            return { yMin: xMin, yMax: xMax };
+        }
+
+        if (ySquash === 1) {
+            // MODE 1: FIT ALL (Min/Max)
+            // Use actual min/max of function values so everything fits
+            return { yMin: actualYMin, yMax: actualYMax };
+        } else if (ySquash === 2) {
+            // MODE 2: SYMMETRIC FIT
+            // Balanced around 0, good for seeing magnitude relative to 0
+            const maxAbsY = Math.max(Math.abs(actualYMin), Math.abs(actualYMax));
+            if (maxAbsY === 0) {
+                return { yMin: -1, yMax: 1 };
+            }
+            return { yMin: -maxAbsY, yMax: maxAbsY };
+        }
+
+        // MODE 0: STANDARD (1:1 with X)
+        // Matches input X range
+        return { yMin: xMin, yMax: xMax };
+    }
+
+    /**
+     * Flag out-of-range points, mark discontinuities and normalize slopes
+     * @param {Array} rawPoints - Points from sampleSeries
+     * @param {number} yMin - Displayed Y range minimum
+     * @param {number} yMax - Displayed Y range maximum
+     * @param {Array} breaks - From analyzeFunction; a point is flagged isDiscontinuous
+     *                         when a break lies between it and the next point
+     * @returns {Array} - Data points ready for drawing
+     */
+    function finalizeSeries(rawPoints, yMin, yMax, breaks = []) {
+        // Determine if points are out of range with the new Y limits
+        const points = rawPoints.map(point => ({
+            ...point,
+            outOfRange: point.y < yMin || point.y > yMax
+        }));
+
+        // Calculate mathematical slopes AND mark discontinuities
+        // We calculate |dy/dx| and normalize it
+        let minSlope = Infinity;
+        let maxSlope = 0;
+
+        for (let i = 0; i < points.length; i++) {
+            let slope = 0;
+            const p = points[i];
+
+            if (i < points.length - 1) {
+                const next = points[i + 1];
+                if (breaks.some(b => breakBetween(b, p.x, next.x))) {
+                    p.isDiscontinuous = true;
+                }
+            }
+
+            // Use central difference where possible
+            if (i > 0 && i < points.length - 1) {
+                const prev = points[i - 1];
+                const next = points[i + 1];
+                slope = Math.abs((next.y - prev.y) / (next.x - prev.x));
+            } else if (i === 0 && points.length > 1) {
+                const next = points[i + 1];
+                slope = Math.abs((next.y - p.y) / (next.x - p.x));
+            } else if (i === points.length - 1 && points.length > 1) {
+                const prev = points[i - 1];
+                slope = Math.abs((p.y - prev.y) / (p.x - prev.x));
+            }
+
+            p.slope = slope;
+            minSlope = Math.min(minSlope, slope);
+            maxSlope = Math.max(maxSlope, slope);
+        }
+
+        // Normalize slopes (0 to 1)
+        const slopeRange = maxSlope - minSlope;
+        for (const point of points) {
+            point.normalizedSlope = slopeRange === 0 ? 0 : (point.slope - minSlope) / slopeRange;
+        }
+
+        return points;
+    }
+
+    // Whether a break lies within [x1, x2]
+    function breakBetween(brk, x1, x2) {
+        if (brk.type === 'gap') {
+            return brk.from < x2 && brk.to > x1;
+        }
+        return brk.x >= x1 && brk.x <= x2;
+    }
+
+    // ===== Adaptive Sampling and Break Detection =====
+
+    // Values this many times the typical Y scale, right next to a break, mean the function blows up there
+    const POLE_RATIO = 1e6;
+
+    /**
+     * Typical spread of the function values, robust to the huge values near poles
+     * @param {Array} values - Sampled y values (finite ones are used)
+     * @param {number} fallback - Used when there are no finite values
+     * @returns {number} - A positive scale
+     */
+    function valueScale(values, fallback) {
+        const finite = values.filter(isFinite).sort((a, b) => a - b);
+        if (finite.length === 0) return fallback;
+
+        const lo = finite[Math.floor(finite.length * 0.1)];
+        const hi = finite[Math.floor((finite.length - 1) * 0.9)];
+        const median = finite[Math.floor(finite.length / 2)];
+        return (hi - lo) || Math.abs(median) || fallback;
+    }
+
+    /**
+     * Sample adaptively: start from a grid of { x, y } and bisect intervals whose midpoint
+     * strays from the straight line through their ends, or that straddle an undefined value
+     * @returns {Object} - { samples: [{x, y}], unresolved: Set of i where (samples[i], samples[i+1])
+     *                      still is not smooth at the finest level }
+     */
+    function refine(f, grid, scale, { maxDepth, tolerance, maxPoints }) {
+        const samples = [{ x: grid[0].x, y: grid[0].y }];
+        const unresolved = new Set();
+
+        const subdivide = (a, fa, b, fb, depth) => {
+            const m = (a + b) / 2;
+            const fm = f(m);
+            const defined = [fa, fm, fb].filter(isFinite).length;
+
+            let smooth;
+            if (defined === 0) {
+                smooth = true; // Inside a domain gap
+            } else if (defined === 3) {
+                smooth = Math.abs(fm - (fa + fb) / 2) <= tolerance * scale;
+            } else {
+                smooth = false; // Straddles the edge of the domain
+            }
+
+            if (smooth) {
+                samples.push({ x: m, y: fm }, { x: b, y: fb });
+            } else if (depth >= maxDepth || samples.length >= maxPoints) {
+                unresolved.add(samples.length - 1);
+                samples.push({ x: b, y: fb });
+            } else {
+                subdivide(a, fa, m, fm, depth + 1);
+                subdivide(m, fm, b, fb, depth + 1);
+            }
+        };
+
+        for (let i = 1; i < grid.length; i++) {
+            subdivide(grid[i - 1].x, grid[i - 1].y, grid[i].x, grid[i].y, 0);
+        }
+
+        return { samples, unresolved };
+    }
+
+    /**
+     * Narrow an interval with finite ends down to where the function changes the most
+     * @returns {Object} - { type: 'none' | 'jump' | 'pole' | 'undefined', lo, hi, ylo, yhi, x }
+     */
+    function classifyInterval(f, a, fa, b, fb, scale) {
+        let lo = a;
+        let hi = b;
+        let ylo = fa;
+        let yhi = fb;
+
+        for (let k = 0; k < 80 && hi - lo > 1e-13 * Math.max(1, Math.abs(lo)); k++) {
+            const mid = (lo + hi) / 2;
+            const ym = f(mid);
+            if (!isFinite(ym)) {
+                return { type: 'undefined', x: mid, lo, hi, ylo, yhi };
+            }
+            if (Math.abs(ym - ylo) >= Math.abs(yhi - ym)) {
+                hi = mid;
+                yhi = ym;
+            } else {
+                lo = mid;
+                ylo = ym;
+            }
+        }
+
+        // A continuous function's change shrinks along with the interval; a break's does not.
+        // Breaks often sit at round numbers (floor at 2, not 2.0000000000000284), so prefer one
+        const mid = (lo + hi) / 2;
+        const rounded = parseFloat(mid.toPrecision(12));
+        const x = rounded >= lo && rounded <= hi ? rounded : mid;
+        if (Math.abs(yhi - ylo) <= 1e-6 * Math.abs(fb - fa) || Math.abs(yhi - ylo) <= 1e-6 * scale) {
+            return { type: 'none', x, lo, hi, ylo, yhi };
+        }
+        if (Math.max(Math.abs(ylo), Math.abs(yhi)) > POLE_RATIO * scale) {
+            return { type: 'pole', x, lo, hi, ylo, yhi };
+        }
+        return { type: 'jump', x, lo, hi, ylo, yhi };
+    }
+
+    /**
+     * Bisect between a defined and an undefined point to find the edge of the domain
+     * @returns {Object} - { x, y } the last defined point
+     */
+    function findDomainEdge(f, defined, fDefined, undefinedX) {
+        let inside = defined;
+        let outside = undefinedX;
+        let y = fDefined;
+
+        for (let k = 0; k < 80 && Math.abs(outside - inside) > 1e-13 * Math.max(1, Math.abs(inside)); k++) {
+            const mid = (inside + outside) / 2;
+            const ym = f(mid);
+            if (isFinite(ym)) {
+                inside = mid;
+                y = ym;
+            } else {
+                outside = mid;
+            }
+        }
+
+        return { x: inside, y };
+    }
+
+    /**
+     * Sample a function adaptively and find where its graph breaks
+     * @param {Function} evaluate - (x) => y
+     * @param {number} xMin - Domain start
+     * @param {number} xMax - Domain end
+     * @param {Object} options - { initialSamples = 128, maxDepth = 10, tolerance = 0.002, maxPoints = 8000,
+     *                             xScale = 'linear': the starting grid is even along the X axis }
+     * @returns {Object} - {
+     *   segments: [[{x, y}, ...], ...] continuous pieces of the graph,
+     *   breaks: [{ type: 'pole', x } | { type: 'jump', x, left, right } | { type: 'gap', from, to }]
+     * }
+     */
+    function analyzeFunction(evaluate, xMin, xMax, options = {}) {
+        const settings = {
+            initialSamples: 128,
+            maxDepth: 10,
+            tolerance: 0.002,
+            maxPoints: 8000,
+            xScale: 'linear',
+            ...options
+        };
+
+        const f = (x) => {
+            const y = evaluate(x);
+            return typeof y === 'number' && isFinite(y) ? y : NaN;
+        };
+
+        const grid = scalePositions(xMin, xMax, settings.initialSamples + 1, settings.xScale)
+            .map(x => ({ x, y: f(x) }));
+        const scale = valueScale(grid.map(p => p.y), xMax - xMin);
+
+        const { samples, unresolved } = refine(f, grid, scale, settings);
+
+        const segments = [];
+        const breaks = [];
+        let segment = [];
+        let gapStart = null; // Last defined point before an undefined run
+
+        const closeSegment = () => {
+            if (segment.length > 0) segments.push(segment);
+            segment = [];
+        };
+
+        const blowsUp = y => Math.abs(y) > POLE_RATIO * scale;
+
+        if (!isFinite(samples[0].y)) {
+            gapStart = { x: xMin, y: NaN };
+        } else {
+            segment.push(samples[0]);
+        }
+
+        for (let i = 0; i < samples.length - 1; i++) {
+            const p = samples[i];
+            const q = samples[i + 1];
+            const pDefined = isFinite(p.y);
+            const qDefined = isFinite(q.y);
+
+            if (pDefined && qDefined) {
+                if (unresolved.has(i)) {
+                    const result = classifyInterval(f, p.x, p.y, q.x, q.y, scale);
+
+                    if (result.type === 'pole' || result.type === 'jump') {
+                        segment.push({ x: result.lo, y: result.ylo });
+                        closeSegment();
+
+                        // A function defined apart from both limits at the break, like sign(0),
+                        // shows up as two jumps at the same x: report it as one
+                        const previous = breaks[breaks.length - 1];
+                        const near = 1e-9 * Math.max(1, Math.abs(result.x));
+                        if (result.type === 'jump' && previous && previous.type === 'jump' && Math.abs(previous.x - result.x) <= near) {
+                            previous.x = result.lo;
+                            previous.right = result.yhi;
+                        } else {
+                            breaks.push(result.type === 'pole'
+                                ? { type: 'pole', x: result.x }
+                                : { type: 'jump', x: result.x, left: result.ylo, right: result.yhi });
+                        }
+                        segment.push({ x: result.hi, y: result.yhi });
+                    } else if (result.type === 'undefined') {
+                        // A single undefined point, e.g. 1/x at 0 or sin(x)/x at 0
+                        const left = findDomainEdge(f, result.lo, result.ylo, result.x);
+                        const right = findDomainEdge(f, result.hi, result.yhi, result.x);
+                        segment.push(left);
+                        closeSegment();
+                        breaks.push(blowsUp(left.y) || blowsUp(right.y)
+                            ? { type: 'pole', x: result.x }
+                            : { type: 'gap', from: result.x, to: result.x });
+                        segment.push(right);
+                    }
+                }
+                segment.push(q);
+            } else if (pDefined && !qDefined) {
+                // Entering an undefined run
+                const edge = findDomainEdge(f, p.x, p.y, q.x);
+                segment.push(edge);
+                closeSegment();
+                gapStart = edge;
+            } else if (!pDefined && qDefined) {
+                // Leaving an undefined run
+                const edge = findDomainEdge(f, q.x, q.y, p.x);
+                const isolated = isFinite(gapStart.y) && edge.x - gapStart.x <= 1e-9 * Math.max(1, xMax - xMin);
+
+                breaks.push(isolated && (blowsUp(gapStart.y) || blowsUp(edge.y))
+                    ? { type: 'pole', x: (gapStart.x + edge.x) / 2 }
+                    : { type: 'gap', from: gapStart.x, to: edge.x });
+                gapStart = null;
+                segment.push(edge, q);
+            }
+        }
+
+        if (gapStart) {
+            breaks.push({ type: 'gap', from: gapStart.x, to: xMax });
+        }
+        closeSegment();
+
+        return { segments: segments.filter(s => s.length > 1 && s[s.length - 1].x > s[0].x), breaks };
+    }
+
+    /**
+     * Full pipeline for one function: sample, fit the Y range, finalize
+     * @param {Object} spec - See resolveFunction
+     * @param {Object} options - { xMin = -5, xMax = 5, numPoints = 25, ySquash = 0,
+     *                             xScale = 'linear', yScale = 'linear' }
+     * @returns {Object} - { points, breaks, segments, yMin, yMax, actualYMin, actualYMax, params }
+     */
+    function computeSeries(spec, options = {}) {
+        const { xMin = -5, xMax = 5, numPoints = 25, ySquash = 0, xScale = 'linear', yScale = 'linear' } = options;
+
+        if (!isFinite(xMin) || !isFinite(xMax) || xMin >= xMax) {
+            throw new Error(`Domain must satisfy xMin < xMax (got ${xMin}, ${xMax})`);
+        }
+        if (!Number.isInteger(numPoints) || numPoints < 2) {
+            throw new Error(`numPoints must be an integer of at least 2 (got ${numPoints})`);
+        }
+        if (![0, 1, 2].includes(ySquash)) {
+            throw new Error(`ySquash must be 0, 1 or 2 (got ${ySquash})`);
+        }
+        for (const scale of [xScale, yScale]) {
+            if (!SCALES.includes(scale)) {
+                throw new Error(`Scale must be one of ${SCALES.join(', ')} (got ${scale})`);
+            }
+        }
+        if (xScale === 'log' && xMin <= 0) {
+            throw new Error(`A log X scale needs xMin > 0 (got ${xMin})`);
+        }
+
+        const { evaluate, params } = resolveFunction(spec);
+        const sample = sampleSeries(evaluate, xMin, xMax, numPoints, xScale);
+        const range = fitYRange(sample.yMin, sample.yMax, { xMin, xMax, ySquash, yScale, positiveYMin: sample.positiveYMin });
+        const { segments, breaks } = analyzeFunction(evaluate, xMin, xMax, { xScale });
+
+        return {
+            points: finalizeSeries(sample.points, range.yMin, range.yMax, breaks),
+            breaks,
+            segments,
+            yMin: range.yMin,
+            yMax: range.yMax,
+            actualYMin: sample.yMin,
+            actualYMax: sample.yMax,
+            params
+        };
+    }
+
+    /**
+     * Where any of a set of conditions changes its truth value over [xMin, xMax]: the boundaries
+     * between the pieces of a piecewise function, which may or may not be discontinuities.
+     * Found on an even grid and bisected, so a condition true at a single point is not seen.
+     * @param {Array} conditions - [(x) => boolean | null] (null = undefined there)
+     * @param {number} xMin - Domain start
+     * @param {number} xMax - Domain end
+     * @param {number} numSamples - Grid intervals
+     * @returns {Array} - Ascending x positions
+     */
+    function findSwitchPoints(conditions, xMin, xMax, numSamples = 400) {
+        const points = [];
+
+        for (const condition of conditions) {
+            let prevX = xMin;
+            let prev = condition(xMin);
+            for (let i = 1; i <= numSamples; i++) {
+                const x = xMin + (i / numSamples) * (xMax - xMin);
+                const value = condition(x);
+                if (typeof prev === 'boolean' && typeof value === 'boolean' && value !== prev) {
+                    let lo = prevX;
+                    let hi = x;
+                    for (let k = 0; k < 100 && hi - lo > 1e-12 * Math.max(1, Math.abs(lo)); k++) {
+                        const mid = (lo + hi) / 2;
+                        if (condition(mid) === prev) {
+                            lo = mid;
+                        } else {
+                            hi = mid;
+                        }
+                    }
+                    points.push((lo + hi) / 2);
+                }
+                prevX = x;
+                prev = value;
+            }
+        }
+
+        // Two conditions can switch at the same x (x < 0 and x >= 0)
+        points.sort((a, b) => a - b);
+        const near = 1e-9 * (xMax - xMin);
+        return points.filter((x, i) => i === 0 || x - points[i - 1] > near);
+    }
+
+    // ===== Equation Solving =====
+
+    /**
+     * Refine a root of g inside a sign-changing bracket (Illinois variant of regula falsi)
+     * @returns {number} - x with g(x) ≈ 0
+     */
+    function refineRoot(g, a, ga, b, gb) {
+        let side = 0;
+        for (let k = 0; k < 100; k++) {
+            const x = (a * gb - b * ga) / (gb - ga);
+            const gx = g(x);
+            if (gx === 0 || Math.abs(b - a) <= 1e-13 * Math.max(1, Math.abs(x))) return x;
+            if (!isFinite(gx)) return (a + b) / 2;
+
+            if (gx * gb > 0) {
+                b = x;
+                gb = gx;
+                if (side === -1) ga /= 2;
+                side = -1;
+            } else {
+                a = x;
+                ga = gx;
+                if (side === 1) gb /= 2;
+                side = 1;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Minimize |g| on [a, b] by golden-section search, for roots where g touches zero without crossing
+     * @returns {number} - x with the smallest |g| found
+     */
+    function touchPoint(g, a, b) {
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        let c = b - ratio * (b - a);
+        let d = a + ratio * (b - a);
+        let gc = Math.abs(g(c));
+        let gd = Math.abs(g(d));
+
+        for (let k = 0; k < 100 && b - a > 1e-12 * Math.max(1, Math.abs(a)); k++) {
+            if (gc < gd) {
+                b = d;
+                d = c;
+                gd = gc;
+                c = b - ratio * (b - a);
+                gc = Math.abs(g(c));
+            } else {
+                a = c;
+                c = d;
+                gc = gd;
+                d = a + ratio * (b - a);
+                gd = Math.abs(g(d));
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    /**
+     * Solve f(x) = target on [xMin, xMax]: bracket sign changes on the adaptive samples,
+     * never across a pole or jump, and look for points where f only touches the target
+     * @param {Function} evaluate - (x) => y
+     * @param {number} target - The value to solve for
+     * @param {number} xMin - Domain start
+     * @param {number} xMax - Domain end
+     * @param {Object} analysis - Optional result of analyzeFunction to reuse
+     * @returns {Object} - { roots: [x, ...] ascending, intervals: [{ from, to }] where f equals target throughout }
+     */
+    function solveEquation(evaluate, target, xMin, xMax, analysis = null) {
+        const { segments, breaks } = analysis || analyzeFunction(evaluate, xMin, xMax);
+        const g = (x) => evaluate(x) - target;
+        const values = segments.flat().map(p => p.y);
+        const tolerance = 1e-9 * Math.max(1, Math.abs(target), valueScale(values, 1));
+
+        const roots = [];
+        const intervals = [];
+
+        for (const segment of segments) {
+            const gs = segment.map(p => p.y - target);
+            let runStart = null;
+
+            for (let i = 0; i < segment.length; i++) {
+                const p = segment[i];
+
+                // Runs where f equals the target exactly
+                if (gs[i] === 0) {
+                    if (runStart === null) runStart = i;
+                    if (i === segment.length - 1 || gs[i + 1] !== 0) {
+                        if (i > runStart) {
+                            intervals.push({ from: segment[runStart].x, to: p.x });
+                        } else {
+                            roots.push(p.x);
+                        }
+                        runStart = null;
+                    }
+                    continue;
+                }
+
+                if (i < segment.length - 1 && gs[i + 1] !== 0 && gs[i] * gs[i + 1] < 0) {
+                    roots.push(refineRoot(g, p.x, gs[i], segment[i + 1].x, gs[i + 1]));
+                }
+
+                // A local minimum of |g| between two samples of the same sign may touch zero
+                if (i > 0 && i < segment.length - 1 &&
+                    gs[i - 1] * gs[i] > 0 && gs[i] * gs[i + 1] > 0 &&
+                    Math.abs(gs[i]) <= Math.abs(gs[i - 1]) && Math.abs(gs[i]) <= Math.abs(gs[i + 1])) {
+                    const x = touchPoint(g, segment[i - 1].x, segment[i + 1].x);
+                    if (Math.abs(g(x)) <= tolerance) roots.push(x);
+                }
+            }
+        }
+
+        // The value at a jump belongs to neither side, like sign(0) = 0
+        for (const brk of breaks) {
+            if (brk.type === 'jump' && Math.abs(g(brk.x)) <= tolerance) roots.push(brk.x);
+        }
+
+        // Merge roots found twice (at a shared sample or from both neighbouring checks)
+        roots.sort((a, b) => a - b);
+        const merged = [];
+        const near = 1e-9 * (xMax - xMin);
+        for (const x of roots) {
+            if (intervals.some(r => x >= r.from - near && x <= r.to + near)) continue;
+            if (merged.length === 0 || x - merged[merged.length - 1] > near) merged.push(x);
+        }
+
+        return { roots: merged, intervals };
+    }
+
+    /**
+     * Solve F(x, y) = 0 for y at each sampled x, so curves with several y per x (a circle,
+     * a lemniscate) can be drawn: every column of [yMin, yMax] is scanned for sign changes
+     * and touch points and refined like solveEquation. A sign change across a pole is not a root.
+     * @param {Function} evaluate - (x, y) => F
+     * @param {Array} xs - Sampled x values
+     * @param {number} yMin - Bottom of the search range
+     * @param {number} yMax - Top of the search range
+     * @param {number} steps - Column samples per x
+     * @returns {Array} - [{ x, y, branch }] by x, then y; branch numbers the solutions at one x from the lowest (0) up
+     */
+    function solveImplicit(evaluate, xs, yMin, yMax, steps = 400) {
+        const solutions = [];
+        const near = 1e-9 * (yMax - yMin);
+
+        for (const x of xs) {
+            const g = (y) => evaluate(x, y);
+            const ys = [];
+            const gs = [];
+            for (let k = 0; k <= steps; k++) {
+                const y = yMin + (k / steps) * (yMax - yMin);
+                ys.push(y);
+                gs.push(g(y));
+            }
+            const tolerance = 1e-9 * valueScale(gs, 1);
+
+            const roots = [];
+            for (let k = 0; k <= steps; k++) {
+                if (gs[k] === 0) {
+                    roots.push(ys[k]);
+                    continue;
+                }
+
+                if (k < steps && gs[k + 1] !== 0 && gs[k] * gs[k + 1] < 0) {
+                    const y = refineRoot(g, ys[k], gs[k], ys[k + 1], gs[k + 1]);
+                    // Towards a pole |F| grows instead of shrinking
+                    if (Math.abs(g(y)) <= Math.min(Math.abs(gs[k]), Math.abs(gs[k + 1]))) roots.push(y);
+                }
+
+                if (k > 0 && k < steps &&
+                    gs[k - 1] * gs[k] > 0 && gs[k] * gs[k + 1] > 0 &&
+                    Math.abs(gs[k]) <= Math.abs(gs[k - 1]) && Math.abs(gs[k]) <= Math.abs(gs[k + 1])) {
+                    const y = touchPoint(g, ys[k - 1], ys[k + 1]);
+                    if (Math.abs(g(y)) <= tolerance) roots.push(y);
+                }
+            }
+
+            roots.sort((a, b) => a - b);
+            let branch = 0;
+            let last = -Infinity;
+            for (const y of roots) {
+                if (y - last <= near) continue;
+                solutions.push({ x, y, branch: branch++ });
+                last = y;
+            }
+        }
+
+        return solutions;
+    }
+
+    // ===== Roots, Extrema and Inflection Points =====
+
+    // Central differences, for when no symbolic derivative is available
+    function numericDerivative(f) {
+        return (x) => {
+            const h = 1e-6 * Math.max(1, Math.abs(x));
+            return (f(x + h) - f(x - h)) / (2 * h);
+        };
+    }
+
+    function numericSecondDerivative(f) {
+        return (x) => {
+            const h = 1e-4 * Math.max(1, Math.abs(x));
+            return (f(x + h) - 2 * f(x) + f(x - h)) / (h * h);
+        };
+    }
+
+    /**
+     * Find the roots, local minima and maxima, and inflection points of a function
+     * @param {Function} evaluate - (x) => y
+     * @param {number} xMin - Domain start
+     * @param {number} xMax - Domain end
+     * @param {Object} options - {
+     *   derivative: (x) => f'(x), secondDerivative: (x) => f''(x) (numeric differences when missing),
+     *   analysis: result of analyzeFunction for evaluate, to reuse
+     * }
+     * @returns {Object} - { roots, minima, maxima, inflections }, each [{ x, y }] ascending
+     */
+    function findFeatures(evaluate, xMin, xMax, options = {}) {
+        const analysis = options.analysis || analyzeFunction(evaluate, xMin, xMax);
+        const derivative = options.derivative || numericDerivative(evaluate);
+        const secondDerivative = options.secondDerivative || numericSecondDerivative(evaluate);
+
+        const delta = 1e-3 * (xMax - xMin);
+        const inside = x => x > xMin + delta && x < xMax - delta;
+        const isContinuousAt = x => !analysis.breaks.some(brk => breakBetween(brk, x - delta, x + delta));
+        const withValue = x => ({ x, y: evaluate(x) });
+
+        const roots = solveEquation(evaluate, 0, xMin, xMax, analysis).roots.map(withValue);
+
+        // Critical points: f' = 0, plus corners and cusps where f' breaks (like |x| at 0);
+        // the comparison with the neighbouring values below decides which are extrema
+        const slope = analyzeFunction(derivative, xMin, xMax);
+        const critical = solveEquation(derivative, 0, xMin, xMax, slope).roots;
+        for (const brk of slope.breaks) {
+            if (brk.type !== 'gap') critical.push(brk.x);
+            else if (brk.to - brk.from < delta) critical.push((brk.from + brk.to) / 2);
+        }
+
+        const minima = [];
+        const maxima = [];
+        for (const x of critical.sort((a, b) => a - b)) {
+            if (!inside(x) || !isContinuousAt(x)) continue;
+
+            const y = evaluate(x);
+            const left = evaluate(x - delta);
+            const right = evaluate(x + delta);
+            if (left > y && right > y) minima.push({ x, y });
+            else if (left < y && right < y) maxima.push({ x, y });
+        }
+
+        // Inflection points: f'' changes sign (a zero it only touches is not one)
+        const inflections = solveEquation(secondDerivative, 0, xMin, xMax).roots
+            .filter(x => inside(x) && isContinuousAt(x) &&
+                secondDerivative(x - delta) * secondDerivative(x + delta) < 0)
+            .map(withValue);
+
+        return { roots, minima, maxima, inflections };
+    }
+
+    // ===== Line-Point Duality =====
+    //
+    // A sample (x, y) is the segment from x on the X axis to y on the Y axis. Positions are
+    // given as axis fractions: t = 0 on the X axis, t = 1 on the Y axis, and u = 0..1 along
+    // both axes from their minimum to their maximum (the two axes have the same length).
+
+    /**
+     * The point where every line of y = m*x + b meets
+     * @param {number} m - Slope
+     * @param {number} b - Intercept
+     * @param {Object} ranges - { xMin, xMax, yMin, yMax } of the axes
+     * @returns {Object|null} - { t, u }, or null when the lines are parallel (meet at infinity)
+     */
+    function dualPoint(m, b, { xMin, xMax, yMin, yMax }) {
+        const rx = xMax - xMin;
+        const ry = yMax - yMin;
+
+        // Along a line, u = (1 - t) * (x - xMin) / rx + t * (m*x + b - yMin) / ry;
+        // the lines meet at the t where the x terms cancel
+        const denominator = ry - m * rx;
+        if (Math.abs(denominator) <= 1e-12 * Math.max(ry, Math.abs(m * rx))) return null;
+
+        const t = ry / denominator;
+        return { t, u: (1 - t) * (-xMin / rx) + t * (b - yMin) / ry };
+    }
+
+    /**
+     * Trace the envelope of the line family from the intersections of neighbouring lines
+     * @param {Array} points - Data points from finalizeSeries, ordered by x
+     * @param {Object} ranges - { xMin, xMax, yMin, yMax } of the axes
+     * @returns {Array} - Curves [[{ t, u, x }, ...], ...], split where neighbouring lines are
+     *                    parallel (the envelope passes through infinity) or the function breaks
+     */
+    function traceEnvelope(points, { xMin, xMax, yMin, yMax }) {
+        const curves = [];
+        let curve = [];
+        let lastSign = 0;
+
+        const closeCurve = () => {
+            if (curve.length > 1) curves.push(curve);
+            curve = [];
+            lastSign = 0;
+        };
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const p = points[i];
+            const q = points[i + 1];
+            if (p.isDiscontinuous || p.outOfRange || q.outOfRange) {
+                closeCurve();
+                continue;
+            }
+
+            const ux1 = (p.x - xMin) / (xMax - xMin);
+            const uy1 = (p.y - yMin) / (yMax - yMin);
+            const dux = (q.x - p.x) / (xMax - xMin);
+            const duy = (q.y - p.y) / (yMax - yMin);
+
+            const denominator = dux - duy;
+            const sign = Math.sign(denominator);
+            if (Math.abs(denominator) <= 1e-12 || (lastSign !== 0 && sign !== lastSign)) {
+                closeCurve();
+                if (Math.abs(denominator) <= 1e-12) continue;
+            }
+            lastSign = sign;
+
+            const t = dux / denominator;
+            curve.push({ t, u: ux1 + t * (uy1 - ux1), x: (p.x + q.x) / 2 });
+        }
+        closeCurve();
+
+        return curves;
+    }
+
+    // Public API
+    return {
+        SCALES: SCALES,
+        scaleFraction: scaleFraction,
+        scaleValue: scaleValue,
+        scaleTicks: scaleTicks,
+        scalePositions: scalePositions,
+        resolveFunction: resolveFunction,
+        sampleSeries: sampleSeries,
+        fitYRange: fitYRange,
+        finalizeSeries: finalizeSeries,
+        analyzeFunction: analyzeFunction,
+        findSwitchPoints: findSwitchPoints,
+        solveEquation: solveEquation,
+        solveImplicit: solveImplicit,
+        findFeatures: findFeatures,
+        computeSeries: computeSeries,
+        dualPoint: dualPoint,
+        traceEnvelope: traceEnvelope
+    };
+})();
+
+// Export for use in main.js, or as a CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AxesCore;
+} else {
+    window.AxesCore = AxesCore;
+}
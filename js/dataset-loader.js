@@ -0,0 +1,244 @@
+/**
+ * Dataset Loader Module for Parallel Axes Visualizer
+ * Reads local CSV and JSON files into numeric columns, one parallel axis per column
+ */
+
+const DatasetLoader = (function () {
+    /**
+     * Convert a raw cell to a number
+     * @param {*} value - Cell value from CSV or JSON
+     * @returns {number|null} - The number, or null for empty / non-numeric cells
+     */
+    function toNumber(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : null;
+        }
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+        const number = Number(value.trim());
+        return isFinite(number) ? number : null;
+    }
+
+    function isBlank(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    }
+
+    // Loops rather than Math.min(...list): spreading a file's worth of values overflows the call stack
+    function extent(numbers) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of numbers) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return { min, max };
+    }
+
+    function longest(lists) {
+        let length = 0;
+        for (const list of lists) {
+            if (list.length > length) length = list.length;
+        }
+        return length;
+    }
+
+    /**
+     * Split CSV text into rows of cells, honoring quoted fields
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter
+     * @returns {Array} - Rows of string cells
+     */
+    function splitCSV(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    }
+
+    // Pick the delimiter that splits the first line into the most fields
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const candidates = [',', ';', '\t'];
+        let best = ',';
+        let bestCount = 0;
+        for (const delimiter of candidates) {
+            const count = firstLine.split(delimiter).length;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Keep the columns that hold numbers and compute their ranges
+     * @param {Array} names - Column names
+     * @param {Array} rows - Rows of raw cells
+     * @returns {Object} - { valid, error?, columns: [{ name, values, min, max }], rowCount, skipped }
+     */
+    function buildDataset(names, rows) {
+        const columns = [];
+        const skipped = [];
+
+        names.forEach((name, c) => {
+            const values = rows.map(row => toNumber(row[c]));
+            const numericCount = values.filter(v => v !== null).length;
+            const filledCount = rows.filter(row => !isBlank(row[c])).length;
+
+            // A column is numeric when every filled cell is a number
+            if (numericCount === 0 || numericCount < filledCount) {
+                skipped.push(name);
+                return;
+            }
+
+            columns.push({
+                name,
+                values,
+                ...extent(values.filter(v => v !== null))
+            });
+        });
+
+        if (columns.length < 2) {
+            return {
+                valid: false,
+                error: `Found ${columns.length} numeric column(s); at least 2 are needed`,
+                columns: [],
+                rowCount: 0,
+                skipped
+            };
+        }
+
+        return { valid: true, columns, rowCount: rows.length, skipped };
+    }
+
+    /**
+     * Parse CSV text. A first row with any non-numeric cell is treated as the header.
+     * @param {string} text - CSV text
+     * @returns {Object} - See buildDataset
+     */
+    function parseCSV(text) {
+        const rows = splitCSV(text, detectDelimiter(text));
+        if (rows.length === 0) {
+            return { valid: false, error: 'The file is empty', columns: [], rowCount: 0, skipped: [] };
+        }
+
+        const width = longest(rows);
+        const hasHeader = rows[0].some(cell => !isBlank(cell) && toNumber(cell) === null);
+        const names = hasHeader
+            ? Array.from({ length: width }, (_, c) => (rows[0][c] || '').trim() || `Column ${c + 1}`)
+            : Array.from({ length: width }, (_, c) => `Column ${c + 1}`);
+
+        return buildDataset(names, hasHeader ? rows.slice(1) : rows);
+    }
+
+    /**
+     * Parse JSON text. Accepts an array of objects, an array of arrays
+     * (optionally with a header row of strings) or an object of column arrays.
+     * @param {string} text - JSON text
+     * @returns {Object} - See buildDataset
+     */
+    function parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, error: 'Invalid JSON: ' + e.message, columns: [], rowCount: 0, skipped: [] };
+        }
+
+        // { column: [values...] }
+        if (data && !Array.isArray(data) && typeof data === 'object') {
+            const names = Object.keys(data).filter(key => Array.isArray(data[key]));
+            const length = longest(names.map(key => data[key]));
+            const rows = Array.from({ length }, (_, r) => names.map(key => data[key][r]));
+            return buildDataset(names, rows);
+        }
+
+        if (!Array.isArray(data) || data.length === 0) {
+            return { valid: false, error: 'Expected a non-empty array or an object of columns', columns: [], rowCount: 0, skipped: [] };
+        }
+
+        // [[...], [...]]
+        if (data.every(Array.isArray)) {
+            const width = longest(data);
+            const hasHeader = data[0].every(cell => typeof cell === 'string' && toNumber(cell) === null);
+            const names = Array.from({ length: width }, (_, c) =>
+                hasHeader && data[0][c] ? String(data[0][c]) : `Column ${c + 1}`);
+            return buildDataset(names, hasHeader ? data.slice(1) : data);
+        }
+
+        // [{ a: 1, b: 2 }, ...]
+        if (data.every(item => item && typeof item === 'object')) {
+            const names = [];
+            for (const item of data) {
+                for (const key of Object.keys(item)) {
+                    if (!names.includes(key)) names.push(key);
+                }
+            }
+            return buildDataset(names, data.map(item => names.map(key => item[key])));
+        }
+
+        return { valid: false, error: 'Unsupported JSON layout', columns: [], rowCount: 0, skipped: [] };
+    }
+
+    /**
+     * Read a File chosen by the user
+     * @param {File} file - A .csv or .json file
+     * @returns {Promise<Object>} - See buildDataset, plus { name }
+     */
+    function loadFile(file) {
+        return file.text().then((text) => {
+            const isJSON = /\.json$/i.test(file.name) || /^\s*[\[{]/.test(text);
+            const result = isJSON ? parseJSON(text) : parseCSV(text);
+            result.name = file.name;
+            return result;
+        });
+    }
+
+    // Public API
+    return {
+        parseCSV: parseCSV,
+        parseJSON: parseJSON,
+        loadFile: loadFile
+    };
+})();
+
+// Export for use in other modules
+window.DatasetLoader = DatasetLoader;
@@ -0,0 +1,115 @@
+/**
+ * Definition Library for Parallel Axes Visualizer
+ * Named helpers such as "g(x) = exp(-x^2)" or "k = 2.5", kept in localStorage and
+ * installed in ExpressionParser so every expression can use them
+ */
+
+const DefinitionLibrary = (function () {
+    const STORAGE_KEY = 'parallelAxes.definitions';
+
+    /**
+     * Saved definitions, in the order they were first defined
+     * @returns {Array} - [{ id, text }]
+     */
+    function list() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries.filter(e => e && typeof e.text === 'string') : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function store(entries) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    /**
+     * Install the saved definitions in ExpressionParser
+     * @returns {Object} - { valid, error? }; when the saved set does not validate, none are installed
+     */
+    function load() {
+        return ExpressionParser.setDefinitions(list().map(e => e.text));
+    }
+
+    // Put a parsed definition in the entries, in place of the one with the same name
+    function upsert(entries, parsed) {
+        const index = entries.findIndex(e => ExpressionParser.parseDefinition(e.text).name === parsed.name);
+        const entry = { id: index >= 0 ? entries[index].id : Date.now().toString(36) + Math.random().toString(36).slice(2, 6), text: parsed.text };
+        if (index >= 0) {
+            entries[index] = entry;
+        } else {
+            entries.push(entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Add a definition, or replace the one with the same name. It is only saved when the
+     * whole library still validates with it.
+     * @param {string} text - e.g. "g(x) = exp(-x^2)"
+     * @returns {Object} - { valid, error?, entry? }
+     */
+    function define(text) {
+        const parsed = ExpressionParser.parseDefinition(text);
+        if (!parsed.valid) return parsed;
+
+        const entries = list();
+        const entry = upsert(entries, parsed);
+
+        const result = ExpressionParser.setDefinitions(entries.map(e => e.text));
+        if (!result.valid) return result;
+        store(entries);
+        return { valid: true, entry };
+    }
+
+    /**
+     * Install the definitions a link or scene came with, so its expressions can be checked
+     * and mean what they meant where it was made. They replace active ones of the same name,
+     * but nothing is saved until save() is called; discard() puts the saved set back.
+     * @param {Array} texts - Definition strings
+     * @returns {Object} - { valid, error?, replaced, save, discard }; replaced lists the names
+     *                     of saved definitions whose body differs
+     */
+    function stage(texts) {
+        const entries = list();
+        const replaced = [];
+        for (const text of texts) {
+            const parsed = ExpressionParser.parseDefinition(text);
+            if (!parsed.valid) return { valid: false, error: `${text.trim()}: ${parsed.error}` };
+            const current = entries.find(e => ExpressionParser.parseDefinition(e.text).name === parsed.name);
+            if (current && ExpressionParser.parseDefinition(current.text).latex !== parsed.latex) {
+                replaced.push(parsed.name);
+            }
+            upsert(entries, parsed);
+        }
+
+        // On failure the previous set stays installed
+        const result = ExpressionParser.setDefinitions(entries.map(e => e.text));
+        if (!result.valid) return result;
+        return { valid: true, replaced, save: () => store(entries), discard: load };
+    }
+
+    /**
+     * Remove a definition, unless another one still uses it
+     * @returns {Object} - { valid, error? }
+     */
+    function remove(id) {
+        const entries = list().filter(e => e.id !== id);
+        const result = ExpressionParser.setDefinitions(entries.map(e => e.text));
+        if (result.valid) store(entries);
+        return result;
+    }
+
+    // Public API
+    return {
+        list: list,
+        load: load,
+        define: define,
+        stage: stage,
+        remove: remove
+    };
+})();
+
+// Export for use in main.js
+window.DefinitionLibrary = DefinitionLibrary;
@@ -5,15 +5,52 @@
  */
 
 const ExpressionParser = (function () {
-    // Ensure math.js is loaded
-    const math = window.math;
+    // math.js comes from the CDN script in the browser and from the mathjs package in Node
+    const math = typeof window !== 'undefined' ? window.math : require('mathjs');
+
+    /**
+     * LaTeX for a piecewise chain "c1 ? a : c2 ? b : c" as one cases block, rather than
+     * the nested blocks math.js produces for each conditional on its own
+     */
+    function piecewiseTex(node, options) {
+        if (!node.isConditionalNode) return undefined;
+
+        const rows = [];
+        let piece = node;
+        while (piece.isConditionalNode) {
+            rows.push(`${piece.trueExpr.toTex(options)} & \\text{if } ${piece.condition.toTex(options)}`);
+            piece = piece.falseExpr;
+        }
+        rows.push(`${piece.toTex(options)} & \\text{otherwise}`);
+        return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+    }
+
+    const TEX_OPTIONS = { parenthesis: 'auto', handler: piecewiseTex };
+
+    const KNOWN_FUNCTIONS = ['sin', 'cos', 'tan', 'sqrt', 'abs', 'log', 'ln', 'exp', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'floor', 'ceil', 'round', 'sign'];
+    const KNOWN_CONSTANTS = ['pi', 'e', 'PI', 'E'];
+    const COMPLEX_NAMES = ['i', 're', 'im', 'arg', 'conj'];
+
+    // Active user definitions by name, each body already written in built-ins only (see setDefinitions)
+    let definitions = new Map();
 
     /**
      * Parse and validate a mathematical expression
      * @param {string} exprString - The expression to parse (e.g., "x^2 + sin(x)")
-     * @returns {Object} - { valid: boolean, error?: string, latex: string, evaluate: (x) => number, node?: Object }
+     * @param {Object} options - { variables: ['x'] } allowed variable names, in evaluate() argument order;
+     *                            { complex: true } for an expression in z (see parseComplexExpression);
+     *                            { parameters: true } to take any other symbol as a free parameter.
+     *                            Names from the active definitions (see setDefinitions) are inlined.
+     * @returns {Object} - { valid: boolean, error?: string, latex: string, evaluate: (x, ..., params?) => number, node?: Object,
+     *                      conditions?: [(x, ..., params?) => boolean | null] one per "cond ? a : b" in a piecewise expression,
+     *                      parameters?: ['a', ...] the free parameters in order of appearance, valued by the params object,
+     *                      uses?: ['g', ...] the definitions it relies on, directly or through other definitions }
      */
-    function parseExpression(exprString) {
+    function parseExpression(exprString, options = {}) {
+        const complex = Boolean(options.complex);
+        const variables = complex ? ['z'] : (options.variables || ['x']);
+        const allowParameters = Boolean(options.parameters) && !complex;
+
         if (!exprString || exprString.trim() === '') {
             return {
                 valid: false,
@@ -27,50 +64,101 @@ const ExpressionParser = (function () {
             // Parse the expression into an AST
             const node = math.parse(exprString);
 
-            // Check that only 'x' is used as a variable
+            const constantError = checkConstants(node);
+            if (constantError) {
+                return {
+                    valid: false,
+                    error: constantError,
+                    latex: '',
+                    evaluate: () => NaN
+                };
+            }
+
+            // Check that only the allowed variables are used
             const symbols = new Set();
-            node.traverse((n) => {
-                if (n.isSymbolNode && n.name !== 'x') {
-                    // Check if it's a known function or constant
-                    const knownFuncs = ['sin', 'cos', 'tan', 'sqrt', 'abs', 'log', 'ln', 'exp', 'asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'floor', 'ceil', 'round', 'sign'];
-                    const knownConsts = ['pi', 'e', 'PI', 'E'];
-                    if (!knownFuncs.includes(n.name) && !knownConsts.includes(n.name)) {
-                        symbols.add(n.name);
+            const parameters = new Set();
+            node.traverse((n, path) => {
+                if (n.isSymbolNode && !variables.includes(n.name)) {
+                    // Check if it's a known function or constant, or a user definition
+                    if (!KNOWN_FUNCTIONS.includes(n.name) && !KNOWN_CONSTANTS.includes(n.name) &&
+                        !(complex && COMPLEX_NAMES.includes(n.name)) && !definitions.has(n.name)) {
+                        // An unknown name in a call like foo(x) is never a parameter
+                        if (allowParameters && path !== 'fn') {
+                            parameters.add(n.name);
+                        } else {
+                            symbols.add(n.name);
+                        }
                     }
                 }
             });
+            for (const name of symbols) parameters.delete(name);
 
             if (symbols.size > 0) {
                 return {
                     valid: false,
-                    error: `Unknown variable(s): ${[...symbols].join(', ')}. Use 'x' as the variable.`,
+                    error: `Unknown variable(s): ${[...symbols].join(', ')}. ${describeVariables(variables)}`,
                     latex: '',
                     evaluate: () => NaN
                 };
             }
 
-            // Compile the expression for fast evaluation
-            const compiled = node.compile();
+            // Compile the expression, with its definitions written out, for fast evaluation
+            const expanded = inlineDefinitions(node, definitions);
+            const compiled = expanded.compile();
+            const uses = usedDefinitions(node);
 
             // Convert to LaTeX
-            const latex = node.toTex({ parenthesis: 'auto' });
+            const latex = node.toTex(TEX_OPTIONS);
 
-            // Create evaluator function
-            const evaluate = (x) => {
+            if (complex) {
+                return {
+                    valid: true,
+                    latex: latex,
+                    evaluate: createComplexEvaluator(compiled),
+                    node: node,
+                    expression: exprString,
+                    uses: uses
+                };
+            }
+
+            // Create evaluator function - arguments follow the order of `variables`,
+            // then an optional object with the parameter values
+            const evaluate = (...args) => {
                 try {
-                    const result = compiled.evaluate({ x: x });
+                    const scope = { ...args[variables.length] };
+                    variables.forEach((name, i) => { scope[name] = args[i]; });
+                    const result = compiled.evaluate(scope);
                     return typeof result === 'number' ? result : NaN;
                 } catch (e) {
                     return NaN;
                 }
             };
 
+            // The conditions of a piecewise expression, for finding where it switches pieces
+            const conditions = expanded.filter(n => n.isConditionalNode).map((n) => {
+                const condition = n.condition.compile();
+                return (...args) => {
+                    try {
+                        const scope = { ...args[variables.length] };
+                        variables.forEach((name, i) => { scope[name] = args[i]; });
+                        const result = condition.evaluate(scope);
+                        if (typeof result === 'boolean') return result;
+                        return typeof result === 'number' && !isNaN(result) ? result !== 0 : null;
+                    } catch (e) {
+                        return null;
+                    }
+                };
+            });
+
             return {
                 valid: true,
                 latex: latex,
                 evaluate: evaluate,
                 node: node,
-                expression: exprString
+                expression: exprString,
+                conditions: conditions,
+                parameters: [...parameters],
+                uses: uses
             };
         } catch (e) {
             return {
@@ -82,177 +170,609 @@ const ExpressionParser = (function () {
         }
     }
 
+    // Evaluate at z = re + im·i. A real result is a complex number with im = 0;
+    // anything else (a matrix, a string, an error) is undefined
+    function createComplexEvaluator(compiled) {
+        return (re, im) => {
+            try {
+                const result = compiled.evaluate({ z: math.complex(re, im) });
+                if (typeof result === 'number') {
+                    return { re: result, im: 0 };
+                }
+                if (math.isComplex(result)) {
+                    return { re: result.re, im: result.im };
+                }
+                return { re: NaN, im: NaN };
+            } catch (e) {
+                return { re: NaN, im: NaN };
+            }
+        };
+    }
+
+    /**
+     * Parse a complex function w = f(z). math.js does the complex arithmetic, so powers, 1/z,
+     * exp, log, sqrt and the trigonometric functions all take complex arguments; i, re, im,
+     * arg and conj are also allowed.
+     * @param {string} exprString - The expression to parse (e.g., "z^2 + 1/z")
+     * @returns {Object} - { valid: boolean, error?: string, latex: string, evaluate: (re, im) => { re, im } }
+     */
+    function parseComplexExpression(exprString) {
+        const parsed = parseExpression(exprString, { complex: true });
+        if (!parsed.valid) {
+            parsed.evaluate = () => ({ re: NaN, im: NaN });
+        }
+        return parsed;
+    }
+
     /**
-     * Compute the symbolic derivative of an expression
-     * @param {string} exprString - The expression to differentiate
-     * @returns {Object} - { valid: boolean, latex: string, evaluate: (x) => number, expression: string }
+     * Parse an implicit curve in x and y, written as "F(x, y)" (meaning F = 0) or as an
+     * equation "lhs = rhs", which is solved as lhs - rhs = 0
+     * @param {string} exprString - e.g. "x^2 + y^2 = 9"
+     * @returns {Object} - { valid: boolean, error?: string, latex: string, evaluate: (x, y) => number }
      */
-    function computeDerivative(exprString) {
-        if (!exprString || exprString.trim() === '') {
+    function parseImplicitEquation(exprString) {
+        const options = { variables: ['x', 'y'] };
+        const sides = (exprString || '').split(/(?<![<>=!])=(?!=)/);
+
+        if (sides.length > 2) {
             return {
                 valid: false,
+                error: 'Use a single "=" between the two sides',
                 latex: '',
-                evaluate: () => NaN,
-                expression: ''
+                evaluate: () => NaN
             };
         }
 
+        if (sides.length === 1) {
+            const parsed = parseExpression(exprString, options);
+            if (parsed.valid) parsed.latex += ' = 0';
+            return parsed;
+        }
+
+        const lhs = parseExpression(sides[0], options);
+        const rhs = parseExpression(sides[1], options);
+        if (!lhs.valid) return lhs;
+        if (!rhs.valid) return rhs;
+
+        return {
+            valid: true,
+            latex: `${lhs.latex} = ${rhs.latex}`,
+            evaluate: (x, y) => lhs.evaluate(x, y) - rhs.evaluate(x, y),
+            expression: exprString,
+            uses: [...new Set([...lhs.uses, ...rhs.uses])]
+        };
+    }
+
+    /**
+     * math.js also parses strings, booleans and null ("abc", true). None of them is a number,
+     * and a string would reach the page in labels and LaTeX, so they are refused
+     * @param {Object} node - Parsed expression
+     * @returns {string|null} - The error, or null when every constant is a number
+     */
+    function checkConstants(node) {
+        const constant = node.filter(n => n.isConstantNode && typeof n.value !== 'number')[0];
+        return constant ? `Only numbers are allowed as constants, not ${constant.toString()}` : null;
+    }
+
+    // ===== User Definitions =====
+
+    /**
+     * Parse one definition: "name(arg, ...) = body" for a function, "name = body" for a constant
+     * @param {string} text - e.g. "g(x) = exp(-x^2)" or "k = 2.5"
+     * @returns {Object} - { valid: boolean, error?: string, name, args: ['x'], isFunction, body: node, latex, text }
+     */
+    function parseDefinition(text) {
+        const invalid = error => ({ valid: false, error: error });
+        const sides = (text || '').split(/(?<![<>=!])=(?!=)/);
+        if (sides.length !== 2 || sides[0].trim() === '' || sides[1].trim() === '') {
+            return invalid('Write a definition as "g(x) = ..." or "k = ..."');
+        }
+
+        let head, body;
         try {
-            // Compute symbolic derivative
-            const derivative = math.derivative(exprString, 'x');
+            head = math.parse(normalizeExpression(sides[0]));
+            body = math.parse(normalizeExpression(sides[1]));
+        } catch (e) {
+            return invalid(e.message || 'Invalid definition');
+        }
+        const constantError = checkConstants(head) || checkConstants(body);
+        if (constantError) {
+            return invalid(constantError);
+        }
 
-            // Simplify the result
-            const simplified = math.simplify(derivative);
+        const isFunction = head.isFunctionNode && head.fn.isSymbolNode && head.args.every(arg => arg.isSymbolNode);
+        if (!head.isSymbolNode && !isFunction) {
+            return invalid('The left side must be a name like "k" or a call like "g(x)"');
+        }
 
-            // Convert to LaTeX
-            const latex = simplified.toTex({ parenthesis: 'auto' });
+        const name = isFunction ? head.fn.name : head.name;
+        const args = isFunction ? head.args.map(arg => arg.name) : [];
+        if ([...KNOWN_FUNCTIONS, ...KNOWN_CONSTANTS, ...COMPLEX_NAMES, 'x', 'y', 'z'].includes(name)) {
+            return invalid(`"${name}" is built in and cannot be redefined`);
+        }
+        if (new Set(args).size !== args.length || args.includes(name)) {
+            return invalid(`The arguments of "${name}" must be distinct names, other than "${name}" itself`);
+        }
+
+        return {
+            valid: true,
+            name: name,
+            args: args,
+            isFunction: isFunction,
+            body: body,
+            latex: `${head.toTex(TEX_OPTIONS)} = ${body.toTex(TEX_OPTIONS)}`,
+            text: text.trim()
+        };
+    }
+
+    /**
+     * Replace the active definitions. They are checked as a set: a body may only use its own
+     * arguments, built-ins and other definitions, and no definition may depend on itself.
+     * On any error the previous definitions stay active.
+     * @param {Array} texts - Definition strings, see parseDefinition
+     * @returns {Object} - { valid: boolean, error?: string }
+     */
+    function setDefinitions(texts) {
+        const parsed = new Map();
+        for (const text of texts) {
+            const definition = parseDefinition(text);
+            if (!definition.valid) return { valid: false, error: `${text.trim()}: ${definition.error}` };
+            if (parsed.has(definition.name)) return { valid: false, error: `"${definition.name}" is defined twice` };
+            parsed.set(definition.name, definition);
+        }
+
+        // What each body refers to
+        for (const definition of parsed.values()) {
+            const uses = new Set();
+            const unknown = new Set();
+            definition.body.traverse((n, path) => {
+                if (!n.isSymbolNode) return;
+                if (parsed.has(n.name)) {
+                    uses.add(n.name);
+                } else if (path === 'fn' ? !KNOWN_FUNCTIONS.includes(n.name)
+                    : !definition.args.includes(n.name) && !KNOWN_CONSTANTS.includes(n.name)) {
+                    unknown.add(n.name);
+                }
+            });
+            if (unknown.size > 0) {
+                return { valid: false, error: `${definition.name}: Unknown variable(s): ${[...unknown].join(', ')}` };
+            }
+            definition.uses = [...uses];
+        }
+
+        // Depth-first search: a name met again while its own dependencies are open closes a cycle
+        const order = [];
+        const visiting = new Set();
+        const visit = (name, trail) => {
+            if (order.includes(name)) return null;
+            if (visiting.has(name)) return [...trail.slice(trail.indexOf(name)), name];
+            visiting.add(name);
+            for (const used of parsed.get(name).uses) {
+                const cycle = visit(used, [...trail, name]);
+                if (cycle) return cycle;
+            }
+            visiting.delete(name);
+            order.push(name);
+            return null;
+        };
+        for (const name of parsed.keys()) {
+            const cycle = visit(name, []);
+            if (cycle) return { valid: false, error: `Circular definition: ${cycle.join(' → ')}` };
+        }
+
+        // Write each body out in dependency order, so it only holds built-ins
+        const expanded = new Map();
+        try {
+            for (const name of order) {
+                const definition = parsed.get(name);
+                expanded.set(name, { ...definition, body: inlineDefinitions(definition.body, expanded) });
+            }
+        } catch (e) {
+            return { valid: false, error: e.message };
+        }
 
-            // Compile for evaluation
-            const compiled = simplified.compile();
+        definitions = expanded;
+        return { valid: true };
+    }
 
-            const evaluate = (x) => {
+    /**
+     * Write out every use of a definition: a constant becomes its value, a call g(a) becomes
+     * the body of g with a in place of its argument
+     * @param {Object} node - Parsed expression
+     * @param {Map} active - Definitions whose bodies are already written out
+     * @returns {Object} - A new node without user definitions
+     */
+    function inlineDefinitions(node, active) {
+        if (active.size === 0) return node;
+
+        return node.transform((n, path) => {
+            if (n.isFunctionNode && n.fn.isSymbolNode && active.has(n.fn.name)) {
+                const definition = active.get(n.fn.name);
+                if (!definition.isFunction) {
+                    throw new Error(`"${definition.name}" is a constant, not a function`);
+                }
+                if (n.args.length !== definition.args.length) {
+                    const count = definition.args.length;
+                    throw new Error(`"${definition.name}" takes ${count} argument${count === 1 ? '' : 's'}`);
+                }
+                const args = n.args.map(arg => new math.ParenthesisNode(inlineDefinitions(arg, active)));
+                return new math.ParenthesisNode(definition.body.transform((m, bodyPath) => {
+                    const index = m.isSymbolNode && bodyPath !== 'fn' ? definition.args.indexOf(m.name) : -1;
+                    return index >= 0 ? args[index] : m;
+                }));
+            }
+            if (n.isSymbolNode && path !== 'fn' && active.has(n.name)) {
+                const definition = active.get(n.name);
+                if (definition.isFunction) {
+                    throw new Error(`"${definition.name}" is a function; call it as ${definition.name}(${definition.args.join(', ')})`);
+                }
+                return new math.ParenthesisNode(definition.body);
+            }
+            return n;
+        });
+    }
+
+    // Names of the active definitions an expression relies on, including those used by other definitions
+    function usedDefinitions(node) {
+        const names = new Set();
+        node.traverse((n) => {
+            if (n.isSymbolNode && definitions.has(n.name)) names.add(n.name);
+        });
+        for (const name of names) {
+            for (const used of definitions.get(name).uses) names.add(used);
+        }
+        return [...names];
+    }
+
+    /**
+     * The definitions some expressions rely on, directly or through other definitions, so a
+     * link or scene can carry them to a browser that does not have them
+     * @param {Array} exprStrings - Expressions in any variables, equations included; ones that do not parse are skipped
+     * @returns {Array} - Their texts in dependency order, e.g. ['g(x) = exp(-x^2)']
+     */
+    function definitionsUsedBy(exprStrings) {
+        const names = new Set();
+        for (const exprString of exprStrings) {
+            for (const side of (exprString || '').split(/(?<![<>=!])=(?!=)/)) {
                 try {
-                    const result = compiled.evaluate({ x: x });
-                    return typeof result === 'number' ? result : NaN;
+                    usedDefinitions(math.parse(normalizeExpression(side))).forEach(name => names.add(name));
                 } catch (e) {
-                    return NaN;
+                    // Not an expression; it has no definitions to carry
                 }
-            };
+            }
+        }
+        return [...definitions.values()].filter(d => names.has(d.name)).map(d => d.text);
+    }
 
-            return {
-                valid: true,
-                latex: latex,
-                evaluate: evaluate,
-                expression: simplified.toString()
-            };
+    /**
+     * The active definitions, for listing them
+     * @returns {Array} - [{ name, args, latex, text }] in dependency order
+     */
+    function getDefinitions() {
+        return [...definitions.values()].map(({ name, args, latex, text }) => ({ name, args, latex, text }));
+    }
+
+    function describeVariables(variables) {
+        if (variables.length === 1) {
+            return `Use '${variables[0]}' as the variable.`;
+        }
+        const quoted = variables.map(name => `'${name}'`);
+        return `Use ${quoted.slice(0, -1).join(', ')} and ${quoted[quoted.length - 1]} as variables.`;
+    }
+
+    /**
+     * Compute the symbolic derivative of an expression
+     * @param {string} exprString - The expression to differentiate
+     * @param {number} order - 1 for f', 2 for f'', ...
+     * @returns {Object} - { valid: boolean, symbolic: boolean, order, latex: string, evaluate: (x) => number, expression: string,
+     *                      reason?: string why it fell back to numeric differences }
+     */
+    function computeDerivative(exprString, order = 1) {
+        return computeDerivatives(exprString, order)[order - 1];
+    }
+
+    /**
+     * Derivatives f', f'', ... up to an order, each taken symbolically from the one before.
+     * From the first order math.js cannot differentiate on, the rest are numeric differences of f.
+     * @param {string} exprString - The expression to differentiate
+     * @param {number} maxOrder - Highest order
+     * @returns {Array} - One result per order, see computeDerivative
+     */
+    function computeDerivatives(exprString, maxOrder) {
+        const results = [];
+        if (!exprString || exprString.trim() === '') {
+            for (let order = 1; order <= maxOrder; order++) {
+                results.push({ valid: false, order, latex: '', evaluate: () => NaN, expression: '' });
+            }
+            return results;
+        }
+
+        let node = null;
+        let reason = null;
+        try {
+            node = inlineDefinitions(math.parse(exprString), definitions);
         } catch (e) {
+            reason = e.message;
+        }
+
+        for (let order = 1; order <= maxOrder; order++) {
+            if (!reason) {
+                try {
+                    // Piece by piece for a piecewise expression
+                    node = differentiate(node);
+                    const compiled = node.compile();
+                    const evaluate = (x) => {
+                        try {
+                            const result = compiled.evaluate({ x: x });
+                            return typeof result === 'number' ? result : NaN;
+                        } catch (e) {
+                            return NaN;
+                        }
+                    };
+
+                    results.push({
+                        valid: true,
+                        symbolic: true,
+                        order: order,
+                        latex: node.toTex(TEX_OPTIONS),
+                        evaluate: evaluate,
+                        expression: node.toString()
+                    });
+                    continue;
+                } catch (e) {
+                    reason = e.message || 'Symbolic differentiation failed';
+                }
+            }
+
             // Fallback to numerical derivative if symbolic fails
-            return computeNumericalDerivative(exprString);
+            results.push({ ...computeNumericalDerivative(exprString, order), reason: reason });
         }
+        return results;
     }
 
     /**
-     * Compute numerical derivative using central difference
+     * Differentiate and simplify. Conditionals are first lifted to the top of the tree,
+     * f(c ? a : b) = c ? f(a) : f(b), so every piece is differentiated on its own
+     * (math.derivative does not accept conditionals)
+     * @param {Object} node - Parsed expression in x
+     * @returns {Object} - The simplified derivative node
+     */
+    function differentiate(node) {
+        if (node.isConditionalNode) {
+            return new math.ConditionalNode(node.condition, differentiate(node.trueExpr), differentiate(node.falseExpr));
+        }
+
+        let inner = null;
+        node.traverse((n) => {
+            if (!inner && n !== node && n.isConditionalNode) inner = n;
+        });
+        if (inner) {
+            const pick = (branch) => node.transform(n => (n === inner ? branch : n));
+            return differentiate(new math.ConditionalNode(inner.condition, pick(inner.trueExpr), pick(inner.falseExpr)));
+        }
+
+        return math.simplify(math.derivative(node, 'x'));
+    }
+
+    /**
+     * Compute numerical derivative using central differences
      * @param {string} exprString - The expression
-     * @returns {Object} - { valid: boolean, latex: string, evaluate: (x) => number }
+     * @param {number} order - Order of the derivative
+     * @returns {Object} - { valid: boolean, symbolic: false, order, latex: string, evaluate: (x) => number }
      */
-    function computeNumericalDerivative(exprString) {
+    function computeNumericalDerivative(exprString, order = 1) {
         const parsed = parseExpression(exprString);
         if (!parsed.valid) {
             return {
                 valid: false,
+                order: order,
                 latex: '',
                 evaluate: () => NaN
             };
         }
 
-        const h = 1e-7;
+        // f^(n)(x) ≈ Σ (-1)^k C(n, k) f(x + (n/2 - k) h) / h^n, with the step that balances
+        // truncation against rounding growing with the order
+        const coefficients = [];
+        for (let k = 0, c = 1; k <= order; k++) {
+            coefficients.push((k % 2 === 0 ? 1 : -1) * c);
+            c = c * (order - k) / (k + 1);
+        }
         const evaluate = (x) => {
-            const fxPlusH = parsed.evaluate(x + h);
-            const fxMinusH = parsed.evaluate(x - h);
-            return (fxPlusH - fxMinusH) / (2 * h);
+            const h = Math.pow(Number.EPSILON, 1 / (order + 2)) * Math.max(1, Math.abs(x));
+            let sum = 0;
+            coefficients.forEach((c, k) => {
+                sum += c * parsed.evaluate(x + (order / 2 - k) * h);
+            });
+            return sum / Math.pow(h, order);
         };
 
+        const d = order === 1 ? '\\frac{d}{dx}' : `\\frac{d^{${order}}}{dx^{${order}}}`;
         return {
             valid: true,
-            latex: `\\frac{d}{dx}\\left(${parsed.latex}\\right)`,
+            symbolic: false,
+            order: order,
+            latex: `${d}\\left(${parsed.latex}\\right)`,
             evaluate: evaluate,
             expression: `derivative of ${exprString}`
         };
     }
 
+    // ===== Quadrature =====
+
+    // 15-point Kronrod nodes on [-1, 1] (positive half, the center last) with their weights;
+    // the 7-point Gauss rule embedded in them uses every other node, from the second one
+    const KRONROD_NODES = [
+        0.991455371120812639, 0.949107912342758525, 0.864864423359769073, 0.741531185599394440,
+        0.586087235467691130, 0.405845151377397167, 0.207784955007898468, 0
+    ];
+    const KRONROD_WEIGHTS = [
+        0.022935322010529225, 0.063092092629978553, 0.104790010322250184, 0.140653259715525919,
+        0.169004726639267903, 0.190350578064785410, 0.204432940075298892, 0.209482141084727828
+    ];
+    const GAUSS_WEIGHTS = [0.129484966168869693, 0.279705391489276668, 0.381830050505118945, 0.417959183673469388];
+
+    const INTEGRAL_TOLERANCE = 1e-10;
+    const MAX_SUBINTERVALS = 500;
+
     /**
-     * Compute the numerical integral (antiderivative approximation)
-     * Uses cumulative trapezoidal integration from a reference point
-     * @param {string} exprString - The expression to integrate
-     * @param {number} xMin - Start of the domain
-     * @param {number} xMax - End of the domain
-     * @param {number} numPoints - Number of sample points
-     * @returns {Object} - { valid: boolean, latex: string, getValues: () => [{x, y}] }
+     * One Gauss–Kronrod G7/K15 step on [a, b]. The nodes are interior, so an integrable
+     * singularity at an end (1/sqrt(x) at 0) is never evaluated
+     * @returns {Object} - { a, b, value, error }, error = |K15 - G7|, Infinity when a node is not finite
      */
-    function computeIntegral(exprString, xMin, xMax, numPoints = 500) {
-        const parsed = parseExpression(exprString);
-        if (!parsed.valid) {
-            return {
-                valid: false,
-                latex: '',
-                getValues: () => []
-            };
+    function gaussKronrod(f, a, b) {
+        const center = (a + b) / 2;
+        const half = (b - a) / 2;
+        const fc = f(center);
+        let kronrod = KRONROD_WEIGHTS[7] * fc;
+        let gauss = GAUSS_WEIGHTS[3] * fc;
+
+        for (let j = 0; j < 7; j++) {
+            const offset = half * KRONROD_NODES[j];
+            const pair = f(center - offset) + f(center + offset);
+            kronrod += KRONROD_WEIGHTS[j] * pair;
+            if (j % 2 === 1) gauss += GAUSS_WEIGHTS[(j - 1) / 2] * pair;
         }
 
-        // Compute integral values at each point using trapezoidal rule
-        // We integrate from xMin to each x, giving F(x) - F(xMin)
-        const step = (xMax - xMin) / (numPoints - 1);
-        const values = [];
-        let integral = 0;
+        if (!isFinite(kronrod)) {
+            return { a, b, value: NaN, error: Infinity };
+        }
+        return { a, b, value: kronrod * half, error: Math.abs((kronrod - gauss) * half) };
+    }
 
-        for (let i = 0; i < numPoints; i++) {
-            const x = xMin + i * step;
-            const y = parsed.evaluate(x);
+    /**
+     * Adaptive Gauss–Kronrod quadrature: the subinterval with the largest error estimate is
+     * halved until the total estimate is within tolerance, so the work gathers around kinks
+     * and integrable singularities. b < a gives the negated integral over [b, a].
+     * @param {Function} f - Integrand, NaN or ±Infinity where it is undefined
+     * @param {number} a - Lower limit
+     * @param {number} b - Upper limit
+     * @param {Object} options - { tolerance, maxIntervals }
+     * @returns {Object} - { value, error, converged, reason? }; when not converged the value is NaN
+     */
+    function adaptiveIntegrate(f, a, b, options = {}) {
+        const tolerance = options.tolerance || INTEGRAL_TOLERANCE;
+        const maxIntervals = options.maxIntervals || MAX_SUBINTERVALS;
+
+        if (a === b) return { value: 0, error: 0, converged: true };
+        if (b < a) {
+            const result = adaptiveIntegrate(f, b, a, options);
+            return { ...result, value: -result.value };
+        }
 
-            if (i > 0) {
-                const prevX = xMin + (i - 1) * step;
-                const prevY = parsed.evaluate(prevX);
-                // Trapezoidal rule: area = (y1 + y2) / 2 * dx
-                if (!isNaN(y) && !isNaN(prevY) && isFinite(y) && isFinite(prevY)) {
-                    integral += (prevY + y) / 2 * step;
+        const intervals = [gaussKronrod(f, a, b)];
+        for (;;) {
+            let value = 0;
+            let error = 0;
+            let worst = -1;
+            intervals.forEach((interval, i) => {
+                value += interval.value;
+                error += interval.error;
+                // An interval too narrow to halve in floating point stays as it is
+                const mid = (interval.a + interval.b) / 2;
+                if (mid > interval.a && mid < interval.b && (worst < 0 || interval.error > intervals[worst].error)) {
+                    worst = i;
                 }
+            });
+
+            if (error <= Math.max(tolerance, tolerance * Math.abs(value))) {
+                // The estimate can come out as 0; the sum is never closer than its rounding
+                return { value, error: Math.max(error, Number.EPSILON * Math.abs(value)), converged: true };
+            }
+            if (worst < 0 || intervals.length >= maxIntervals) {
+                const undefinedPart = intervals.some(interval => !isFinite(interval.value));
+                return {
+                    value: NaN,
+                    error: error,
+                    converged: false,
+                    reason: undefinedPart
+                        ? 'f is undefined or infinite on part of the interval'
+                        : 'the integral does not converge'
+                };
             }
 
-            values.push({ x: x, y: integral });
+            const { a: left, b: right } = intervals[worst];
+            const mid = (left + right) / 2;
+            intervals.splice(worst, 1, gaussKronrod(f, left, mid), gaussKronrod(f, mid, right));
+        }
+    }
+
+    function formatLimit(value) {
+        return String(parseFloat(value.toPrecision(6)));
+    }
+
+    /**
+     * Definite integral of an expression in x by adaptive quadrature
+     * @param {string} exprString - The integrand
+     * @param {number} a - Lower limit
+     * @param {number} b - Upper limit
+     * @returns {Object} - { valid: boolean, latex: string, value, error, converged, reason? }
+     */
+    function computeIntegral(exprString, a, b) {
+        const parsed = parseExpression(exprString);
+        if (!parsed.valid) {
+            return { valid: false, latex: '', value: NaN, error: Infinity, converged: false };
         }
 
         return {
             valid: true,
-            latex: `\\int ${parsed.latex}\\, dx`,
-            getValues: () => values,
-            expression: `integral of ${exprString}`
+            latex: `\\int_{${formatLimit(a)}}^{${formatLimit(b)}} ${parsed.latex}\\, dx`,
+            ...adaptiveIntegrate(x => parsed.evaluate(x), a, b),
+            expression: `integral of ${exprString} from ${a} to ${b}`
         };
     }
 
     /**
-     * Create an evaluator function for the integral at any point
-     * Uses precomputed values and interpolation
-     * @param {string} exprString - The expression
-     * @param {number} xMin - Domain start
-     * @param {number} xMax - Domain end
-     * @returns {Object} - { valid: boolean, latex: string, evaluate: (x) => number }
+     * The antiderivative F(x) = ∫ₐˣ f(τ) dτ with a chosen lower limit
+     * @param {string} exprString - The integrand
+     * @param {number} lower - Lower limit a, where F is 0
+     * @returns {Object} - { valid: boolean, latex: string, evaluate: (x) => number,
+     *                      values: (xs) => [number] F at many points at once, NaN beyond a part that does not converge }
      */
-    function createIntegralEvaluator(exprString, xMin, xMax) {
-        const integralData = computeIntegral(exprString, xMin, xMax, 1000);
-        if (!integralData.valid) {
+    function createIntegralEvaluator(exprString, lower) {
+        const parsed = parseExpression(exprString);
+        if (!parsed.valid) {
             return {
                 valid: false,
                 latex: '',
-                evaluate: () => NaN
+                evaluate: () => NaN,
+                values: xs => xs.map(() => NaN)
             };
         }
 
-        const values = integralData.getValues();
-
-        // Create interpolation function
-        const evaluate = (x) => {
-            if (x < xMin || x > xMax) return NaN;
-
-            // Find the two closest points
-            const t = (x - xMin) / (xMax - xMin);
-            const index = t * (values.length - 1);
-            const lowerIndex = Math.floor(index);
-            const upperIndex = Math.min(lowerIndex + 1, values.length - 1);
-
-            if (lowerIndex < 0) return values[0].y;
-            if (upperIndex >= values.length) return values[values.length - 1].y;
-
-            // Linear interpolation
-            const fraction = index - lowerIndex;
-            return values[lowerIndex].y + fraction * (values[upperIndex].y - values[lowerIndex].y);
+        const f = x => parsed.evaluate(x);
+        const evaluate = (x) => adaptiveIntegrate(f, lower, x).value;
+
+        // Integrate piece by piece outward from a, on each side, adding up as it goes
+        const values = (xs) => {
+            const results = new Map();
+            const above = xs.filter(x => x >= lower).sort((p, q) => p - q);
+            const below = xs.filter(x => x < lower).sort((p, q) => q - p);
+            for (const side of [above, below]) {
+                let from = lower;
+                let total = 0;
+                for (const x of side) {
+                    if (!isNaN(total)) {
+                        total += adaptiveIntegrate(f, from, x).value;
+                        from = x;
+                    }
+                    results.set(x, total);
+                }
+            }
+            return xs.map(x => results.get(x));
         };
 
+        // Written in τ, so x is free for the upper limit
+        const integrand = parsed.node
+            .transform(n => (n.isSymbolNode && n.name === 'x' ? new math.SymbolNode('tau') : n))
+            .toTex(TEX_OPTIONS);
+
         return {
             valid: true,
-            latex: integralData.latex,
+            latex: `\\int_{${formatLimit(lower)}}^{x} ${integrand}\\, d\\tau`,
             evaluate: evaluate,
-            expression: integralData.expression
+            values: values,
+            expression: `integral of ${exprString} from ${lower}`
         };
     }
 
@@ -294,11 +814,122 @@ const ExpressionParser = (function () {
         ];
     }
 
+    /**
+     * Put numbers in place of the free parameters of an expression, so the symbolic
+     * derivative and the formula see e.g. "2 * sin(0.5 * x)" for "a*sin(b*x)"
+     * @param {string} exprString - Expression with parameters
+     * @param {Object} values - { a: 2, b: 0.5 }
+     * @returns {string} - The expression with the values substituted
+     */
+    function substituteParameters(exprString, values) {
+        const node = math.parse(exprString).transform((n, path) => {
+            if (n.isSymbolNode && path !== 'fn' && Object.prototype.hasOwnProperty.call(values, n.name)) {
+                const constant = new math.ConstantNode(values[n.name]);
+                return values[n.name] < 0 ? new math.ParenthesisNode(constant) : constant;
+            }
+            return n;
+        });
+        return node.toString();
+    }
+
+    // Number held by a constant node or a negated one, looking through parentheses; null for anything else
+    function constantValue(node) {
+        while (node.isParenthesisNode) node = node.content;
+        if (node.isOperatorNode && node.fn === 'unaryMinus') {
+            const value = constantValue(node.args[0]);
+            return value === null ? null : -value;
+        }
+        return node.isConstantNode && typeof node.value === 'number' ? node.value : null;
+    }
+
+    /**
+     * Drop what substituting leaves behind: "1 * x", "0 * x", "x + 0", "x ^ 1",
+     * "x + (-2)" and "(-1.5) * x" become "x", "0", "x", "x", "x - 2" and "-1.5 * x"
+     * @param {Object} node - math.js node
+     * @returns {Object} - Tidied node
+     */
+    function tidy(node) {
+        node = node.map(child => tidy(child));
+
+        const value = constantValue(node);
+        if (node.isParenthesisNode && value !== null && value >= 0) return node.content;
+        if (!node.isOperatorNode || node.args.length !== 2) return node;
+
+        const [a, b] = node.args;
+        const va = constantValue(a);
+        const vb = constantValue(b);
+        const operator = (op, fn, args) => tidy(new math.OperatorNode(op, fn, args));
+        // The positive form of "-x" or "-1.5 * x", null for anything else
+        const negated = (n) => {
+            if (!n.isOperatorNode) return null;
+            if (n.fn === 'unaryMinus') return n.args[0];
+            const factor = n.fn === 'multiply' ? constantValue(n.args[0]) : null;
+            return factor < 0 && factor !== null ? operator('*', 'multiply', [new math.ConstantNode(-factor), n.args[1]]) : null;
+        };
+
+        switch (node.fn) {
+            case 'multiply':
+                if (va === 0 || vb === 0) return new math.ConstantNode(0);
+                if (va === 1) return b;
+                if (vb === 1) return a;
+                if (va === -1) return new math.OperatorNode('-', 'unaryMinus', [b]);
+                if (va < 0 && va !== null && !a.isConstantNode) {
+                    return new math.OperatorNode('*', 'multiply', [new math.ConstantNode(va), b]);
+                }
+                break;
+            case 'divide':
+                if (vb === 1) return a;
+                break;
+            case 'pow':
+                if (vb === 1) return a;
+                if (vb === 0) return new math.ConstantNode(1);
+                break;
+            case 'add':
+                if (va === 0) return b;
+                if (vb === 0) return a;
+                if (vb < 0 && vb !== null) return operator('-', 'subtract', [a, new math.ConstantNode(-vb)]);
+                if (negated(b)) return operator('-', 'subtract', [a, negated(b)]);
+                break;
+            case 'subtract':
+                if (vb === 0) return a;
+                if (vb < 0 && vb !== null) return operator('+', 'add', [a, new math.ConstantNode(-vb)]);
+                if (negated(b)) return operator('+', 'add', [a, negated(b)]);
+                if (va === 0) return new math.OperatorNode('-', 'unaryMinus', [b]);
+                break;
+        }
+        return node;
+    }
+
+    /**
+     * The formula of an expression at given parameter values, for display: values are
+     * rounded to 6 significant digits and the terms they make trivial are tidied away,
+     * e.g. "a * x^2 + b * x + c" at { a: 0, b: -1, c: 2 } gives "-x + 2"
+     * @param {string} exprString - Expression with parameters
+     * @param {Object} values - { a: 0, b: -1, c: 2 }
+     * @returns {string} - The readable expression
+     */
+    function formatFormula(exprString, values) {
+        const rounded = Object.fromEntries(Object.entries(values)
+            .map(([key, value]) => [key, parseFloat(value.toPrecision(6))]));
+        let node = tidy(math.parse(substituteParameters(exprString, rounded)));
+        while (node.isParenthesisNode) node = node.content;
+        return node.toString();
+    }
+
     // Public API
     return {
         parse: parseExpression,
+        substitute: substituteParameters,
+        formula: formatFormula,
+        parseDefinition: parseDefinition,
+        setDefinitions: setDefinitions,
+        getDefinitions: getDefinitions,
+        definitionsUsedBy: definitionsUsedBy,
+        parseComplex: parseComplexExpression,
+        parseImplicit: parseImplicitEquation,
         normalize: normalizeExpression,
         derivative: computeDerivative,
+        derivatives: computeDerivatives,
         numericalDerivative: computeNumericalDerivative,
         integral: computeIntegral,
         integralEvaluator: createIntegralEvaluator,
@@ -306,5 +937,9 @@ const ExpressionParser = (function () {
     };
 })();
 
-// Export for use in other modules
-window.ExpressionParser = ExpressionParser;
+// Export for use in other modules, or as a CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExpressionParser;
+} else {
+    window.ExpressionParser = ExpressionParser;
+}
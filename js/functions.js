@@ -1,225 +1,312 @@
 /**
  * Mathematical function definitions for Parallel Axes Visualizer
- * Each function includes: evaluate(), getDescription(), getDefaultParams()
+ * Built-ins are declared once with registerFunction(); the dropdown entry, the expression used
+ * for derivatives, integrals and their LaTeX, and the formula all come from that declaration
  */
 
+// The expression parser checks declarations; Node without mathjs registers without the check
+const FunctionParser = typeof window !== 'undefined'
+    ? window.ExpressionParser
+    : (() => {
+        try {
+            return require('./expression-parser.js');
+        } catch (e) {
+            return null;
+        }
+    })();
+
 const MathFunctions = {
     // ===== Custom Function (User Input) =====
     custom: {
         name: 'Custom',
         formula: 'y = f(x)',
         description: 'Enter your own mathematical expression using x as the variable',
-        params: {},
+        params: {}, // One per free symbol of the expression, set by main.js (see customParamConfigs)
         evaluate: (x, params) => {
             // Delegate to global custom evaluator set by main.js
-            if (window.customFunctionEvaluator) {
-                return window.customFunctionEvaluator(x);
+            if (typeof window !== 'undefined' && window.customFunctionEvaluator) {
+                return window.customFunctionEvaluator(x, params);
             }
             return x; // Default to y = x
-        },
-        getYRange: (xMin, xMax, params) => {
-            // Will be dynamically computed based on actual function values
-            return { yMin: -10, yMax: 10 };
         }
-    },
+    }
+};
 
-    // ===== Linear Functions =====
-    linear: {
-        name: 'Linear',
-        formula: 'y = x',
-        description: 'Linear function - all connecting lines are parallel, revealing the essence of direct proportionality',
-        params: {},
-        evaluate: (x, params) => x,
-        getYRange: (xMin, xMax, params) => ({ yMin: xMin, yMax: xMax })
-    },
+// ===== Registry =====
 
+// x values where a custom evaluator is compared with the declared expression
+const CHECK_POINTS = [-2.5, -1, -0.5, 0, 0.5, 1, 2.5];
+const NAME_PATTERN = /^[A-Za-z_]\w*$/;
 
-    linearCustom: {
-        name: 'Linear (Custom)',
-        formula: 'y = mx + b',
-        description: 'Adjustable linear function - slope (m) controls the angle of parallel lines, intercept (b) shifts them',
-        params: {
-            m: { label: 'Slope (m)', min: -5, max: 5, step: 0.1, default: 1 },
-            b: { label: 'Intercept (b)', min: -10, max: 10, step: 0.5, default: 0 }
-        },
-        evaluate: (x, params) => params.m * x + params.b,
-        getYRange: (xMin, xMax, params) => {
-            const y1 = params.m * xMin + params.b;
-            const y2 = params.m * xMax + params.b;
-            return { yMin: Math.min(y1, y2), yMax: Math.max(y1, y2) };
-        }
-    },
+/**
+ * Declare a built-in function
+ * @param {string} key - Identifier used in links and scenes, e.g. 'quadraticFull'
+ * @param {Object} spec - {
+ *     name: 'Quadratic (Full)', category: 'Polynomial' (dropdown group), description,
+ *     expression: 'a * x^2 + b * x + c' in math.js syntax, used for calculus and its LaTeX,
+ *     formula?: 'y = ax² + bx + c' display text (default "y = " + expression); with the parameter
+ *               values filled in, the expression is shown instead (see getFormattedFormula),
+ *     params?: { a: { label, min, max, step, default } },
+ *     evaluate?: (x, params) => y, a faster evaluator that must agree with the expression
+ * }
+ * @returns {Object} - The registered entry in MathFunctions
+ * @throws {Error} - When the declaration is malformed
+ */
+function registerFunction(key, spec) {
+    const fail = (message) => {
+        throw new Error(`Cannot register function "${key}": ${message}`);
+    };
 
-    // ===== Polynomial Functions =====
-    quadratic: {
-        name: 'Quadratic',
-        formula: 'y = x²',
-        description: 'Quadratic function - creates a beautiful "bowtie" pattern where lines converge at the origin',
-        params: {},
-        evaluate: (x, params) => x * x,
-        getYRange: (xMin, xMax, params) => {
-            const absMax = Math.max(Math.abs(xMin), Math.abs(xMax));
-            return { yMin: 0, yMax: absMax * absMax };
-        }
-    },
+    if (typeof key !== 'string' || !NAME_PATTERN.test(key)) fail('the key must be an identifier');
+    if (Object.prototype.hasOwnProperty.call(MathFunctions, key)) fail('the key is already registered');
+    if (!spec || typeof spec !== 'object') fail('the declaration must be an object');
+    for (const field of ['name', 'category', 'description', 'expression']) {
+        if (typeof spec[field] !== 'string' || spec[field].trim() === '') fail(`"${field}" must be a non-empty string`);
+    }
+    if (spec.formula !== undefined && typeof spec.formula !== 'string') fail('"formula" must be a string');
+    if (spec.evaluate !== undefined && typeof spec.evaluate !== 'function') fail('"evaluate" must be a function');
 
-    cubic: {
-        name: 'Cubic',
-        formula: 'y = x³',
-        description: 'Cubic function - asymmetric pattern with lines crossing through the origin in an S-curve fashion',
-        params: {},
-        evaluate: (x, params) => x * x * x,
-        getYRange: (xMin, xMax, params) => {
-            const y1 = xMin * xMin * xMin;
-            const y2 = xMax * xMax * xMax;
-            return { yMin: Math.min(y1, y2), yMax: Math.max(y1, y2) };
+    const params = spec.params || {};
+    const defaults = {};
+    for (const [name, config] of Object.entries(params)) {
+        const { label, min, max, step, default: value } = config || {};
+        if (!NAME_PATTERN.test(name) || name === 'x') fail(`parameter "${name}" needs a plain name other than x`);
+        if (typeof label !== 'string' || ![min, max, step, value].every(Number.isFinite) ||
+            min >= max || step <= 0 || value < min || value > max) {
+            fail(`parameter "${name}" needs a label, min < max, step > 0 and a default within the range`);
         }
-    },
+        defaults[name] = value;
+    }
+
+    // The expression must parse in x and the parameters, and match a hand-written evaluator
+    let evaluate = spec.evaluate;
+    if (FunctionParser) {
+        const names = Object.keys(params);
+        const parsed = FunctionParser.parse(spec.expression, { variables: ['x', ...names] });
+        if (!parsed.valid) fail(`invalid expression "${spec.expression}": ${parsed.error}`);
+        const fromExpression = (x, values) => parsed.evaluate(x, ...names.map(name => values[name]));
 
-    quadraticFull: {
-        name: 'Quadratic (Full)',
-        formula: 'y = ax² + bx + c',
-        description: 'General quadratic - adjust coefficients to see how the parabola pattern transforms',
-        params: {
-            a: { label: 'Coefficient a', min: -3, max: 3, step: 0.1, default: 1 },
-            b: { label: 'Coefficient b', min: -5, max: 5, step: 0.5, default: 0 },
-            c: { label: 'Constant c', min: -10, max: 10, step: 0.5, default: 0 }
-        },
-        evaluate: (x, params) => params.a * x * x + params.b * x + params.c,
-        getYRange: (xMin, xMax, params) => {
-            // Sample multiple points to find range
-            const samples = [];
-            for (let i = 0; i <= 20; i++) {
-                const x = xMin + (xMax - xMin) * i / 20;
-                samples.push(params.a * x * x + params.b * x + params.c);
+        if (evaluate) {
+            for (const x of CHECK_POINTS) {
+                const expected = fromExpression(x, defaults);
+                const actual = evaluate(x, defaults);
+                const agree = isFinite(expected)
+                    ? Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected))
+                    : !isFinite(actual);
+                if (!agree) fail(`evaluate() gives ${actual} at x = ${x}, the expression gives ${expected}`);
             }
-            return { yMin: Math.min(...samples), yMax: Math.max(...samples) };
+        } else {
+            evaluate = fromExpression;
         }
-    },
+    } else if (!evaluate) {
+        fail('"evaluate" is needed when the expression parser is not loaded');
+    }
 
-    // ===== Trigonometric Functions =====
-    sin: {
-        name: 'Sine',
-        formula: 'y = sin(x)',
-        description: 'Sine wave - creates mesmerizing oscillating patterns that weave between -1 and 1',
-        params: {},
-        evaluate: (x, params) => Math.sin(x),
-        getYRange: (xMin, xMax, params) => ({ yMin: -1.2, yMax: 1.2 })
-    },
+    const entry = {
+        name: spec.name,
+        category: spec.category,
+        formula: spec.formula || `y = ${spec.expression}`,
+        description: spec.description,
+        expression: spec.expression,
+        params,
+        evaluate
+    };
+    MathFunctions[key] = entry;
+    return entry;
+}
 
-    cos: {
-        name: 'Cosine',
-        formula: 'y = cos(x)',
-        description: 'Cosine wave - similar to sine but phase-shifted, creating a different weaving pattern',
-        params: {},
-        evaluate: (x, params) => Math.cos(x),
-        getYRange: (xMin, xMax, params) => ({ yMin: -1.2, yMax: 1.2 })
-    },
+/**
+ * Registered functions by dropdown group, in registration order (the custom function is not listed)
+ * @returns {Array} - [{ category: 'Linear', keys: ['linear', 'linearCustom'] }, ...]
+ */
+function getFunctionCategories() {
+    const groups = [];
+    for (const [key, func] of Object.entries(MathFunctions)) {
+        if (key === 'custom') continue;
+        let group = groups.find(g => g.category === func.category);
+        if (!group) {
+            group = { category: func.category, keys: [] };
+            groups.push(group);
+        }
+        group.keys.push(key);
+    }
+    return groups;
+}
 
-    tan: {
-        name: 'Tangent',
-        formula: 'y = tan(x)',
-        description: 'Tangent function - dramatic vertical asymptotes create striking discontinuous patterns',
-        params: {},
-        evaluate: (x, params) => {
-            return Math.tan(x);
-        },
-        getYRange: (xMin, xMax, params) => ({ yMin: -10, yMax: 10 })
-    },
+// ===== Built-in Functions =====
 
-    // ===== Other Functions =====
-    sqrt: {
-        name: 'Square Root',
-        formula: 'y = √x',
-        description: 'Square root - only defined for x ≥ 0, lines fan out from origin with decreasing slope',
-        params: {},
-        evaluate: (x, params) => x >= 0 ? Math.sqrt(x) : NaN,
-        getYRange: (xMin, xMax, params) => {
-            const effectiveMin = Math.max(0, xMin);
-            return { yMin: 0, yMax: Math.sqrt(Math.max(0, xMax)) + 0.5 };
-        }
-    },
+// ===== Linear Functions =====
+registerFunction('linear', {
+    name: 'Linear',
+    category: 'Linear',
+    expression: 'x',
+    description: 'Linear function - all connecting lines are parallel, revealing the essence of direct proportionality',
+    evaluate: (x, params) => x
+});
 
-    abs: {
-        name: 'Absolute Value',
-        formula: 'y = |x|',
-        description: 'Absolute value - creates a symmetric "V" pattern with lines meeting at origin',
-        params: {},
-        evaluate: (x, params) => Math.abs(x),
-        getYRange: (xMin, xMax, params) => {
-            const absMax = Math.max(Math.abs(xMin), Math.abs(xMax));
-            return { yMin: 0, yMax: absMax };
-        }
+registerFunction('linearCustom', {
+    name: 'Linear (Custom)',
+    category: 'Linear',
+    expression: 'm * x + b',
+    formula: 'y = mx + b',
+    description: 'Adjustable linear function - slope (m) controls the angle of parallel lines, intercept (b) shifts them',
+    params: {
+        m: { label: 'Slope (m)', min: -5, max: 5, step: 0.1, default: 1 },
+        b: { label: 'Intercept (b)', min: -10, max: 10, step: 0.5, default: 0 }
     },
+    evaluate: (x, params) => params.m * x + params.b
+});
 
-    reciprocal: {
-        name: 'Reciprocal',
-        formula: 'y = 1/x',
-        description: 'Reciprocal function - hyperbolic pattern with asymptote at x = 0',
-        params: {},
-        evaluate: (x, params) => {
-            if (x === 0) return NaN;
-            return 1 / x;
-        },
-        getYRange: (xMin, xMax, params) => ({ yMin: -10, yMax: 10 })
-    },
+// ===== Polynomial Functions =====
+registerFunction('quadratic', {
+    name: 'Quadratic',
+    category: 'Polynomial',
+    expression: 'x^2',
+    formula: 'y = x²',
+    description: 'Quadratic function - creates a beautiful "bowtie" pattern where lines converge at the origin',
+    evaluate: (x, params) => x * x
+});
 
-    exp: {
-        name: 'Exponential',
-        formula: 'y = eˣ',
-        description: 'Exponential growth - lines spread dramatically for positive x, compress for negative',
-        params: {},
-        evaluate: (x, params) => {
-            return Math.exp(x);
-        },
-        getYRange: (xMin, xMax, params) => {
-            return { yMin: 0, yMax: Math.exp(xMax) };
-        }
+registerFunction('cubic', {
+    name: 'Cubic',
+    category: 'Polynomial',
+    expression: 'x^3',
+    formula: 'y = x³',
+    description: 'Cubic function - asymmetric pattern with lines crossing through the origin in an S-curve fashion',
+    evaluate: (x, params) => x * x * x
+});
+
+registerFunction('quadraticFull', {
+    name: 'Quadratic (Full)',
+    category: 'Polynomial',
+    expression: 'a * x^2 + b * x + c',
+    formula: 'y = ax² + bx + c',
+    description: 'General quadratic - adjust coefficients to see how the parabola pattern transforms',
+    params: {
+        a: { label: 'Coefficient a', min: -3, max: 3, step: 0.1, default: 1 },
+        b: { label: 'Coefficient b', min: -5, max: 5, step: 0.5, default: 0 },
+        c: { label: 'Constant c', min: -10, max: 10, step: 0.5, default: 0 }
     },
+    evaluate: (x, params) => params.a * x * x + params.b * x + params.c
+});
 
-    log: {
-        name: 'Natural Log',
-        formula: 'y = ln(x)',
-        description: 'Natural logarithm - only defined for x > 0, inverse of exponential',
-        params: {},
-        evaluate: (x, params) => x > 0 ? Math.log(x) : NaN,
-        getYRange: (xMin, xMax, params) => {
-            const effectiveMin = Math.max(0.01, xMin);
-            return {
-                yMin: Math.log(effectiveMin),
-                yMax: Math.log(Math.max(0.01, xMax))
-            };
-        }
+// ===== Trigonometric Functions =====
+registerFunction('sin', {
+    name: 'Sine',
+    category: 'Trigonometric',
+    expression: 'sin(x)',
+    description: 'Sine wave - creates mesmerizing oscillating patterns that weave between -1 and 1',
+    evaluate: (x, params) => Math.sin(x)
+});
+
+registerFunction('cos', {
+    name: 'Cosine',
+    category: 'Trigonometric',
+    expression: 'cos(x)',
+    description: 'Cosine wave - similar to sine but phase-shifted, creating a different weaving pattern',
+    evaluate: (x, params) => Math.cos(x)
+});
+
+registerFunction('tan', {
+    name: 'Tangent',
+    category: 'Trigonometric',
+    expression: 'tan(x)',
+    description: 'Tangent function - dramatic vertical asymptotes create striking discontinuous patterns',
+    evaluate: (x, params) => Math.tan(x)
+});
+
+// ===== Other Functions =====
+registerFunction('sqrt', {
+    name: 'Square Root',
+    category: 'Other',
+    expression: 'sqrt(x)',
+    formula: 'y = √x',
+    description: 'Square root - only defined for x ≥ 0, lines fan out from origin with decreasing slope',
+    evaluate: (x, params) => x >= 0 ? Math.sqrt(x) : NaN
+});
+
+registerFunction('abs', {
+    name: 'Absolute Value',
+    category: 'Other',
+    expression: 'abs(x)',
+    formula: 'y = |x|',
+    description: 'Absolute value - creates a symmetric "V" pattern with lines meeting at origin',
+    evaluate: (x, params) => Math.abs(x)
+});
+
+registerFunction('reciprocal', {
+    name: 'Reciprocal',
+    category: 'Other',
+    expression: '1 / x',
+    formula: 'y = 1/x',
+    description: 'Reciprocal function - hyperbolic pattern with asymptote at x = 0',
+    evaluate: (x, params) => {
+        if (x === 0) return NaN;
+        return 1 / x;
     }
-};
+});
+
+registerFunction('exp', {
+    name: 'Exponential',
+    category: 'Other',
+    expression: 'exp(x)',
+    formula: 'y = eˣ',
+    description: 'Exponential growth - lines spread dramatically for positive x, compress for negative',
+    evaluate: (x, params) => Math.exp(x)
+});
 
-// Helper to get formatted formula with current parameter values
+registerFunction('log', {
+    name: 'Natural Log',
+    category: 'Other',
+    expression: 'log(x)',
+    formula: 'y = ln(x)',
+    description: 'Natural logarithm - only defined for x > 0, inverse of exponential',
+    evaluate: (x, params) => x > 0 ? Math.log(x) : NaN
+});
+
+/**
+ * Formula of a function with its current parameter values, e.g. "y = 2.5 * x + 1" for linearCustom.
+ * The values go into the expression tree, not the text, so a parameter named like part of a
+ * function name (a in tan) is left alone
+ * @param {string} funcKey - Registered function key
+ * @param {Object} params - Parameter values
+ * @returns {string} - The declared formula when there are no values to fill in
+ */
 function getFormattedFormula(funcKey, params) {
     const func = MathFunctions[funcKey];
     if (!func) return '';
 
-    let formula = func.formula;
-
-    // Replace parameter placeholders with actual values
-    if (params) {
-        for (const [key, value] of Object.entries(params)) {
-            // Handle special formatting
-            if (key === 'm' && value === 1) {
-                formula = formula.replace('m', '');
-            } else if (key === 'm' && value === -1) {
-                formula = formula.replace('m', '-');
-            } else if (value < 0) {
-                formula = formula.replace(`+ ${key}`, `- ${Math.abs(value)}`);
-                formula = formula.replace(key, value.toString());
-            } else {
-                formula = formula.replace(key, value.toString());
-            }
-        }
+    if (!params || !func.expression || Object.keys(func.params || {}).length === 0 || !FunctionParser) {
+        return func.formula;
     }
+    return 'y = ' + FunctionParser.formula(func.expression, params);
+}
+
+// Slider range for a free parameter of a custom expression until the user edits it
+const CUSTOM_PARAM_RANGE = { min: -10, max: 10, step: 0.1 };
 
-    return formula;
+/**
+ * Parameter configs for the free symbols of a custom expression, shaped like the built-ins' params
+ * @param {Array} names - Parameter names in order of appearance, e.g. ['a', 'b']
+ * @param {Object} ranges - Optional { a: { min, max, step } }; other names get CUSTOM_PARAM_RANGE
+ * @returns {Object} - { a: { label, min, max, step, default }, ... }, each default 1 clamped into range
+ */
+function customParamConfigs(names, ranges = {}) {
+    const configs = {};
+    for (const name of names) {
+        const { min, max, step } = ranges[name] || CUSTOM_PARAM_RANGE;
+        configs[name] = { label: name, min, max, step, default: Math.min(max, Math.max(min, 1)) };
+    }
+    return configs;
 }
 
-// Export for use in main.js
-window.MathFunctions = MathFunctions;
-window.getFormattedFormula = getFormattedFormula;
+// Export for use in main.js, or as a CommonJS module in Node (see core.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MathFunctions, registerFunction, getFunctionCategories, getFormattedFormula, customParamConfigs };
+} else {
+    window.MathFunctions = MathFunctions;
+    window.registerFunction = registerFunction;
+    window.getFunctionCategories = getFunctionCategories;
+    window.getFormattedFormula = getFormattedFormula;
+    window.customParamConfigs = customParamConfigs;
+}
@@ -24,6 +24,14 @@ class ParallelAxesVisualizer {
         this.animationSpeed = 5;
         this.animationId = null;
 
+        // Parameter sweep: Play animates this.params between keyframes instead of revealing lines
+        this.animationMode = 'reveal';   // 'reveal' | 'sweep'
+        this.sweepKeyframes = [];        // [{ at: 0..1, params }] sorted by at
+        this.sweepDuration = 4;          // Seconds per pass over the keyframes
+        this.sweepRepeat = 'loop';       // 'once' | 'loop' | 'pingpong'
+        this.sweepEasing = 'easeInOut';  // Key of ParameterSweep.EASINGS
+        this.sweepPosition = 0;          // Timeline position, 0..1
+
         // Visual options
         this.lineColorMode = 'gradient';
         this.showGrid = true;
@@ -35,22 +43,123 @@ class ParallelAxesVisualizer {
         // Calculus options
         this.showDerivative = false;
         this.showIntegral = false;
-        this.derivativeData = null;  // { latex, evaluate }
-        this.integralData = null;    // { latex, evaluate }
+        this.derivativeOrder = 1;    // Highest derivative shown: 1 for f' only, 2 adds f'', ...
+        this.derivatives = [];       // One per order: { order, data: see ExpressionParser.derivative, points: [{x, y}] }
+        this.integralData = null;    // F(x) = ∫ₐˣ f, see ExpressionParser.integralEvaluator
+        this.integralLower = 0;      // a: where F starts, and the lower limit of the shaded area
+        this.integralUpper = 1;      // b: upper limit of the shaded area
+        this.integralArea = null;    // ∫ₐᵇ f dx, see ExpressionParser.integral, plus samples: [{x, y}] of f to shade
         this.customExpression = '';  // Current custom expression string
+
+        // Zoom and pan: both views share xMin/xMax and the Y range, so they stay linked
+        this.yRangeOverride = null;  // { yMin, yMax } set by hand or by zooming; null = use the Y fit
+        this.homeView = { xMin: this.xMin, xMax: this.xMax }; // Where Reset View returns to
+        this.panDrag = null;         // { target: 'cartesian' | 'x' | 'y', startX, startY, view }
+
+        // Axis scales in function mode, shared by both views: 'linear' | 'log' | 'symlog'
+        this.xScale = 'linear';
+        this.yScale = 'linear';
+        this.axisLayout = 'parallel'; // 'parallel' (straight axes) | 'circular' (concentric rings)
+
+        // Brushing: value ranges on the X and Y axes, combined with AND
+        this.brushes = { x: null, y: null }; // { min, max } in axis values
+        this.brushDrag = null;               // { axis, mode: 'create' | 'move' | 'min' | 'max', anchor, origin, moved }
+        this.yAxisTool = 'preimage';         // What dragging on the Y axis does: 'preimage' or 'brush'
+
+        // Preimage query: every x with f(x) = y for a y picked on the Y axis
+        this.preimage = null;        // { y, roots: [x], intervals: [{ from, to }] }
+        this.preimageDragging = false;
+
+        // Roots, extrema and inflection points of the base function
+        this.showFeatures = false;
+        this.features = null;        // { roots, minima, maxima, inflections, symbolic } - see AxesCore.findFeatures
+        this.featureStyles = {
+            roots: { label: 'Root', glyph: '●', color: '#e2e8f0' },
+            maxima: { label: 'Maximum', glyph: '▲', color: '#f87171' },
+            minima: { label: 'Minimum', glyph: '▼', color: '#60a5fa' },
+            inflections: { label: 'Inflection', glyph: '◆', color: '#c084fc' }
+        };
+
+        // Envelope of the line family (line-point duality)
+        this.showEnvelope = false;
+        this.envelope = { dualPoint: null, curves: [], linear: false }; // Axis fractions, see AxesCore.dualPoint
         this.customExpressionValid = false;
+        this.customConditions = [];  // Conditions of a piecewise custom expression (see ExpressionParser.parse)
 
         // Layout
         this.padding = { top: 60, bottom: 60, left: 80, right: 80 };
         this.axisGap = 0; // Will be calculated
 
+        // Overlay layers - additional functions drawn on the same axes
+        this.layers = [];            // [{ id, functionKey, params, expression, evaluate, color, visible, dataPoints, segments, breaks, yMin, yMax }]
+        this.nextLayerId = 1;
+        this.layerYRange = 'shared'; // 'shared' = one Y range for all, 'perLayer' = each layer fits its own
+        this.layerColors = ['#fbbf24', '#34d399', '#60a5fa', '#f87171', '#a78bfa', '#e879f9'];
+        this.derivativeColors = ['#22c55e', '#2dd4bf', '#a3e635', '#facc15']; // f', f'', f''', f⁗
+
+        // View mode: 'function' draws the base function and overlays on two axes,
+        // 'chain' composes base → layers in order, one intermediate axis per stage
+        this.viewMode = 'function';
+        this.chainAxes = [];         // [{ label, min, max, color }] from bottom (x) to top
+        this.chainPolylines = [];    // [{ index, values: [x, u1, u2, ...] }] (null once a stage is undefined)
+
+        // Surface mode: z = f(x, y) sampled on a grid, one polyline across X, Y, Z per sample
+        this.surfaceExpression = 'sin(x) * cos(y)';
+        this.surfaceEvaluate = null;  // (x, y) => z
+        this.surfaceYMin = -5;
+        this.surfaceYMax = 5;
+        this.surfaceGridSize = 15;    // Samples per domain → gridSize² polylines
+        this.surfaceAxisOrder = 'xyz';
+        this.surfaceCartesianView = 'heatmap'; // 'heatmap' | 'contour'
+        this.surfaceAxes = [];
+        this.surfacePolylines = [];
+        this.surfaceHeatmap = null;   // { res, values, zMin, zMax } finer grid for the Cartesian panel
+
+        // Complex mode: w = f(z) sampled on a contour in the region [xMin, xMax] × [complexImMin, complexImMax]·i,
+        // one polyline across Re z, Im z, Re w, Im w (or |z|, arg z, |w|, arg w) per sample
+        this.complexExpression = 'z^2';
+        this.complexEvaluate = null;  // (re, im) => { re, im }
+        this.complexImMin = -2;
+        this.complexImMax = 2;
+        this.complexContour = 'grid'; // 'grid' | 'line' | 'circle'
+        this.complexDensity = 15;     // Grid samples per side; a line or circle gets density² samples
+        this.complexAxisMode = 'cartesian'; // 'cartesian' (Re/Im) | 'polar' (modulus/argument)
+        this.complexAxes = [];
+        this.complexPolylines = [];
+        this.complexSamples = [];     // [{ z: { re, im }, w: { re, im } | null }] in contour order
+        this.complexBounds = null;    // { xMin, xMax, yMin, yMax } of the Cartesian panel, covering both planes
+
+        // Implicit mode: F(x, y) = 0 solved for every y at each sampled x, one line per solution
+        this.implicitExpression = 'x^2 + y^2 = 9';
+        this.implicitEvaluate = null; // (x, y) => F
+        this.implicitYMin = -5;
+        this.implicitYMax = 5;
+        this.implicitAxes = [];
+        this.implicitPolylines = [];  // [{ index, values: [x, y], t, branch }]
+        this.implicitGrid = null;     // { res, values } F on a grid for the Cartesian contour
+
+        // Dataset mode: numeric columns of an imported CSV/JSON file, one axis per column
+        this.dataset = null;          // { name, columns: [{ name, values, min, max }], rowCount, skipped }
+        this.datasetOrder = [];       // Column indices from the bottom axis to the top
+        this.datasetRanges = [];      // Per-column { min, max } shown on its axis
+        this.datasetCartX = 0;        // Columns used by the Cartesian panel and the tooltip
+        this.datasetCartY = 1;
+        this.datasetAxes = [];
+        this.datasetPolylines = [];
+
+        // Shareable URL state (see VisualizerState)
+        this.hashUpdateTimer = null;
+
         // Hover state
         this.hoveredLine = null;
+        this.hoveredLayerId = null; // null = base function, otherwise the id of an overlay layer
         this.tooltip = document.getElementById('tooltip');
 
         // Data points for current function
         this.dataPoints = [];
-        this.derivativePoints = [];  // Data points for f'(x)
+        this.curveSegments = [];     // Adaptively sampled continuous pieces of the graph
+        this.breaks = [];            // Poles, jumps and domain gaps (see AxesCore.analyzeFunction)
+        this.pieceBoundaries = [];   // x where a piecewise custom expression switches pieces, not already a break
         this.integralPoints = [];    // Data points for ∫f(x)dx
 
         // Initialize
@@ -59,8 +168,10 @@ class ParallelAxesVisualizer {
 
     init() {
         this.setupCanvas();
+        this.populateFunctionSelect();
         this.bindEvents();
         this.loadFunctionParams();
+        this.restoreStateFromHash();
         this.calculateDataPoints();
         this.render();
 
@@ -101,6 +212,25 @@ class ParallelAxesVisualizer {
         this.axisGap = this.width - this.padding.left - this.padding.right;
     }
 
+    /**
+     * Add the registered built-ins to the function dropdown, one group per category
+     */
+    populateFunctionSelect() {
+        const select = document.getElementById('functionSelect');
+        for (const { category, keys } of getFunctionCategories()) {
+            const group = document.createElement('optgroup');
+            group.label = category;
+            for (const key of keys) {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = MathFunctions[key].formula;
+                group.appendChild(option);
+            }
+            select.appendChild(group);
+        }
+        select.value = this.currentFunction;
+    }
+
     handleResize() {
         this.setupCanvas();
         this.render();
@@ -143,16 +273,37 @@ class ParallelAxesVisualizer {
         // X range inputs
         document.getElementById('xMin').addEventListener('change', (e) => {
             this.xMin = parseFloat(e.target.value);
+            this.homeView.xMin = this.xMin;
             this.calculateDataPoints();
             this.render();
         });
 
         document.getElementById('xMax').addEventListener('change', (e) => {
             this.xMax = parseFloat(e.target.value);
+            this.homeView.xMax = this.xMax;
             this.calculateDataPoints();
             this.render();
         });
 
+        // Manual Y range: both bounds set overrides the Y fit, a blank bound returns to it
+        for (const id of ['yRangeMin', 'yRangeMax']) {
+            document.getElementById(id).addEventListener('change', () => this.handleYRangeInput());
+        }
+
+        document.getElementById('resetViewBtn').addEventListener('click', () => this.resetView());
+
+        // Axis scales
+        document.getElementById('xScale').addEventListener('change', (e) => this.setAxisScale('x', e.target.value));
+        document.getElementById('yScale').addEventListener('change', (e) => this.setAxisScale('y', e.target.value));
+
+        // Zoom and pan
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e, 'parallel'), { passive: false });
+        this.cartesianCanvas.addEventListener('wheel', (e) => this.handleWheel(e, 'cartesian'), { passive: false });
+        this.cartesianCanvas.addEventListener('mousedown', (e) => this.handleCartesianMouseDown(e));
+        window.addEventListener('mousemove', (e) => {
+            if (this.panDrag) this.updatePan(e);
+        });
+
         // Y Squash toggle button (3 states)
         // 0: Standard (1:1)
         // 1: Fit Min/Max (tight fit)
@@ -161,37 +312,45 @@ class ParallelAxesVisualizer {
         if (ySquashBtn) {
             ySquashBtn.addEventListener('click', () => {
                 this.ySquash = (this.ySquash + 1) % 3;
-
-                // Update Button State
-                ySquashBtn.classList.remove('btn-secondary', 'active', 'btn-symmetric');
-                ySquashBtn.style.backgroundColor = ''; // Clear inline styles
-                ySquashBtn.style.borderColor = '';
-
-                if (this.ySquash === 0) {
-                    ySquashBtn.classList.add('btn-secondary');
-                    ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 1v14M1 8h14M3 3l10 10M13 3L3 13"/></svg> Standard Scale (1:1)';
-                } else if (this.ySquash === 1) {
-                    ySquashBtn.classList.add('active');
-                    ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M13.78 4.22a.75.75 0 010 1.06l-7.25 7.25a.75.75 0 01-1.06 0L2.22 9.28a.75.75 0 011.06-1.06L6 10.94l6.72-6.72a.75.75 0 011.06 0z"/></svg> Fit Y to Min/Max';
-                } else {
-                    ySquashBtn.classList.add('active');
-                    ySquashBtn.style.backgroundColor = '#a855f7'; // Purple for symmetric
-                    ySquashBtn.style.borderColor = '#9333ea';
-                    ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a.75.75 0 01.75.75v14.5a.75.75 0 01-1.5 0V.75A.75.75 0 018 0zM1 8a.75.75 0 01.75-.75h12.5a.75.75 0 010 1.5H1.75A.75.75 0 011 8z"/></svg> Symmetric Fit';
-                }
-
+                this.yRangeOverride = null;
+                this.updateYSquashButton();
                 this.calculateDataPoints();
                 this.render();
             });
 
             // Initialize button state
-            ySquashBtn.classList.add('btn-secondary');
-            ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 1v14M1 8h14M3 3l10 10M13 3L3 13"/></svg> Standard Scale (1:1)';
+            this.updateYSquashButton();
         }
 
         // Animation controls
         document.getElementById('playBtn').addEventListener('click', () => this.toggleAnimation());
-        document.getElementById('resetBtn').addEventListener('click', () => this.resetAnimation());
+        document.getElementById('resetBtn').addEventListener('click', () => {
+            this.resetAnimation();
+            if (this.animationMode === 'sweep') {
+                this.applySweepPosition(0);
+            }
+        });
+
+        // Parameter sweep
+        document.getElementById('animationMode').addEventListener('change', (e) => {
+            this.setAnimationMode(e.target.value);
+        });
+
+        document.getElementById('addKeyframeBtn').addEventListener('click', () => this.addKeyframe());
+
+        const sweepDurationSlider = document.getElementById('sweepDuration');
+        sweepDurationSlider.addEventListener('input', (e) => {
+            this.sweepDuration = parseFloat(e.target.value);
+            document.getElementById('sweepDurationValue').textContent = this.sweepDuration + 's';
+        });
+
+        document.getElementById('sweepRepeat').addEventListener('change', (e) => {
+            this.sweepRepeat = e.target.value;
+        });
+
+        document.getElementById('sweepEasing').addEventListener('change', (e) => {
+            this.sweepEasing = e.target.value;
+        });
 
         // Animation speed
         const speedSlider = document.getElementById('animSpeed');
@@ -206,6 +365,8 @@ class ParallelAxesVisualizer {
             this.render();
         });
 
+        document.getElementById('axisLayout').addEventListener('change', (e) => this.setAxisLayout(e.target.value));
+
         document.getElementById('showGrid').addEventListener('change', (e) => {
             this.showGrid = e.target.checked;
             this.render();
@@ -240,6 +401,34 @@ class ParallelAxesVisualizer {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
 
+        // Preimage query: press on the Y axis, drag along it
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mouseup', () => {
+            this.preimageDragging = false;
+            this.endBrushDrag();
+            this.panDrag = null;
+        });
+
+        const yAxisToolSelect = document.getElementById('yAxisTool');
+        if (yAxisToolSelect) {
+            yAxisToolSelect.addEventListener('change', (e) => {
+                this.yAxisTool = e.target.value;
+            });
+        }
+
+        const brushClearBtn = document.getElementById('brushClearBtn');
+        if (brushClearBtn) {
+            brushClearBtn.addEventListener('click', () => this.clearBrushes());
+        }
+
+        const preimageClearBtn = document.getElementById('preimageClearBtn');
+        if (preimageClearBtn) {
+            preimageClearBtn.addEventListener('click', () => this.clearPreimage());
+        }
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.preimage) this.clearPreimage();
+        });
+
         // Mouse events for hover - Cartesian (bidirectional)
         this.cartesianCanvas.addEventListener('mousemove', (e) => this.handleCartesianMouseMove(e));
         this.cartesianCanvas.addEventListener('mouseleave', () => this.handleMouseLeave());
@@ -265,8 +454,17 @@ class ParallelAxesVisualizer {
             });
         }
 
+        // Definitions are installed before the hash is restored, so a linked expression can use them
+        const loaded = DefinitionLibrary.load();
+        document.getElementById('definitionError').textContent = loaded.valid ? '' : loaded.error;
+        document.getElementById('defineBtn').addEventListener('click', () => this.addDefinition());
+        document.getElementById('definitionInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.addDefinition();
+        });
+        this.renderDefinitionList();
+
         // Expression hint buttons
-        document.querySelectorAll('.hint-btn').forEach(btn => {
+        document.querySelectorAll('.hint-btn[data-expr]').forEach(btn => {
             btn.addEventListener('click', () => {
                 const expr = btn.dataset.expr;
                 const input = document.getElementById('customExpressionInput');
@@ -288,6 +486,12 @@ class ParallelAxesVisualizer {
             });
         }
 
+        document.getElementById('derivativeOrder').addEventListener('change', (e) => {
+            this.derivativeOrder = parseInt(e.target.value, 10);
+            this.calculateCalculusPoints();
+            this.render();
+        });
+
         const integralToggle = document.getElementById('showIntegral');
         if (integralToggle) {
             integralToggle.addEventListener('change', (e) => {
@@ -297,476 +501,3647 @@ class ParallelAxesVisualizer {
                 this.updateCalculusFormulas();
             });
         }
-    }
 
-    loadFunctionParams() {
-        const func = MathFunctions[this.currentFunction];
-        const container = document.getElementById('parameterControls');
-        container.innerHTML = '';
+        // Integral limits; anything but a number puts the previous limit back
+        for (const field of ['integralLower', 'integralUpper']) {
+            document.getElementById(field).addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                if (!isFinite(value)) {
+                    e.target.value = this[field];
+                    return;
+                }
+                this[field] = value;
+                this.calculateCalculusPoints();
+                this.render();
+            });
+        }
 
-        this.params = {};
+        // Envelope toggle
+        const envelopeToggle = document.getElementById('showEnvelope');
+        if (envelopeToggle) {
+            envelopeToggle.addEventListener('change', (e) => {
+                this.showEnvelope = e.target.checked;
+                this.calculateEnvelope();
+                this.render();
+            });
+        }
 
-        if (!func.params || Object.keys(func.params).length === 0) {
-            document.getElementById('parametersSection').style.display = 'none';
-            return;
+        // Feature markers toggle
+        const featuresToggle = document.getElementById('showFeatures');
+        if (featuresToggle) {
+            featuresToggle.addEventListener('change', (e) => {
+                this.showFeatures = e.target.checked;
+                this.calculateFeatures();
+                this.render();
+            });
         }
 
-        document.getElementById('parametersSection').style.display = 'block';
+        // View mode
+        const viewModeSelect = document.getElementById('viewMode');
+        if (viewModeSelect) {
+            viewModeSelect.addEventListener('change', (e) => {
+                this.setViewMode(e.target.value);
+            });
+        }
 
-        for (const [key, config] of Object.entries(func.params)) {
-            this.params[key] = config.default;
+        // Surface mode controls
+        const surfaceInput = document.getElementById('surfaceExpressionInput');
+        if (surfaceInput) {
+            let surfaceDebounce;
+            surfaceInput.addEventListener('input', (e) => {
+                clearTimeout(surfaceDebounce);
+                surfaceDebounce = setTimeout(() => this.handleSurfaceExpressionInput(e.target.value), 150);
+            });
+            surfaceInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    clearTimeout(surfaceDebounce);
+                    this.handleSurfaceExpressionInput(e.target.value);
+                }
+            });
+        }
 
-            const group = document.createElement('div');
-            group.className = 'control-group';
+        ['surfaceYMin', 'surfaceYMax'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (!this.setRangeBound(e.target, id, ['surfaceYMin', 'surfaceYMax'])) return;
+                this.calculateDataPoints();
+                this.render();
+            });
+        });
 
-            group.innerHTML = `
-                <label for="param_${key}">${config.label}</label>
-                <div class="range-wrapper">
-                    <input type="range" id="param_${key}" 
-                           min="${config.min}" max="${config.max}" 
-                           step="${config.step}" value="${config.default}">
-                    <span class="range-value" id="param_${key}_value">${config.default}</span>
-                </div>
-            `;
+        document.getElementById('surfaceGrid').addEventListener('input', (e) => {
+            this.surfaceGridSize = parseInt(e.target.value);
+            document.getElementById('surfaceGridValue').textContent = this.surfaceGridSize;
+            this.calculateDataPoints();
+            this.render();
+        });
 
-            container.appendChild(group);
+        document.getElementById('surfaceAxisOrder').addEventListener('change', (e) => {
+            this.surfaceAxisOrder = e.target.value;
+            this.calculateDataPoints();
+            this.render();
+        });
 
-            // Bind event
-            document.getElementById(`param_${key}`).addEventListener('input', (e) => {
-                this.params[key] = parseFloat(e.target.value);
-                document.getElementById(`param_${key}_value`).textContent = this.params[key];
+        document.getElementById('surfaceCartesianView').addEventListener('change', (e) => {
+            this.surfaceCartesianView = e.target.value;
+            this.render();
+        });
+
+        // Complex mode controls
+        const complexInput = document.getElementById('complexExpressionInput');
+        let complexDebounce;
+        complexInput.addEventListener('input', (e) => {
+            clearTimeout(complexDebounce);
+            complexDebounce = setTimeout(() => this.handleComplexExpressionInput(e.target.value), 150);
+        });
+        complexInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(complexDebounce);
+                this.handleComplexExpressionInput(e.target.value);
+            }
+        });
+
+        document.querySelectorAll('.hint-btn[data-complex-expr]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                complexInput.value = btn.dataset.complexExpr;
+                this.handleComplexExpressionInput(complexInput.value);
+            });
+        });
+
+        ['complexImMin', 'complexImMax'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (!this.setRangeBound(e.target, id, ['complexImMin', 'complexImMax'])) return;
                 this.calculateDataPoints();
                 this.render();
-                this.updateDescription();
             });
-        }
-    }
+        });
 
-    calculateDataPoints() {
-        const func = MathFunctions[this.currentFunction];
-        if (!func) return;
+        document.getElementById('complexContour').addEventListener('change', (e) => {
+            this.complexContour = e.target.value;
+            this.calculateDataPoints();
+            this.render();
+        });
 
-        this.dataPoints = [];
+        document.getElementById('complexDensity').addEventListener('input', (e) => {
+            this.complexDensity = parseInt(e.target.value);
+            document.getElementById('complexDensityValue').textContent = this.complexDensity;
+            this.calculateDataPoints();
+            this.render();
+        });
 
-        // For continuous mode: sample at MULTIPLE points per pixel for true solid appearance
-        // This creates truly continuous lines with no gaps
-        let actualNumPoints;
-        if (this.continuousMode) {
-            // Get the height of the drawable area in pixels
-            const axisHeight = this.height - this.padding.top - this.padding.bottom;
-            // Sample 3x points per pixel for guaranteed solid coverage
-            actualNumPoints = Math.max(axisHeight * 3, 1500);
-        } else {
-            actualNumPoints = this.numPoints;
-        }
+        document.getElementById('complexAxes').addEventListener('change', (e) => {
+            this.complexAxisMode = e.target.value;
+            this.calculateDataPoints();
+            this.render();
+        });
 
-        const step = (this.xMax - this.xMin) / (actualNumPoints - 1);
+        // Implicit mode controls
+        const implicitInput = document.getElementById('implicitExpressionInput');
+        let implicitDebounce;
+        implicitInput.addEventListener('input', (e) => {
+            clearTimeout(implicitDebounce);
+            implicitDebounce = setTimeout(() => this.handleImplicitExpressionInput(e.target.value), 150);
+        });
+        implicitInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                clearTimeout(implicitDebounce);
+                this.handleImplicitExpressionInput(e.target.value);
+            }
+        });
 
-        // First pass: calculate all Y values and find actual min/max
-        let actualYMin = Infinity;
-        let actualYMax = -Infinity;
-        const rawPoints = [];
+        document.querySelectorAll('.hint-btn[data-implicit-expr]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                implicitInput.value = btn.dataset.implicitExpr;
+                this.handleImplicitExpressionInput(implicitInput.value);
+            });
+        });
 
-        for (let i = 0; i < actualNumPoints; i++) {
-            // Ensure we hit exactly xMin and xMax at the endpoints
-            const x = (i === 0) ? this.xMin :
-                (i === actualNumPoints - 1) ? this.xMax :
-                    this.xMin + i * step;
-            const y = func.evaluate(x, this.params);
+        ['implicitYMin', 'implicitYMax'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', (e) => {
+                if (!this.setRangeBound(e.target, id, ['implicitYMin', 'implicitYMax'])) return;
+                this.calculateDataPoints();
+                this.render();
+            });
+        });
 
-            if (!isNaN(y) && isFinite(y)) {
-                rawPoints.push({ x, y, index: i });
-                actualYMin = Math.min(actualYMin, y);
-                actualYMax = Math.max(actualYMax, y);
-            }
-        }
+        // Dataset import
+        document.getElementById('datasetLoadBtn').addEventListener('click', () => {
+            document.getElementById('datasetFile').click();
+        });
 
-        // Calculate Y range based on squash setting
-        if (this.ySquash === 1) {
-            // MODE 1: FIT ALL (Min/Max)
-            // Use actual min/max of function values so everything fits
-            this.yMin = actualYMin;
-            this.yMax = actualYMax;
-        } else if (this.ySquash === 2) {
-            // MODE 2: SYMMETRIC FIT
-            // Balanced around 0, good for seeing magnitude relative to 0
-            const maxAbsY = Math.max(Math.abs(actualYMin), Math.abs(actualYMax));
-            if (maxAbsY === 0) {
-                this.yMin = -1;
-                this.yMax = 1;
-            } else {
-                this.yMin = -maxAbsY;
-                this.yMax = maxAbsY;
-            }
-        } else {
-            // MODE 0: STANDARD (1:1 with X)
-            // Matches input X range
-            this.yMin = this.xMin;
-            this.yMax = this.xMax;
-        }
+        document.getElementById('datasetFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            DatasetLoader.loadFile(file)
+                .then((result) => this.loadDataset(result))
+                .catch((error) => {
+                    const statusEl = document.getElementById('datasetStatus');
+                    statusEl.textContent = `Could not load ${file.name}: ${error.message}`;
+                    statusEl.classList.add('error');
+                });
+        });
 
-        // Second pass: determine if points are out of range with the new Y limits
-        for (const point of rawPoints) {
-            const outOfRange = point.y < this.yMin || point.y > this.yMax;
-            this.dataPoints.push({ ...point, outOfRange });
-        }
+        document.getElementById('datasetCartX').addEventListener('change', (e) => {
+            this.datasetCartX = parseInt(e.target.value);
+            this.render();
+        });
 
-        // Third pass: Calculate mathematical slopes AND detect discontinuities
-        // We calculate |dy/dx| and normalize it
-        let minSlope = Infinity;
-        let maxSlope = 0;
+        document.getElementById('datasetCartY').addEventListener('change', (e) => {
+            this.datasetCartY = parseInt(e.target.value);
+            this.render();
+        });
 
-        // Thresholds for discontinuity detection
-        const rangeY = this.yMax - this.yMin;
+        // Shareable URL: any control change is mirrored into the hash,
+        // and a hash edited or pasted by hand is applied
+        const controlsPanel = document.querySelector('.controls-panel');
+        ['input', 'change', 'click'].forEach((type) => {
+            controlsPanel.addEventListener(type, () => this.scheduleHashUpdate());
+        });
 
-        for (let i = 0; i < this.dataPoints.length; i++) {
-            let slope = 0;
-            const p = this.dataPoints[i];
+        window.addEventListener('hashchange', () => this.restoreStateFromHash());
 
-            // Check for discontinuity with next point
-            if (i < this.dataPoints.length - 1) {
-                const next = this.dataPoints[i + 1];
-                const deltaY = next.y - p.y;
-                const absDeltaY = Math.abs(deltaY);
+        document.getElementById('stateNoticeClose').addEventListener('click', () => {
+            document.getElementById('stateNotice').style.display = 'none';
+        });
 
-                // Heuristic for asymptote:
-                // If points are jumping across the viewport significantly
-                const jumpThreshold = Math.max(rangeY * 1.5, 50);
+        // Scenes
+        document.getElementById('sceneSaveBtn').addEventListener('click', () => {
+            const name = this.getSceneName();
+            SceneStore.save(name, this.getScene());
+            document.getElementById('sceneName').value = '';
+            document.getElementById('sceneStatus').classList.remove('error');
+            document.getElementById('sceneStatus').textContent = `Saved "${name}"`;
+            this.renderSceneList();
+        });
 
-                if (absDeltaY > jumpThreshold) {
-                    p.isDiscontinuous = true;
-                }
-            }
+        document.getElementById('sceneExportBtn').addEventListener('click', () => {
+            const name = this.getSceneName();
+            const file = SceneStore.createFile(name, this.getScene());
+            const filename = name.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'scene';
+            this.downloadBlob(new Blob([SceneStore.stringify(file)], { type: 'application/json' }), `${filename}.json`);
+        });
 
-            // Use central difference where possible
-            if (i > 0 && i < this.dataPoints.length - 1) {
-                const prev = this.dataPoints[i - 1];
-                const next = this.dataPoints[i + 1];
-                slope = Math.abs((next.y - prev.y) / (next.x - prev.x));
-            } else if (i === 0 && this.dataPoints.length > 1) {
-                const next = this.dataPoints[i + 1];
-                slope = Math.abs((next.y - p.y) / (next.x - p.x));
-            } else if (i === this.dataPoints.length - 1 && this.dataPoints.length > 1) {
-                const prev = this.dataPoints[i - 1];
-                slope = Math.abs((p.y - prev.y) / (p.x - prev.x));
-            }
+        document.getElementById('sceneImportBtn').addEventListener('click', () => {
+            document.getElementById('sceneFile').click();
+        });
+
+        document.getElementById('sceneFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text()
+                .then((text) => this.showSceneResult(SceneStore.parse(text)))
+                .catch((error) => this.showSceneResult({ valid: false, error: `Could not read scene: ${error.message}` }));
+            e.target.value = '';
+        });
+
+        this.renderSceneList();
+
+        // Export
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportView(
+                document.getElementById('exportFormat').value,
+                document.getElementById('exportTarget').value,
+                parseFloat(document.getElementById('exportScale').value)
+            );
+        });
+
+        document.getElementById('exportFormat').addEventListener('change', (e) => {
+            document.getElementById('exportScaleGroup').style.display = e.target.value === 'png' ? 'block' : 'none';
+        });
 
-            this.dataPoints[i].slope = slope;
-            minSlope = Math.min(minSlope, slope);
-            maxSlope = Math.max(maxSlope, slope);
+        // Overlay layers
+        const addLayerBtn = document.getElementById('addLayerBtn');
+        if (addLayerBtn) {
+            addLayerBtn.addEventListener('click', () => this.addLayerFromCurrent());
         }
 
-        // Normalize slopes (0 to 1)
-        const slopeRange = maxSlope - minSlope;
-        for (const point of this.dataPoints) {
-            point.normalizedSlope = slopeRange === 0 ? 0 : (point.slope - minSlope) / slopeRange;
+        const layerYRangeSelect = document.getElementById('layerYRange');
+        if (layerYRangeSelect) {
+            layerYRangeSelect.addEventListener('change', (e) => {
+                this.layerYRange = e.target.value;
+                this.calculateDataPoints();
+                this.render();
+            });
         }
     }
 
-    // Convert data coordinates to canvas coordinates
-    // HORIZONTAL LAYOUT: X axis at bottom, Y axis at top
-    xToCanvas(x) {
-        // X axis is at bottom - maps x value to horizontal position
-        const t = (x - this.xMin) / (this.xMax - this.xMin);
-        return this.padding.left + t * (this.width - this.padding.left - this.padding.right);
-    }
+    // Reflect the current Y fit mode (0 = standard, 1 = min/max, 2 = symmetric) on its button
+    updateYSquashButton() {
+        const ySquashBtn = document.getElementById('ySquashBtn');
+        if (!ySquashBtn) return;
 
-    yToCanvas(y) {
-        // Y axis is at top - maps y value to horizontal position
-        const t = (y - this.yMin) / (this.yMax - this.yMin);
-        return this.padding.left + t * (this.width - this.padding.left - this.padding.right);
-    }
+        ySquashBtn.classList.remove('btn-secondary', 'active', 'btn-symmetric');
+        ySquashBtn.style.backgroundColor = ''; // Clear inline styles
+        ySquashBtn.style.borderColor = '';
 
-    // Clamp Y to visible range for drawing
-    yToCanvasClamped(y) {
-        const clampedY = Math.max(this.yMin, Math.min(this.yMax, y));
-        return this.yToCanvas(clampedY);
+        if (this.ySquash === 0) {
+            ySquashBtn.classList.add('btn-secondary');
+            ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 1v14M1 8h14M3 3l10 10M13 3L3 13"/></svg> Standard Scale (1:1)';
+        } else if (this.ySquash === 1) {
+            ySquashBtn.classList.add('active');
+            ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M13.78 4.22a.75.75 0 010 1.06l-7.25 7.25a.75.75 0 01-1.06 0L2.22 9.28a.75.75 0 011.06-1.06L6 10.94l6.72-6.72a.75.75 0 011.06 0z"/></svg> Fit Y to Min/Max';
+        } else {
+            ySquashBtn.classList.add('active');
+            ySquashBtn.style.backgroundColor = '#a855f7'; // Purple for symmetric
+            ySquashBtn.style.borderColor = '#9333ea';
+            ySquashBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor"><path d="M8 0a.75.75 0 01.75.75v14.5a.75.75 0 01-1.5 0V.75A.75.75 0 018 0zM1 8a.75.75 0 01.75-.75h12.5a.75.75 0 010 1.5H1.75A.75.75 0 011 8z"/></svg> Symmetric Fit';
+        }
     }
 
-    // Get Y position of bottom axis (X-axis)
-    getXAxisY() {
-        return this.height - this.padding.bottom;
-    }
+    // ===== Shareable State =====
 
-    // Get Y position of top axis (Y-axis)
-    getYAxisY() {
-        return this.padding.top;
+    /**
+     * Snapshot of the settings that a shared link reproduces
+     * @returns {Object} - See VisualizerState.defaults()
+     */
+    getState() {
+        return {
+            currentFunction: this.currentFunction,
+            params: { ...this.params },
+            customExpression: this.customExpression,
+            customParams: Object.fromEntries(Object.entries(MathFunctions.custom.params)
+                .map(([key, { min, max, step }]) => [key, { min, max, step }])),
+            definitions: this.currentFunction === 'custom' ? ExpressionParser.definitionsUsedBy([this.customExpression]) : [],
+            xMin: this.xMin,
+            xMax: this.xMax,
+            xScale: this.xScale,
+            yScale: this.yScale,
+            numPoints: this.numPoints,
+            ySquash: this.ySquash,
+            lineColorMode: this.lineColorMode,
+            axisLayout: this.axisLayout,
+            showGrid: this.showGrid,
+            showPoints: this.showPoints,
+            continuousMode: this.continuousMode,
+            showDerivative: this.showDerivative,
+            derivativeOrder: this.derivativeOrder,
+            showIntegral: this.showIntegral,
+            integralLower: this.integralLower,
+            integralUpper: this.integralUpper,
+            showEnvelope: this.showEnvelope,
+            showFeatures: this.showFeatures,
+            yRange: this.yRangeOverride ? { ...this.yRangeOverride } : null
+        };
     }
 
-    render() {
-        this.ctx.clearRect(0, 0, this.width, this.height);
+    /**
+     * Apply a validated state: update the fields, sync every control, then recalculate
+     * @param {Object} state - See VisualizerState.defaults()
+     */
+    applyState(state) {
+        this.resetAnimation();
 
-        // Draw grid first (behind everything)
-        if (this.showGrid) {
-            this.drawGrid();
+        this.currentFunction = state.currentFunction;
+        document.getElementById('functionSelect').value = state.currentFunction;
+        MathFunctions.custom.params = customParamConfigs(Object.keys(state.customParams), state.customParams);
+        this.loadFunctionParams();
+
+        for (const [key, value] of Object.entries(state.params)) {
+            this.params[key] = value;
+            this.updateParamSlider(key);
         }
 
-        // Draw axes
-        this.drawAxes();
+        document.getElementById('customExpressionSection').style.display =
+            state.currentFunction === 'custom' ? 'block' : 'none';
+        document.getElementById('customExpressionInput').value = state.customExpression;
+
+        this.xMin = state.xMin;
+        this.xMax = state.xMax;
+        document.getElementById('xMin').value = state.xMin;
+        document.getElementById('xMax').value = state.xMax;
+        this.homeView = { xMin: state.xMin, xMax: state.xMax };
+        this.yRangeOverride = state.yRange ? { ...state.yRange } : null;
+
+        this.xScale = state.xScale;
+        this.yScale = state.yScale;
+        document.getElementById('xScale').value = state.xScale;
+        document.getElementById('yScale').value = state.yScale;
+
+        this.numPoints = state.numPoints;
+        document.getElementById('numPoints').value = state.numPoints;
+        document.getElementById('numPointsValue').textContent = state.numPoints;
+
+        this.ySquash = state.ySquash;
+        this.updateYSquashButton();
+
+        this.lineColorMode = state.lineColorMode;
+        document.getElementById('lineColorMode').value = state.lineColorMode;
+
+        this.axisLayout = state.axisLayout;
+        document.getElementById('axisLayout').value = state.axisLayout;
+        document.getElementById('circularHint').style.display = state.axisLayout === 'circular' ? 'block' : 'none';
+        this.updateLayoutControls();
+
+        this.derivativeOrder = state.derivativeOrder;
+        document.getElementById('derivativeOrder').value = state.derivativeOrder;
+
+        this.integralLower = state.integralLower;
+        this.integralUpper = state.integralUpper;
+        document.getElementById('integralLower').value = state.integralLower;
+        document.getElementById('integralUpper').value = state.integralUpper;
+
+        const toggles = ['showGrid', 'showPoints', 'continuousMode', 'showDerivative', 'showIntegral', 'showEnvelope', 'showFeatures'];
+        for (const field of toggles) {
+            this[field] = state[field];
+            document.getElementById(field).checked = state[field];
+        }
 
-        // Draw connecting lines for main function
-        this.drawFunctionLines();
+        // Definitions that came with the state have joined the library
+        this.renderDefinitionList();
 
-        // Draw calculus curves (derivative and integral) on parallel axes
-        this.drawCalculusCurvesParallel();
+        // Also recalculates, renders and updates the description
+        this.handleCustomExpressionInput(state.customExpression);
+    }
 
-        // Draw data points on top
-        if (this.showPoints) {
-            this.drawDataPoints();
-        }
+    // ===== Scenes =====
 
-        // Render Cartesian view
-        this.renderCartesian();
+    /**
+     * Everything a scene file stores: the shareable state plus view mode, layers,
+     * surface, complex map and implicit curve settings and animation position
+     * @returns {Object} - See SceneStore.defaults()
+     */
+    getScene() {
+        return {
+            ...this.getState(),
+            // Every expression of the scene may use definitions, not only the custom one
+            definitions: ExpressionParser.definitionsUsedBy([
+                this.customExpression,
+                ...this.layers.map(layer => layer.expression),
+                this.surfaceExpression,
+                this.complexExpression,
+                this.implicitExpression
+            ]),
+            viewMode: this.viewMode,
+            layerYRange: this.layerYRange,
+            layers: this.layers.map(layer => ({
+                functionKey: layer.functionKey,
+                params: { ...layer.params },
+                expression: layer.expression,
+                color: layer.color,
+                visible: layer.visible
+            })),
+            surface: {
+                expression: this.surfaceExpression,
+                yMin: this.surfaceYMin,
+                yMax: this.surfaceYMax,
+                gridSize: this.surfaceGridSize,
+                axisOrder: this.surfaceAxisOrder,
+                cartesianView: this.surfaceCartesianView
+            },
+            complex: {
+                expression: this.complexExpression,
+                imMin: this.complexImMin,
+                imMax: this.complexImMax,
+                contour: this.complexContour,
+                density: this.complexDensity,
+                axes: this.complexAxisMode
+            },
+            implicit: {
+                expression: this.implicitExpression,
+                yMin: this.implicitYMin,
+                yMax: this.implicitYMax
+            },
+            animation: {
+                mode: this.animationMode,
+                progress: this.animationProgress,
+                speed: this.animationSpeed
+            },
+            sweep: {
+                keyframes: this.sweepKeyframes.map(keyframe => ({ at: keyframe.at, params: { ...keyframe.params } })),
+                duration: this.sweepDuration,
+                repeat: this.sweepRepeat,
+                easing: this.sweepEasing,
+                position: this.sweepPosition
+            }
+        };
     }
 
-    drawGrid() {
-        const ctx = this.ctx;
-        ctx.strokeStyle = 'rgba(255, 255, 255, 0.03)';
-        ctx.lineWidth = 1;
+    /**
+     * Apply a scene validated by SceneStore
+     * @param {Object} scene - See SceneStore.defaults()
+     */
+    applyScene(scene) {
+        this.applyState(scene);
+
+        this.layers = scene.layers.map(layer => this.createLayer({ ...layer, params: { ...layer.params } }));
+        this.layerYRange = scene.layerYRange;
+        document.getElementById('layerYRange').value = scene.layerYRange;
+        this.renderLayerList();
+
+        const surface = scene.surface;
+        this.surfaceYMin = surface.yMin;
+        this.surfaceYMax = surface.yMax;
+        this.surfaceGridSize = surface.gridSize;
+        this.surfaceAxisOrder = surface.axisOrder;
+        this.surfaceCartesianView = surface.cartesianView;
+        document.getElementById('surfaceYMin').value = surface.yMin;
+        document.getElementById('surfaceYMax').value = surface.yMax;
+        document.getElementById('surfaceGrid').value = surface.gridSize;
+        document.getElementById('surfaceGridValue').textContent = surface.gridSize;
+        document.getElementById('surfaceAxisOrder').value = surface.axisOrder;
+        document.getElementById('surfaceCartesianView').value = surface.cartesianView;
+        document.getElementById('surfaceExpressionInput').value = surface.expression;
+        this.handleSurfaceExpressionInput(surface.expression);
+
+        const complex = scene.complex;
+        this.complexImMin = complex.imMin;
+        this.complexImMax = complex.imMax;
+        this.complexContour = complex.contour;
+        this.complexDensity = complex.density;
+        this.complexAxisMode = complex.axes;
+        document.getElementById('complexImMin').value = complex.imMin;
+        document.getElementById('complexImMax').value = complex.imMax;
+        document.getElementById('complexContour').value = complex.contour;
+        document.getElementById('complexDensity').value = complex.density;
+        document.getElementById('complexDensityValue').textContent = complex.density;
+        document.getElementById('complexAxes').value = complex.axes;
+        document.getElementById('complexExpressionInput').value = complex.expression;
+        this.handleComplexExpressionInput(complex.expression);
+
+        const implicit = scene.implicit;
+        this.implicitYMin = implicit.yMin;
+        this.implicitYMax = implicit.yMax;
+        document.getElementById('implicitYMin').value = implicit.yMin;
+        document.getElementById('implicitYMax').value = implicit.yMax;
+        document.getElementById('implicitExpressionInput').value = implicit.expression;
+        this.handleImplicitExpressionInput(implicit.expression);
+
+        this.animationSpeed = scene.animation.speed;
+        document.getElementById('animSpeed').value = scene.animation.speed;
+        document.getElementById('animSpeedValue').textContent = scene.animation.speed;
+
+        document.getElementById('viewMode').value = scene.viewMode;
+        this.setViewMode(scene.viewMode);
+        this.setAnimationMode(scene.animation.mode);
+
+        const sweep = scene.sweep;
+        this.sweepKeyframes = ParameterSweep.sortKeyframes(
+            sweep.keyframes.map(keyframe => ({ at: keyframe.at, params: { ...keyframe.params } })));
+        this.sweepDuration = sweep.duration;
+        this.sweepRepeat = sweep.repeat;
+        this.sweepEasing = sweep.easing;
+        this.sweepPosition = sweep.position;
+        document.getElementById('sweepDuration').value = sweep.duration;
+        document.getElementById('sweepDurationValue').textContent = sweep.duration + 's';
+        document.getElementById('sweepRepeat').value = sweep.repeat;
+        document.getElementById('sweepEasing').value = sweep.easing;
+        this.renderKeyframeList();
+
+        // After setViewMode and setAnimationMode, which rewind the animation
+        this.animationProgress = scene.animation.progress;
+
+        this.scheduleHashUpdate();
+    }
 
-        // Vertical grid lines
-        const numVLines = 10;
-        for (let i = 0; i <= numVLines; i++) {
+    /**
+     * Rebuild the saved scene list: rename in place, load, delete
+     */
+    renderSceneList() {
+        const list = document.getElementById('sceneList');
+        list.innerHTML = '';
+
+        for (const entry of SceneStore.list()) {
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.innerHTML = `
+                <div class="layer-header">
+                    <input type="text" class="scene-name" id="scene_${entry.id}_name" title="Rename" spellcheck="false">
+                    <button class="layer-remove" id="scene_${entry.id}_load" title="Load scene">↺</button>
+                    <button class="layer-remove" id="scene_${entry.id}_remove" title="Delete scene">×</button>
+                </div>
+            `;
+            list.appendChild(item);
+
+            const nameInput = document.getElementById(`scene_${entry.id}_name`);
+            nameInput.value = entry.name;
+            nameInput.addEventListener('change', (e) => {
+                const name = e.target.value.trim();
+                if (name === '') {
+                    e.target.value = entry.name;
+                    return;
+                }
+                SceneStore.rename(entry.id, name);
+                entry.name = name;
+            });
+
+            document.getElementById(`scene_${entry.id}_load`).addEventListener('click', () => {
+                this.loadSceneFile(SceneStore.get(entry.id));
+            });
+
+            document.getElementById(`scene_${entry.id}_remove`).addEventListener('click', () => {
+                SceneStore.remove(entry.id);
+                this.renderSceneList();
+            });
+        }
+    }
+
+    /**
+     * Validate and apply a scene file (from the library or an imported file)
+     * @param {Object} file - Scene file object, see SceneStore.createFile()
+     */
+    loadSceneFile(file) {
+        this.showSceneResult(file ? SceneStore.readFile(file) : { valid: false, error: 'Scene not found' });
+    }
+
+    showSceneResult(result) {
+        const statusEl = document.getElementById('sceneStatus');
+
+        if (!result.valid) {
+            statusEl.textContent = result.error;
+            statusEl.classList.add('error');
+            return;
+        }
+
+        this.applyScene(result.scene);
+        statusEl.classList.remove('error');
+        statusEl.textContent = `Loaded "${result.name}"` + (result.replaced.length > 0 ?
+            ` (your definitions of ${result.replaced.join(', ')} were replaced by the scene's)` : '');
+    }
+
+    getSceneName() {
+        return document.getElementById('sceneName').value.trim() || this.getBaseLabel();
+    }
+
+    /**
+     * Restore the state encoded in location.hash. Fields that are missing or invalid
+     * fall back to their defaults and are listed in a notice.
+     */
+    restoreStateFromHash() {
+        let result;
+        try {
+            result = VisualizerState.fromHash(window.location.hash);
+        } catch (e) {
+            // Definitions the link brought may still be installed
+            DefinitionLibrary.load();
+            result = { state: VisualizerState.defaults(), empty: false, problems: ['the whole link'], replaced: [] };
+        }
+
+        if (result.empty) return;
+
+        this.applyState(result.state);
+
+        const notices = [];
+        if (result.problems.length > 0) {
+            notices.push(`This link was incomplete or invalid. Defaults were used for: ${result.problems.join(', ')}.`);
+        }
+        if (result.replaced.length > 0) {
+            notices.push(`Your definitions of ${result.replaced.join(', ')} were replaced by the ones in this link.`);
+        }
+        if (notices.length > 0) {
+            this.showStateNotice(notices.join(' '));
+        } else {
+            document.getElementById('stateNotice').style.display = 'none';
+        }
+    }
+
+    showStateNotice(message) {
+        document.getElementById('stateNoticeText').textContent = message;
+        document.getElementById('stateNotice').style.display = 'flex';
+    }
+
+    // Write the state into the hash once the controls settle; replaceState keeps history clean
+    scheduleHashUpdate() {
+        clearTimeout(this.hashUpdateTimer);
+        this.hashUpdateTimer = setTimeout(() => {
+            const hash = '#' + VisualizerState.toHash(this.getState());
+            if (hash !== window.location.hash) {
+                history.replaceState(null, '', hash);
+            }
+        }, 300);
+    }
+
+    /**
+     * Snapshot the currently selected function (and its parameters) as a new overlay layer
+     */
+    addLayerFromCurrent() {
+        if (this.currentFunction === 'custom' && !this.customExpressionValid) return;
+
+        // A custom layer keeps the expression with the current parameter values filled in
+        const custom = this.currentFunction === 'custom';
+        const layer = this.createLayer({
+            functionKey: this.currentFunction,
+            params: custom ? {} : { ...this.params },
+            expression: custom ? this.getCurrentExpressionString() : ''
+        });
+        if (!layer) return;
+        this.layers.push(layer);
+
+        this.renderLayerList();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Build a layer object with a fresh id
+     * @param {Object} options - { functionKey, params, expression, color?, visible? }
+     * @returns {Object|null} - The layer, or null if a custom expression does not parse
+     */
+    createLayer({ functionKey, params, expression = '', color = null, visible = true }) {
+        let evaluate = null;
+
+        if (functionKey === 'custom') {
+            const parsed = ExpressionParser.parse(ExpressionParser.normalize(expression));
+            if (!parsed.valid) return null;
+            evaluate = parsed.evaluate;
+        }
+
+        const id = this.nextLayerId++;
+        return {
+            id,
+            functionKey,
+            params,
+            expression,
+            evaluate,
+            color: color || this.layerColors[(id - 1) % this.layerColors.length],
+            visible,
+            dataPoints: [],
+            yMin: this.yMin,
+            yMax: this.yMax
+        };
+    }
+
+    removeLayer(id) {
+        this.layers = this.layers.filter(layer => layer.id !== id);
+        if (this.hoveredLayerId === id) {
+            this.hoveredLayerId = null;
+            this.hoveredLine = null;
+        }
+        this.renderLayerList();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Move a layer up or down in the list (the order of stages in chain mode)
+     * @param {number} id - Layer id
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveLayer(id, direction) {
+        const index = this.layers.findIndex(layer => layer.id === id);
+        const target = index + direction;
+        if (index < 0 || target < 0 || target >= this.layers.length) return;
+
+        [this.layers[index], this.layers[target]] = [this.layers[target], this.layers[index]];
+        this.renderLayerList();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Switch between the two-axis function view, the composition chain, the surface view,
+     * the complex map, an implicit curve and an imported dataset
+     * @param {string} mode - 'function', 'chain', 'surface', 'complex', 'implicit' or 'dataset'
+     */
+    setViewMode(mode) {
+        this.viewMode = mode;
+        this.hoveredLine = null;
+        this.hoveredLayerId = null;
+        this.hideTooltip();
+
+        document.getElementById('chainHint').style.display = mode === 'chain' ? 'block' : 'none';
+
+        // Sections tagged with data-modes are only shown in the listed modes
+        document.querySelectorAll('[data-modes]').forEach((el) => {
+            el.classList.toggle('mode-hidden', !el.dataset.modes.split(' ').includes(mode));
+        });
+
+        this.resetAnimation();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Get the display label of a layer, e.g. "y = x²" or "y = sin(2x)"
+     */
+    getLayerLabel(layer) {
+        if (layer.functionKey === 'custom') {
+            return 'y = ' + layer.expression;
+        }
+        return getFormattedFormula(layer.functionKey, layer.params);
+    }
+
+    /**
+     * Build the layer list UI: color, visibility, parameters and remove button per layer
+     */
+    renderLayerList() {
+        const list = document.getElementById('layerList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        document.getElementById('layerOptions').style.display = this.layers.length > 0 ? 'block' : 'none';
+
+        for (const layer of this.layers) {
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+
+            item.innerHTML = `
+                <div class="layer-header">
+                    <input type="color" class="layer-color" id="layer_${layer.id}_color" value="${layer.color}" title="Layer color">
+                    <label class="layer-name" for="layer_${layer.id}_visible">
+                        <input type="checkbox" id="layer_${layer.id}_visible" ${layer.visible ? 'checked' : ''}>
+                        <span id="layer_${layer.id}_label"></span>
+                    </label>
+                    <button class="layer-remove" id="layer_${layer.id}_up" title="Move up">↑</button>
+                    <button class="layer-remove" id="layer_${layer.id}_remove" title="Remove layer">×</button>
+                </div>
+                <div class="layer-params" id="layer_${layer.id}_params"></div>
+            `;
+            list.appendChild(item);
+
+            // Set as text: a label is the user's expression, and may hold "<"
+            document.getElementById(`layer_${layer.id}_label`).textContent = this.getLayerLabel(layer);
+
+            document.getElementById(`layer_${layer.id}_color`).addEventListener('input', (e) => {
+                layer.color = e.target.value;
+                this.render();
+            });
+
+            document.getElementById(`layer_${layer.id}_visible`).addEventListener('change', (e) => {
+                layer.visible = e.target.checked;
+                this.calculateDataPoints();
+                this.render();
+            });
+
+            document.getElementById(`layer_${layer.id}_up`).addEventListener('click', () => this.moveLayer(layer.id, -1));
+            document.getElementById(`layer_${layer.id}_remove`).addEventListener('click', () => this.removeLayer(layer.id));
+
+            // Parameter sliders for this layer (a custom layer has its values filled in)
+            const func = MathFunctions[layer.functionKey];
+            const paramsContainer = document.getElementById(`layer_${layer.id}_params`);
+            const layerParams = layer.functionKey === 'custom' ? {} : func.params || {};
+
+            for (const [key, config] of Object.entries(layerParams)) {
+                const group = document.createElement('div');
+                group.className = 'control-group';
+
+                group.innerHTML = `
+                    <label for="layer_${layer.id}_param_${key}">${config.label}</label>
+                    <div class="range-wrapper">
+                        <input type="range" id="layer_${layer.id}_param_${key}"
+                               min="${config.min}" max="${config.max}"
+                               step="${config.step}" value="${layer.params[key]}">
+                        <span class="range-value" id="layer_${layer.id}_param_${key}_value">${layer.params[key]}</span>
+                    </div>
+                `;
+
+                paramsContainer.appendChild(group);
+
+                document.getElementById(`layer_${layer.id}_param_${key}`).addEventListener('input', (e) => {
+                    layer.params[key] = parseFloat(e.target.value);
+                    document.getElementById(`layer_${layer.id}_param_${key}_value`).textContent = layer.params[key];
+                    document.getElementById(`layer_${layer.id}_label`).textContent = this.getLayerLabel(layer);
+                    this.calculateDataPoints();
+                    this.render();
+                });
+            }
+        }
+    }
+
+    loadFunctionParams() {
+        const func = MathFunctions[this.currentFunction];
+        const container = document.getElementById('parameterControls');
+        container.innerHTML = '';
+
+        this.params = {};
+
+        // Keyframes only carry over to a function with the same parameters
+        const keys = Object.keys(func.params || {}).join(',');
+        if (this.sweepKeyframes.length > 0 && Object.keys(this.sweepKeyframes[0].params).join(',') !== keys) {
+            this.sweepKeyframes = [];
+            this.sweepPosition = 0;
+        }
+        this.renderKeyframeList();
+
+        if (!func.params || Object.keys(func.params).length === 0) {
+            document.getElementById('parametersSection').style.display = 'none';
+            return;
+        }
+
+        document.getElementById('parametersSection').style.display = 'block';
+
+        for (const [key, config] of Object.entries(func.params)) {
+            this.params[key] = config.default;
+
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            group.innerHTML = `
+                <label for="param_${key}">${config.label}</label>
+                <div class="range-wrapper">
+                    <input type="range" id="param_${key}" 
+                           min="${config.min}" max="${config.max}" 
+                           step="${config.step}" value="${config.default}">
+                    <span class="range-value" id="param_${key}_value">${config.default}</span>
+                </div>
+            `;
+
+            container.appendChild(group);
+
+            // Bind event
+            document.getElementById(`param_${key}`).addEventListener('input', (e) => {
+                this.params[key] = parseFloat(e.target.value);
+                document.getElementById(`param_${key}_value`).textContent = this.params[key];
+                this.calculateDataPoints();
+                if (this.showDerivative || this.showIntegral) {
+                    this.calculateCalculusPoints();
+                }
+                this.render();
+                this.updateDescription();
+            });
+
+            if (this.currentFunction === 'custom') {
+                this.addParamRangeInputs(group, key);
+            }
+        }
+    }
+
+    /**
+     * Editable min / max / step under the slider of a custom expression parameter;
+     * an invalid entry snaps back to the current range
+     * @param {HTMLElement} group - The parameter's control group
+     * @param {string} key - Parameter name
+     */
+    addParamRangeInputs(group, key) {
+        const config = MathFunctions.custom.params[key];
+        const range = document.createElement('div');
+        range.className = 'range-inputs param-range';
+        range.innerHTML = `
+            <input type="number" id="param_${key}_min" value="${config.min}" step="any" title="Minimum">
+            <span>to</span>
+            <input type="number" id="param_${key}_max" value="${config.max}" step="any" title="Maximum">
+            <span>step</span>
+            <input type="number" id="param_${key}_step" value="${config.step}" step="any" title="Step">
+        `;
+        group.appendChild(range);
+
+        const inputs = ['min', 'max', 'step'].map(field => document.getElementById(`param_${key}_${field}`));
+        inputs.forEach((input) => {
+            input.addEventListener('change', () => {
+                const [min, max, step] = inputs.map(el => parseFloat(el.value));
+                if (isFinite(min) && isFinite(max) && isFinite(step) && min < max && step > 0) {
+                    Object.assign(config, { min, max, step });
+                    const slider = document.getElementById(`param_${key}`);
+                    slider.min = min;
+                    slider.max = max;
+                    slider.step = step;
+                    this.applySweepParams({ [key]: Math.min(max, Math.max(min, this.params[key])) });
+                } else {
+                    inputs.forEach((el, i) => { el.value = config[['min', 'max', 'step'][i]]; });
+                }
+            });
+        });
+    }
+
+    /**
+     * Give each free parameter of the custom expression a slider. Parameters the previous
+     * expression also had keep their value and range.
+     * @param {Array} names - From ExpressionParser.parse(..., { parameters: true })
+     */
+    setCustomParams(names) {
+        const previous = MathFunctions.custom.params;
+        if (names.join(',') === Object.keys(previous).join(',')) return;
+
+        MathFunctions.custom.params = customParamConfigs(names, previous);
+        if (this.currentFunction !== 'custom') return;
+
+        const values = this.params;
+        this.loadFunctionParams();
+        for (const name of names) {
+            if (name in values) {
+                this.params[name] = values[name];
+                this.updateParamSlider(name);
+            }
+        }
+    }
+
+    calculateDataPoints() {
+        const func = MathFunctions[this.currentFunction];
+        if (!func) return;
+
+        // For continuous mode: sample at MULTIPLE points per pixel for true solid appearance
+        // This creates truly continuous lines with no gaps
+        let actualNumPoints;
+        if (this.continuousMode) {
+            // Get the height of the drawable area in pixels
+            const axisHeight = this.height - this.padding.top - this.padding.bottom;
+            // Sample 3x points per pixel for guaranteed solid coverage
+            actualNumPoints = Math.max(axisHeight * 3, 1500);
+        } else {
+            actualNumPoints = this.numPoints;
+        }
+
+        const scaleAdjustments = this.constrainRangesToScales();
+
+        // First pass: calculate all Y values and find actual min/max
+        const evaluate = (x) => func.evaluate(x, this.params);
+        const base = this.sampleSeries(evaluate, actualNumPoints);
+        const visibleLayers = this.layers.filter(layer => layer.visible);
+        const layerSamples = visibleLayers.map(layer =>
+            this.sampleSeries(this.getLayerEvaluator(layer), actualNumPoints)
+        );
+
+        // Adaptive pass: where the graph breaks, and the curve between the breaks
+        const analysis = this.analyzeSeries(evaluate);
+        this.curveSegments = analysis.segments;
+        this.breaks = analysis.breaks;
+        this.pieceBoundaries = this.findPieceBoundaries();
+
+        // Calculate Y range based on squash setting
+        // In shared mode every visible layer contributes to the fitted range
+        let actualYMin = base.yMin;
+        let actualYMax = base.yMax;
+        let positiveYMin = base.positiveYMin;
+        if (this.layerYRange === 'shared') {
+            for (const sample of layerSamples) {
+                actualYMin = Math.min(actualYMin, sample.yMin);
+                actualYMax = Math.max(actualYMax, sample.yMax);
+                positiveYMin = Math.min(positiveYMin, sample.positiveYMin);
+            }
+        }
+
+        const range = this.yRangeOverride || this.fitYRange(actualYMin, actualYMax, positiveYMin);
+        this.yMin = range.yMin;
+        this.yMax = range.yMax;
+        this.updateYRangeInputs();
+        this.dataPoints = this.finalizeSeries(base.points, this.yMin, this.yMax, this.breaks);
+        this.updateScaleNote(scaleAdjustments);
+
+        visibleLayers.forEach((layer, i) => {
+            const layerRange = this.layerYRange === 'shared'
+                ? range
+                : this.fitYRange(layerSamples[i].yMin, layerSamples[i].yMax, layerSamples[i].positiveYMin);
+            const layerAnalysis = this.analyzeSeries(this.getLayerEvaluator(layer));
+            layer.yMin = layerRange.yMin;
+            layer.yMax = layerRange.yMax;
+            layer.segments = layerAnalysis.segments;
+            layer.breaks = layerAnalysis.breaks;
+            layer.dataPoints = this.finalizeSeries(layerSamples[i].points, layer.yMin, layer.yMax, layer.breaks);
+        });
+
+        this.calculateEnvelope();
+        this.calculateFeatures();
+        this.updateBrushReadout();
+        if (this.preimage) {
+            this.setPreimage(this.preimage.y, false);
+        }
+
+        if (this.viewMode === 'chain') {
+            this.calculateChainPoints(actualNumPoints);
+        } else if (this.viewMode === 'surface') {
+            this.calculateSurfacePoints();
+        } else if (this.viewMode === 'complex') {
+            this.calculateComplexPoints();
+        } else if (this.viewMode === 'implicit') {
+            // Every x scans a whole column of y, so continuous mode stops at a few hundred lines
+            this.calculateImplicitPoints(Math.min(actualNumPoints, 300));
+        } else if (this.viewMode === 'dataset') {
+            this.calculateDatasetPoints();
+        }
+    }
+
+    /**
+     * Use a parsed dataset: one axis per numeric column, in file order
+     * @param {Object} result - From DatasetLoader.parseCSV / parseJSON / loadFile
+     */
+    loadDataset(result) {
+        const statusEl = document.getElementById('datasetStatus');
+
+        if (!result.valid) {
+            statusEl.textContent = result.error;
+            statusEl.classList.add('error');
+            return;
+        }
+
+        this.dataset = result;
+        this.datasetOrder = result.columns.map((_, c) => c);
+        this.datasetRanges = result.columns.map(col => ({
+            min: col.min,
+            max: col.max === col.min ? col.min + 1 : col.max
+        }));
+        this.datasetCartX = 0;
+        this.datasetCartY = 1;
+        this.hoveredLine = null;
+
+        this.showDatasetSummary();
+        this.renderDatasetControls();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    // Rows, columns and skipped columns of the loaded dataset, in place of any earlier error
+    showDatasetSummary() {
+        const statusEl = document.getElementById('datasetStatus');
+        const result = this.dataset;
+        statusEl.classList.remove('error');
+        statusEl.textContent = `${result.name}: ${result.rowCount} rows × ${result.columns.length} columns` +
+            (result.skipped.length > 0 ? ` (skipped non-numeric: ${result.skipped.join(', ')})` : '');
+    }
+
+    /**
+     * Build the per-axis controls (range, order) and the Cartesian column selectors
+     */
+    renderDatasetControls() {
+        const list = document.getElementById('datasetAxisList');
+        list.innerHTML = '';
+
+        // Top axis first, matching the canvas
+        [...this.datasetOrder].reverse().forEach((c) => {
+            const column = this.dataset.columns[c];
+            const range = this.datasetRanges[c];
+
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.innerHTML = `
+                <div class="layer-header">
+                    <span class="layer-name" id="dataset_${c}_name"></span>
+                    <button class="layer-remove" id="dataset_${c}_up" title="Move up">↑</button>
+                    <button class="layer-remove" id="dataset_${c}_down" title="Move down">↓</button>
+                </div>
+                <div class="range-inputs layer-params">
+                    <input type="number" id="dataset_${c}_min" value="${range.min}">
+                    <span>to</span>
+                    <input type="number" id="dataset_${c}_max" value="${range.max}">
+                </div>
+            `;
+            list.appendChild(item);
+
+            // Column names come from the file, so they are set as text
+            const nameEl = document.getElementById(`dataset_${c}_name`);
+            nameEl.textContent = column.name;
+            nameEl.setAttribute('title', column.name);
+
+            document.getElementById(`dataset_${c}_up`).addEventListener('click', () => this.moveDatasetAxis(c, 1));
+            document.getElementById(`dataset_${c}_down`).addEventListener('click', () => this.moveDatasetAxis(c, -1));
+
+            ['min', 'max'].forEach((bound) => {
+                document.getElementById(`dataset_${c}_${bound}`).addEventListener('change', (e) => {
+                    const statusEl = document.getElementById('datasetStatus');
+                    if (!this.setRangeBound(e.target, bound, ['min', 'max'], this.datasetRanges[c])) {
+                        statusEl.textContent = `${column.name}: the range needs numbers, with min below max`;
+                        statusEl.classList.add('error');
+                        return;
+                    }
+                    this.showDatasetSummary();
+                    this.calculateDataPoints();
+                    this.render();
+                });
+            });
+        });
+
+        // Cartesian column selectors
+        ['datasetCartX', 'datasetCartY'].forEach((id) => {
+            const select = document.getElementById(id);
+            select.innerHTML = '';
+            this.dataset.columns.forEach((col, c) => {
+                const option = document.createElement('option');
+                option.value = c;
+                option.textContent = col.name;
+                select.appendChild(option);
+            });
+            select.value = this[id];
+        });
+
+        document.getElementById('datasetOptions').style.display = 'block';
+    }
+
+    /**
+     * Move a column's axis up (towards the top) or down
+     * @param {number} column - Column index
+     * @param {number} direction - 1 = up, -1 = down
+     */
+    moveDatasetAxis(column, direction) {
+        const index = this.datasetOrder.indexOf(column);
+        const target = index + direction;
+        if (target < 0 || target >= this.datasetOrder.length) return;
+
+        [this.datasetOrder[index], this.datasetOrder[target]] = [this.datasetOrder[target], this.datasetOrder[index]];
+        this.renderDatasetControls();
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Build one polyline per dataset row across the column axes in display order
+     */
+    calculateDatasetPoints() {
+        if (!this.dataset) {
+            this.datasetAxes = [];
+            this.datasetPolylines = [];
+            return;
+        }
+
+        const palette = ['#06b6d4', '#f472b6', '#fb923c', '#8b5cf6', '#22c55e', '#fbbf24', '#60a5fa', '#f87171'];
+        const columns = this.dataset.columns;
+
+        this.datasetAxes = this.datasetOrder.map((c) => ({
+            label: columns[c].name,
+            name: columns[c].name,
+            min: this.datasetRanges[c].min,
+            max: this.datasetRanges[c].max,
+            color: palette[c % palette.length],
+            column: c
+        }));
+
+        this.datasetPolylines = [];
+        for (let r = 0; r < this.dataset.rowCount; r++) {
+            this.datasetPolylines.push({
+                index: r,
+                values: this.datasetOrder.map(c => columns[c].values[r])
+            });
+        }
+    }
+
+    /**
+     * Handle input in the surface expression field (expression in x and y)
+     * @param {string} exprString - The user's input expression
+     */
+    handleSurfaceExpressionInput(exprString) {
+        const input = document.getElementById('surfaceExpressionInput');
+        const errorEl = document.getElementById('surfaceExpressionError');
+        const latexPreview = document.getElementById('surfaceLatexPreview');
+
+        const parsed = ExpressionParser.parse(ExpressionParser.normalize(exprString), { variables: ['x', 'y'] });
+
+        if (parsed.valid) {
+            input.classList.remove('error');
+            errorEl.textContent = '';
+            this.renderLatex(latexPreview, 'z = ' + parsed.latex + this.definitionsTex(parsed.uses));
+
+            this.surfaceExpression = exprString;
+            this.surfaceEvaluate = parsed.evaluate;
+
+            this.calculateDataPoints();
+            this.render();
+        } else {
+            input.classList.add('error');
+            errorEl.textContent = parsed.error;
+            latexPreview.innerHTML = '<span class="latex-content" style="color: #ef4444;">Invalid expression</span>';
+        }
+    }
+
+    /**
+     * Sample z = f(x, y) on a grid over [xMin, xMax] × [surfaceYMin, surfaceYMax]
+     * and build one polyline per sample in the chosen axis order
+     */
+    calculateSurfacePoints() {
+        if (!this.surfaceEvaluate) {
+            const parsed = ExpressionParser.parse(ExpressionParser.normalize(this.surfaceExpression), { variables: ['x', 'y'] });
+            this.surfaceEvaluate = parsed.valid ? parsed.evaluate : () => NaN;
+        }
+
+        const evaluate = this.surfaceEvaluate;
+        const n = this.surfaceGridSize;
+        const samples = [];
+        let zMin = Infinity;
+        let zMax = -Infinity;
+
+        for (let j = 0; j < n; j++) {
+            const y = this.surfaceYMin + (j / (n - 1)) * (this.surfaceYMax - this.surfaceYMin);
+            for (let i = 0; i < n; i++) {
+                const x = this.xMin + (i / (n - 1)) * (this.xMax - this.xMin);
+                let z = evaluate(x, y);
+                if (isNaN(z) || !isFinite(z)) {
+                    z = null;
+                } else {
+                    zMin = Math.min(zMin, z);
+                    zMax = Math.max(zMax, z);
+                }
+                samples.push({ x, y, z });
+            }
+        }
+
+        // Finer grid of the same surface for the heatmap/contour panel
+        const res = Math.max(n, 60);
+        const values = new Array(res * res);
+        for (let j = 0; j < res; j++) {
+            const y = this.surfaceYMin + (j / (res - 1)) * (this.surfaceYMax - this.surfaceYMin);
+            for (let i = 0; i < res; i++) {
+                const x = this.xMin + (i / (res - 1)) * (this.xMax - this.xMin);
+                const z = evaluate(x, y);
+                values[j * res + i] = isNaN(z) || !isFinite(z) ? null : z;
+                if (values[j * res + i] !== null) {
+                    zMin = Math.min(zMin, z);
+                    zMax = Math.max(zMax, z);
+                }
+            }
+        }
+
+        const zRange = this.fitYRange(zMin, zMax);
+        if (zRange.yMax === zRange.yMin) zRange.yMax = zRange.yMin + 1;
+
+        const axisDefs = {
+            x: { label: 'X axis', name: 'x', min: this.xMin, max: this.xMax, color: '#06b6d4' },
+            y: { label: 'Y axis', name: 'y', min: this.surfaceYMin, max: this.surfaceYMax, color: '#fb923c' },
+            z: { label: 'Z = f(x, y)', name: 'z', min: zRange.yMin, max: zRange.yMax, color: '#f472b6' }
+        };
+        const order = this.surfaceAxisOrder.split('');
+
+        this.surfaceAxes = order.map(key => axisDefs[key]);
+        this.surfacePolylines = samples.map((sample, index) => ({
+            index,
+            values: order.map(key => sample[key]),
+            // Gradient coloring follows the height of the surface
+            t: sample.z === null ? 0 : Math.max(0, Math.min(1, (sample.z - zRange.yMin) / (zRange.yMax - zRange.yMin)))
+        }));
+        this.surfaceHeatmap = { res, values, zMin: zRange.yMin, zMax: zRange.yMax };
+    }
+
+    /**
+     * Handle input in the complex expression field (expression in z)
+     * @param {string} exprString - The user's input expression
+     */
+    handleComplexExpressionInput(exprString) {
+        const input = document.getElementById('complexExpressionInput');
+        const errorEl = document.getElementById('complexExpressionError');
+        const latexPreview = document.getElementById('complexLatexPreview');
+
+        const parsed = ExpressionParser.parseComplex(ExpressionParser.normalize(exprString));
+
+        if (parsed.valid) {
+            input.classList.remove('error');
+            errorEl.textContent = '';
+            this.renderLatex(latexPreview, 'w = ' + parsed.latex + this.definitionsTex(parsed.uses));
+
+            this.complexExpression = exprString;
+            this.complexEvaluate = parsed.evaluate;
+
+            this.calculateDataPoints();
+            this.render();
+        } else {
+            input.classList.add('error');
+            errorEl.textContent = parsed.error;
+            latexPreview.innerHTML = '<span class="latex-content" style="color: #ef4444;">Invalid expression</span>';
+        }
+    }
+
+    /**
+     * Input samples of the complex map in contour order. The region is [xMin, xMax] on the
+     * real axis and [complexImMin, complexImMax] on the imaginary one; a line runs from its
+     * lower-left to its upper-right corner and a circle is the largest one centered in it.
+     * @returns {Array} - [{ re, im }]
+     */
+    getComplexContour() {
+        const n = this.complexDensity;
+        const count = n * n;
+        const reMin = this.xMin;
+        const reMax = this.xMax;
+        const imMin = this.complexImMin;
+        const imMax = this.complexImMax;
+        const points = [];
+
+        if (this.complexContour === 'line') {
+            for (let k = 0; k < count; k++) {
+                const t = k / (count - 1);
+                points.push({ re: reMin + t * (reMax - reMin), im: imMin + t * (imMax - imMin) });
+            }
+        } else if (this.complexContour === 'circle') {
+            const centerRe = (reMin + reMax) / 2;
+            const centerIm = (imMin + imMax) / 2;
+            const radius = Math.min(reMax - reMin, imMax - imMin) / 2;
+            for (let k = 0; k < count; k++) {
+                const angle = (k / count) * Math.PI * 2;
+                points.push({ re: centerRe + radius * Math.cos(angle), im: centerIm + radius * Math.sin(angle) });
+            }
+        } else {
+            for (let j = 0; j < n; j++) {
+                const im = imMin + (j / (n - 1)) * (imMax - imMin);
+                for (let i = 0; i < n; i++) {
+                    points.push({ re: reMin + (i / (n - 1)) * (reMax - reMin), im });
+                }
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Evaluate w = f(z) on the input contour and build one polyline per sample across
+     * Re z, Im z, Re w, Im w, or |z|, arg z, |w|, arg w
+     */
+    calculateComplexPoints() {
+        if (!this.complexEvaluate) {
+            this.complexEvaluate = ExpressionParser.parseComplex(ExpressionParser.normalize(this.complexExpression)).evaluate;
+        }
+
+        const evaluate = this.complexEvaluate;
+        let reMin = Infinity;
+        let reMax = -Infinity;
+        let imMin = Infinity;
+        let imMax = -Infinity;
+        let zModulusMax = 0;
+        let wModulusMax = 0;
+
+        this.complexSamples = this.getComplexContour().map((z) => {
+            const w = evaluate(z.re, z.im);
+            zModulusMax = Math.max(zModulusMax, Math.hypot(z.re, z.im));
+            if (!isFinite(w.re) || !isFinite(w.im)) {
+                return { z, w: null };
+            }
+            reMin = Math.min(reMin, w.re);
+            reMax = Math.max(reMax, w.re);
+            imMin = Math.min(imMin, w.im);
+            imMax = Math.max(imMax, w.im);
+            wModulusMax = Math.max(wModulusMax, Math.hypot(w.re, w.im));
+            return { z, w };
+        });
+
+        const reRange = this.fitYRange(reMin, reMax);
+        if (reRange.yMax === reRange.yMin) reRange.yMax = reRange.yMin + 1;
+        const imRange = this.fitYRange(imMin, imMax);
+        if (imRange.yMax === imRange.yMin) imRange.yMax = imRange.yMin + 1;
+
+        if (this.complexAxisMode === 'polar') {
+            // Moduli start at 0; arguments are the principal value in (-π, π]
+            this.complexAxes = [
+                { label: '|z|', name: '|z|', min: 0, max: zModulusMax || 1, color: '#06b6d4' },
+                { label: 'arg z', name: 'arg z', min: -Math.PI, max: Math.PI, color: '#fb923c' },
+                { label: '|w| = |f(z)|', name: '|w|', min: 0, max: wModulusMax || 1, color: '#f472b6' },
+                { label: 'arg w', name: 'arg w', min: -Math.PI, max: Math.PI, color: '#a78bfa' }
+            ];
+        } else {
+            this.complexAxes = [
+                { label: 'Re z', name: 'Re z', min: this.xMin, max: this.xMax, color: '#06b6d4' },
+                { label: 'Im z', name: 'Im z', min: this.complexImMin, max: this.complexImMax, color: '#fb923c' },
+                { label: 'Re w = Re f(z)', name: 'Re w', min: reRange.yMin, max: reRange.yMax, color: '#f472b6' },
+                { label: 'Im w = Im f(z)', name: 'Im w', min: imRange.yMin, max: imRange.yMax, color: '#a78bfa' }
+            ];
+        }
+
+        this.complexPolylines = this.complexSamples.map(({ z, w }, index) => {
+            if (this.complexAxisMode === 'polar') {
+                return {
+                    index,
+                    values: [
+                        Math.hypot(z.re, z.im), Math.atan2(z.im, z.re),
+                        w ? Math.hypot(w.re, w.im) : null, w ? Math.atan2(w.im, w.re) : null
+                    ]
+                };
+            }
+            return { index, values: [z.re, z.im, w ? w.re : null, w ? w.im : null] };
+        });
+
+        // The Cartesian panel shows the z-plane contour and its image together
+        this.complexBounds = {
+            xMin: Math.min(this.xMin, reRange.yMin),
+            xMax: Math.max(this.xMax, reRange.yMax),
+            yMin: Math.min(this.complexImMin, imRange.yMin),
+            yMax: Math.max(this.complexImMax, imRange.yMax)
+        };
+    }
+
+    /**
+     * Handle input in the implicit curve field: "F(x, y)" or "lhs = rhs"
+     * @param {string} exprString - The user's input equation
+     */
+    handleImplicitExpressionInput(exprString) {
+        const input = document.getElementById('implicitExpressionInput');
+        const errorEl = document.getElementById('implicitExpressionError');
+        const latexPreview = document.getElementById('implicitLatexPreview');
+
+        const parsed = ExpressionParser.parseImplicit(ExpressionParser.normalize(exprString));
+
+        if (parsed.valid) {
+            input.classList.remove('error');
+            errorEl.textContent = '';
+            this.renderLatex(latexPreview, parsed.latex + this.definitionsTex(parsed.uses));
+
+            this.implicitExpression = exprString;
+            this.implicitEvaluate = parsed.evaluate;
+
+            this.calculateDataPoints();
+            this.render();
+        } else {
+            input.classList.add('error');
+            errorEl.textContent = parsed.error;
+            latexPreview.innerHTML = '<span class="latex-content" style="color: #ef4444;">Invalid equation</span>';
+        }
+    }
+
+    /**
+     * Solve F(x, y) = 0 at each sampled x (see AxesCore.solveImplicit) and build one
+     * two-axis polyline per solution, colored by branch
+     * @param {number} numSamples - Number of x samples
+     */
+    calculateImplicitPoints(numSamples) {
+        if (!this.implicitEvaluate) {
+            this.implicitEvaluate = ExpressionParser.parseImplicit(ExpressionParser.normalize(this.implicitExpression)).evaluate;
+        }
+
+        const evaluate = this.implicitEvaluate;
+        const xs = [];
+        for (let i = 0; i < numSamples; i++) {
+            xs.push(this.xMin + (i / Math.max(1, numSamples - 1)) * (this.xMax - this.xMin));
+        }
+
+        const solutions = AxesCore.solveImplicit(evaluate, xs, this.implicitYMin, this.implicitYMax);
+        const branchCount = solutions.reduce((count, s) => Math.max(count, s.branch + 1), 0);
+
+        this.implicitAxes = [
+            { label: 'X axis', name: 'x', min: this.xMin, max: this.xMax, color: '#06b6d4' },
+            { label: 'Y axis', name: 'y', min: this.implicitYMin, max: this.implicitYMax, color: '#f472b6' }
+        ];
+        this.implicitPolylines = solutions.map(({ x, y, branch }, index) => ({
+            index,
+            values: [x, y],
+            branch,
+            // Gradient coloring tells the branches apart
+            t: branch / Math.max(1, branchCount - 1)
+        }));
+
+        // F on a grid of the (x, y) plane, contoured at 0 by the Cartesian panel
+        const res = 120;
+        const values = new Array(res * res);
+        for (let j = 0; j < res; j++) {
+            const y = this.implicitYMin + (j / (res - 1)) * (this.implicitYMax - this.implicitYMin);
+            for (let i = 0; i < res; i++) {
+                const x = this.xMin + (i / (res - 1)) * (this.xMax - this.xMin);
+                const value = evaluate(x, y);
+                values[j * res + i] = isFinite(value) ? value : null;
+            }
+        }
+        this.implicitGrid = { res, values };
+
+        const samplesWithSolutions = new Set(solutions.map(s => s.x)).size;
+        document.getElementById('implicitStatus').textContent = solutions.length === 0
+            ? 'No solutions in this range'
+            : `${solutions.length} solutions at ${samplesWithSolutions} of ${numSamples} sampled x, ` +
+              `up to ${branchCount} per x`;
+    }
+
+    /**
+     * Compose the base function with the visible layers (in list order) and
+     * sample x → f₁(x) → f₂(f₁(x)) → … as one polyline per sample
+     * @param {number} numSamples - Number of x samples
+     */
+    calculateChainPoints(numSamples) {
+        const func = MathFunctions[this.currentFunction];
+        const stages = [{
+            label: this.getBaseLabel(),
+            color: '#8b5cf6',
+            evaluate: (u) => func.evaluate(u, this.params)
+        }];
+
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+            stages.push({
+                label: this.getLayerLabel(layer),
+                color: layer.color,
+                evaluate: this.getLayerEvaluator(layer)
+            });
+        }
+
+        const step = (this.xMax - this.xMin) / (numSamples - 1);
+        const polylines = [];
+        const stageMin = stages.map(() => Infinity);
+        const stageMax = stages.map(() => -Infinity);
+
+        for (let i = 0; i < numSamples; i++) {
+            const x = (i === numSamples - 1) ? this.xMax : this.xMin + i * step;
+            const values = [x];
+            let u = x;
+
+            for (let k = 0; k < stages.length; k++) {
+                u = u === null ? null : stages[k].evaluate(u);
+                if (u === null || isNaN(u) || !isFinite(u)) {
+                    u = null;
+                } else {
+                    stageMin[k] = Math.min(stageMin[k], u);
+                    stageMax[k] = Math.max(stageMax[k], u);
+                }
+                values.push(u);
+            }
+
+            polylines.push({ index: i, values });
+        }
+
+        // Axis 0 is the X domain, every stage axis is fitted with the Y squash setting
+        this.chainAxes = [{ label: 'x', name: 'x', min: this.xMin, max: this.xMax, color: '#06b6d4' }];
+        stages.forEach((stage, k) => {
+            const range = this.fitYRange(stageMin[k], stageMax[k]);
+            this.chainAxes.push({
+                label: `u${this.toSubscript(k + 1)} = ${stage.label.replace(/^y = /, '')}`,
+                name: `u${this.toSubscript(k + 1)}`,
+                min: range.yMin,
+                max: range.yMax === range.yMin ? range.yMin + 1 : range.yMax,
+                color: stage.color
+            });
+        });
+
+        this.chainPolylines = polylines;
+    }
+
+    toSubscript(n) {
+        return String(n).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+    }
+
+    /**
+     * Get the evaluator (x) => y of an overlay layer
+     */
+    getLayerEvaluator(layer) {
+        if (layer.functionKey === 'custom') {
+            return layer.evaluate || ((x) => x);
+        }
+        const func = MathFunctions[layer.functionKey];
+        return (x) => func.evaluate(x, layer.params);
+    }
+
+    /**
+     * Sample a function evenly along the X axis over [xMin, xMax] (see AxesCore.sampleSeries)
+     * @param {Function} evaluate - (x) => y
+     * @param {number} numSamples - Number of samples
+     * @returns {Object} - { points: [{x, y, index}], yMin, yMax, positiveYMin } with the actual value range
+     */
+    sampleSeries(evaluate, numSamples) {
+        return AxesCore.sampleSeries(evaluate, this.xMin, this.xMax, numSamples, this.xScale);
+    }
+
+    /**
+     * Resolve the displayed Y range from the actual value range and the squash setting
+     * @param {number} positiveYMin - Smallest positive value, where a log Y axis starts
+     * @returns {Object} - { yMin, yMax }
+     */
+    fitYRange(actualYMin, actualYMax, positiveYMin = Infinity) {
+        return AxesCore.fitYRange(actualYMin, actualYMax, {
+            xMin: this.xMin,
+            xMax: this.xMax,
+            ySquash: this.ySquash,
+            // The Y scale control belongs to the function view; the other views fit linear ranges
+            yScale: this.viewMode === 'function' ? this.yScale : 'linear',
+            positiveYMin
+        });
+    }
+
+    /**
+     * Sample a function adaptively over [xMin, xMax] and find its poles, jumps and domain gaps
+     * (see AxesCore.analyzeFunction)
+     * @param {Function} evaluate - (x) => y
+     * @returns {Object} - { segments, breaks }
+     */
+    analyzeSeries(evaluate) {
+        return AxesCore.analyzeFunction(evaluate, this.xMin, this.xMax, { xScale: this.xScale });
+    }
+
+    /**
+     * Flag out-of-range points, mark discontinuities and normalize slopes
+     * @returns {Array} - Data points ready for drawing
+     */
+    finalizeSeries(rawPoints, yMin, yMax, breaks = []) {
+        return AxesCore.finalizeSeries(rawPoints, yMin, yMax, breaks);
+    }
+
+    // Convert data coordinates to canvas coordinates
+    // HORIZONTAL LAYOUT: X axis at bottom, Y axis at top
+    // Both axes follow their scale (see AxesCore.scaleFraction); on a log axis a value
+    // at or below zero maps to -Infinity, so callers skip or clamp such values
+    xToCanvas(x) {
+        // X axis is at bottom - maps x value to horizontal position
+        const t = AxesCore.scaleFraction(x, this.xMin, this.xMax, this.xScale);
+        return this.padding.left + t * (this.width - this.padding.left - this.padding.right);
+    }
+
+    yToCanvas(y, range = this) {
+        // Y axis is at top - maps y value to horizontal position
+        // An overlay layer with its own Y range passes itself as the range
+        const t = AxesCore.scaleFraction(y, range.yMin, range.yMax, this.yScale);
+        return this.padding.left + t * (this.width - this.padding.left - this.padding.right);
+    }
+
+    // Inverse of yToCanvas for the base Y range
+    canvasToY(canvasX) {
+        const t = (canvasX - this.padding.left) / (this.width - this.padding.left - this.padding.right);
+        return AxesCore.scaleValue(t, this.yMin, this.yMax, this.yScale);
+    }
+
+    // Inverse of xToCanvas
+    canvasToX(canvasX) {
+        const t = (canvasX - this.padding.left) / (this.width - this.padding.left - this.padding.right);
+        return AxesCore.scaleValue(t, this.xMin, this.xMax, this.xScale);
+    }
+
+    /**
+     * Which axis line a canvas position is on (or just next to)
+     * @returns {string|null} - 'x', 'y' or null
+     */
+    axisAt(canvasX, canvasY) {
+        if (this.axisLayout === 'circular') return null;
+        if (canvasX < this.padding.left - 6 || canvasX > this.width - this.padding.right + 6) return null;
+        if (Math.abs(canvasY - this.getXAxisY()) <= 12) return 'x';
+        if (Math.abs(canvasY - this.getYAxisY()) <= 12) return 'y';
+        return null;
+    }
+
+    // Clamp Y to visible range for drawing
+    yToCanvasClamped(y) {
+        const clampedY = Math.max(this.yMin, Math.min(this.yMax, y));
+        return this.yToCanvas(clampedY);
+    }
+
+    // Get Y position of bottom axis (X-axis)
+    getXAxisY() {
+        return this.height - this.padding.bottom;
+    }
+
+    // Get Y position of top axis (Y-axis)
+    getYAxisY() {
+        return this.padding.top;
+    }
+
+    // Get Y position of axis k out of count, stacked evenly from bottom (k = 0) to top
+    getMultiAxisY(k, count) {
+        const bottom = this.getXAxisY();
+        const top = this.getYAxisY();
+        return count < 2 ? bottom : bottom - (k / (count - 1)) * (bottom - top);
+    }
+
+    /**
+     * Where a value sits on the X axis of the current layout: the bottom line of the
+     * parallel layout, or the inner circle of the circular one
+     * @returns {Object} - { x, y } on the canvas
+     */
+    xAxisPoint(x) {
+        if (this.axisLayout === 'circular') {
+            const { inner } = this.getCircularGeometry();
+            return this.circularPoint(AxesCore.scaleFraction(x, this.xMin, this.xMax, this.xScale), inner);
+        }
+        return { x: this.xToCanvas(x), y: this.getXAxisY() };
+    }
+
+    // Where a value sits on the Y axis of the current layout: the top line, or the outer circle
+    yAxisPoint(y, range = this) {
+        if (this.axisLayout === 'circular') {
+            const { outer } = this.getCircularGeometry();
+            return this.circularPoint(AxesCore.scaleFraction(y, range.yMin, range.yMax, this.yScale), outer);
+        }
+        return { x: this.yToCanvas(y, range), y: this.getYAxisY() };
+    }
+
+    /**
+     * The line of a sample from the X axis to the Y axis in the current layout
+     * @param {Object} point - { x, y }
+     * @param {Object} range - Y range the sample is drawn with
+     * @returns {Object} - { x1, y1, x2, y2, lean }; lean is about -1..1, how far the line
+     *                     turns from pointing straight at the Y axis (the "By Slope" color)
+     */
+    sampleLineEnds(point, range = this) {
+        const from = this.xAxisPoint(point.x);
+        const to = this.yAxisPoint(point.y, range);
+
+        let lean;
+        if (this.axisLayout === 'circular') {
+            // Angle turned clockwise from the X to the Y position, wrapped to -π..π
+            const delta = to.angle - from.angle;
+            lean = -Math.atan2(Math.sin(delta), Math.cos(delta)) / Math.PI;
+        } else {
+            lean = (to.x - from.x) / (to.y - from.y);
+        }
+        return { x1: from.x, y1: from.y, x2: to.x, y2: to.y, lean };
+    }
+
+    // Map a value onto the horizontal position of an axis with its own { min, max }
+    axisValueToCanvas(value, axis) {
+        const t = (value - axis.min) / (axis.max - axis.min);
+        return this.padding.left + t * (this.width - this.padding.left - this.padding.right);
+    }
+
+    /**
+     * Draw N horizontal axes with labels and ticks
+     * @param {Array} axes - [{ label, min, max, color }] from bottom to top
+     */
+    drawMultiAxes(axes) {
+        const ctx = this.ctx;
+        const left = this.padding.left;
+        const right = this.width - this.padding.right;
+        const tickLength = 6;
+
+        axes.forEach((axis, k) => {
+            const axisY = this.getMultiAxisY(k, axes.length);
+
+            ctx.strokeStyle = axis.color;
+            ctx.lineWidth = 3;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(left, axisY);
+            ctx.lineTo(right, axisY);
+            ctx.stroke();
+
+            // Label above the axis
+            ctx.font = '600 12px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillStyle = axis.color;
+            ctx.fillText(axis.label, left, axisY - 10);
+
+            // Ticks below the axis
+            ctx.font = '400 10px JetBrains Mono, monospace';
+            ctx.lineWidth = 1;
+            const numTicks = 5;
+            for (let i = 0; i <= numTicks; i++) {
+                const value = axis.min + (i / numTicks) * (axis.max - axis.min);
+                const x = this.axisValueToCanvas(value, axis);
+
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+                ctx.beginPath();
+                ctx.moveTo(x, axisY);
+                ctx.lineTo(x, axisY + tickLength);
+                ctx.stroke();
+
+                ctx.fillStyle = '#a0a0b0';
+                ctx.textAlign = 'center';
+                ctx.fillText(value.toFixed(1), x, axisY + tickLength + 10);
+            }
+        });
+    }
+
+    /**
+     * Draw one polyline per sample across N axes. Segments stop where a value is
+     * undefined or leaves its axis range; the hovered polyline is highlighted end to end.
+     * @param {Array} axes - [{ min, max }] from bottom to top
+     * @param {Array} polylines - [{ index, values: [v0, v1, ...], t? }] (null = undefined, t = gradient position)
+     */
+    drawPolylines(axes, polylines) {
+        const ctx = this.ctx;
+        const count = axes.length;
+        const linesToDraw = this.isRevealing()
+            ? Math.floor(this.animationProgress * polylines.length)
+            : polylines.length;
+        const hasHover = this.hoveredLine !== null && this.hoveredLine >= 0;
+
+        const inRange = (value, axis) => value !== null && value >= axis.min && value <= axis.max;
+
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        for (let i = 0; i < linesToDraw; i++) {
+            const { values } = polylines[i];
+            const isHovered = this.hoveredLine === i;
+
+            // Color by mode: position gradient, overall slope, or solid
+            let color;
+            if (this.lineColorMode === 'gradient') {
+                const t = polylines[i].t !== undefined ? polylines[i].t : i / Math.max(1, polylines.length - 1);
+                color = this.interpolateColor('#06b6d4', '#f472b6', t);
+            } else if (this.lineColorMode === 'slope') {
+                const last = values.length - 1;
+                const drift = inRange(values[last], axes[last])
+                    ? (this.axisValueToCanvas(values[last], axes[last]) - this.axisValueToCanvas(values[0], axes[0])) /
+                      (this.getXAxisY() - this.getYAxisY())
+                    : 0;
+                color = this.interpolateColor('#22c55e', '#ef4444', Math.max(0, Math.min(1, (drift + 1) / 2)));
+            } else {
+                color = '#8b5cf6';
+            }
+
+            ctx.strokeStyle = isHovered ? '#ffffff' : color;
+            ctx.globalAlpha = isHovered ? 1 : (this.continuousMode ? 0.35 : (hasHover ? 0.25 : 0.6));
+            ctx.lineWidth = isHovered ? 2.5 : (this.continuousMode ? 1 : 1.5);
+
+            ctx.beginPath();
+            let started = false;
+            for (let k = 0; k < count; k++) {
+                if (!inRange(values[k], axes[k])) {
+                    started = false;
+                    continue;
+                }
+                const px = this.axisValueToCanvas(values[k], axes[k]);
+                const py = this.getMultiAxisY(k, count);
+                if (started) {
+                    ctx.lineTo(px, py);
+                } else {
+                    ctx.moveTo(px, py);
+                    started = true;
+                }
+            }
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+
+        // Points on every axis (red where the chain leaves an axis range)
+        if (!this.showPoints || this.continuousMode) return;
+
+        for (let i = 0; i < linesToDraw; i++) {
+            const { values } = polylines[i];
+            const isHovered = this.hoveredLine === i;
+            const radius = isHovered ? 5 : 3;
+
+            for (let k = 0; k < count; k++) {
+                if (values[k] === null) break;
+
+                const outOfRange = !inRange(values[k], axes[k]);
+                const value = Math.max(axes[k].min, Math.min(axes[k].max, values[k]));
+
+                ctx.fillStyle = outOfRange ? '#ef4444' : (isHovered ? '#ffffff' : axes[k].color);
+                ctx.beginPath();
+                ctx.arc(this.axisValueToCanvas(value, axes[k]), this.getMultiAxisY(k, count), radius, 0, Math.PI * 2);
+                ctx.fill();
+
+                if (outOfRange) break;
+            }
+        }
+    }
+
+    /**
+     * Get the axes and polylines of the current multi-axis view
+     * @returns {Object|null} - { axes, polylines }, or null in the two-axis function view
+     */
+    getPolylineView() {
+        if (this.viewMode === 'chain') {
+            return { axes: this.chainAxes, polylines: this.chainPolylines };
+        }
+        if (this.viewMode === 'surface') {
+            return { axes: this.surfaceAxes, polylines: this.surfacePolylines };
+        }
+        if (this.viewMode === 'complex') {
+            return { axes: this.complexAxes, polylines: this.complexPolylines };
+        }
+        if (this.viewMode === 'implicit') {
+            return { axes: this.implicitAxes, polylines: this.implicitPolylines };
+        }
+        if (this.viewMode === 'dataset') {
+            return { axes: this.datasetAxes, polylines: this.datasetPolylines };
+        }
+        return null;
+    }
+
+    /**
+     * Find the polyline nearest to a canvas position
+     * @returns {number} - Polyline index, or -1 if none is within reach
+     */
+    findClosestPolyline(axes, polylines, mouseX, mouseY) {
+        const count = axes.length;
+        let closestIndex = -1;
+        let closestDistance = 15;
+
+        polylines.forEach(({ values }, i) => {
+            for (let k = 0; k < count - 1; k++) {
+                const a = values[k];
+                const b = values[k + 1];
+                if (a === null || b === null) break;
+
+                const dist = this.pointToLineDistance(
+                    mouseX, mouseY,
+                    this.axisValueToCanvas(a, axes[k]), this.getMultiAxisY(k, count),
+                    this.axisValueToCanvas(b, axes[k + 1]), this.getMultiAxisY(k + 1, count)
+                );
+
+                if (dist < closestDistance) {
+                    closestDistance = dist;
+                    closestIndex = i;
+                }
+            }
+        });
+
+        return closestIndex;
+    }
+
+    // Tooltip listing the value of a polyline on every axis
+    showPolylineTooltip(x, y, axes, values) {
+        this.setTooltipLines(axes.map((axis, k) => [[axis.name, values[k] === null ? 'undefined' : values[k].toFixed(2)]]));
+        this.tooltip.style.left = (x + 15) + 'px';
+        this.tooltip.style.top = (y - 10) + 'px';
+        this.tooltip.classList.add('visible');
+    }
+
+    render() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+
+        // Draw grid first (behind everything)
+        if (this.showGrid) {
+            this.drawGrid();
+        }
+
+        // Composition chain: N stacked axes, one polyline per sample
+        if (this.viewMode === 'chain') {
+            this.drawMultiAxes(this.chainAxes);
+            this.drawPolylines(this.chainAxes, this.chainPolylines);
+            this.renderChainCartesian();
+            return;
+        }
+
+        // Surface: X, Y and Z axes in the chosen order, one polyline per grid sample
+        if (this.viewMode === 'surface') {
+            this.drawMultiAxes(this.surfaceAxes);
+            this.drawPolylines(this.surfaceAxes, this.surfacePolylines);
+            this.renderSurfaceCartesian();
+            return;
+        }
+
+        // Complex map: input and output on four axes, one polyline per contour sample
+        if (this.viewMode === 'complex') {
+            this.drawMultiAxes(this.complexAxes);
+            this.drawPolylines(this.complexAxes, this.complexPolylines);
+            this.renderComplexCartesian();
+            return;
+        }
+
+        // Implicit curve: X and Y axes, one line per (x, y) solution
+        if (this.viewMode === 'implicit') {
+            this.drawMultiAxes(this.implicitAxes);
+            this.drawPolylines(this.implicitAxes, this.implicitPolylines);
+            this.renderImplicitCartesian();
+            return;
+        }
+
+        // Dataset: one axis per column, one polyline per row
+        if (this.viewMode === 'dataset') {
+            if (!this.dataset) {
+                this.drawEmptyMessage(this.ctx, this.width, this.height, 'Load a CSV or JSON file to plot its columns');
+                this.drawEmptyMessage(this.cartesianCtx, this.cartWidth, this.cartHeight, 'No dataset loaded');
+                return;
+            }
+            this.drawMultiAxes(this.datasetAxes);
+            this.drawPolylines(this.datasetAxes, this.datasetPolylines);
+            this.renderDatasetCartesian();
+            return;
+        }
+
+        // Circular layout: the same lines between concentric axes. Break markers, brushes,
+        // the envelope and the preimage belong to straight axes (see updateLayoutControls)
+        if (this.axisLayout === 'circular') {
+            this.drawCircularAxes();
+            this.drawFunctionLines();
+            if (this.features) {
+                this.drawFeatureMarkers();
+            }
+            this.drawCalculusCurvesParallel();
+            if (this.showPoints) {
+                this.drawDataPoints();
+            }
+            this.renderCartesian();
+            return;
+        }
+
+        // Draw axes
+        this.drawAxes();
+
+        // Draw connecting lines for main function
+        this.drawFunctionLines();
+        this.drawBreakMarkers();
+
+        if (this.hasBrush()) {
+            this.drawBrushes();
+        }
+
+        if (this.showEnvelope) {
+            this.drawEnvelope();
+        }
+
+        if (this.features) {
+            this.drawFeatureMarkers();
+        }
+
+        if (this.preimage) {
+            this.drawPreimage();
+        }
+
+        // Draw calculus curves (derivative and integral) on parallel axes
+        this.drawCalculusCurvesParallel();
+
+        // Draw data points on top
+        if (this.showPoints) {
+            this.drawDataPoints();
+        }
+
+        // Render Cartesian view
+        this.renderCartesian();
+    }
+
+    /**
+     * Run render() against other drawing contexts (export targets) instead of the on-screen canvases
+     * @param {Object} ctx - Context for the parallel axes view
+     * @param {Object} cartesianCtx - Context for the Cartesian view
+     */
+    renderTo(ctx, cartesianCtx) {
+        const screen = { ctx: this.ctx, cartesianCtx: this.cartesianCtx };
+
+        this.ctx = ctx;
+        this.cartesianCtx = cartesianCtx;
+        try {
+            this.render();
+        } finally {
+            this.ctx = screen.ctx;
+            this.cartesianCtx = screen.cartesianCtx;
+        }
+    }
+
+    /**
+     * Draw the requested views onto a context, stacked like on screen
+     * @param {Object} ctx - A CanvasRenderingContext2D or SvgContext sized by getExportSize()
+     * @param {string} target - 'both', 'parallel' or 'cartesian'
+     */
+    drawExport(ctx, target) {
+        const gap = 8;
+        const discard = new SvgContext(Math.max(this.width, this.cartWidth), this.height + this.cartHeight);
+
+        if (target !== 'cartesian') {
+            // The parallel canvas is transparent on screen; paint its container background
+            ctx.fillStyle = '#12121a';
+            ctx.fillRect(0, 0, this.width, this.height);
+            this.renderTo(ctx, discard);
+        }
+
+        if (target !== 'parallel') {
+            const offset = target === 'both' ? this.height + gap : 0;
+            ctx.save();
+            ctx.translate(0, offset);
+            this.renderTo(discard, ctx);
+            ctx.restore();
+        }
+    }
+
+    // Size in CSS pixels of an export of the given target
+    getExportSize(target) {
+        if (target === 'parallel') return { width: this.width, height: this.height };
+        if (target === 'cartesian') return { width: this.cartWidth, height: this.cartHeight };
+        return { width: Math.max(this.width, this.cartWidth), height: this.height + 8 + this.cartHeight };
+    }
+
+    /**
+     * Export the current view as PNG (at a chosen resolution) or SVG, using the same drawing code as render()
+     * @param {string} format - 'png' or 'svg'
+     * @param {string} target - 'both', 'parallel' or 'cartesian'
+     * @param {number} scale - PNG resolution multiplier
+     */
+    exportView(format, target, scale = 2) {
+        const { width, height } = this.getExportSize(target);
+
+        // Exports show the plot itself, not the transient hover highlight
+        const hover = { line: this.hoveredLine, layerId: this.hoveredLayerId };
+        this.hoveredLine = null;
+        this.hoveredLayerId = null;
+
+        try {
+            if (format === 'svg') {
+                const svg = new SvgContext(width, height);
+                this.drawExport(svg, target);
+                this.downloadBlob(new Blob([svg.toString()], { type: 'image/svg+xml' }), `parallel-axes-${target}.svg`);
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.scale(scale, scale);
+                this.drawExport(ctx, target);
+                canvas.toBlob((blob) => this.downloadBlob(blob, `parallel-axes-${target}@${scale}x.png`), 'image/png');
+            }
+        } finally {
+            this.hoveredLine = hover.line;
+            this.hoveredLayerId = hover.layerId;
+            this.render();
+        }
+    }
+
+    // Save a blob through a temporary download link
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Centered hint text on an otherwise empty canvas
+    drawEmptyMessage(ctx, width, height, message) {
+        if (ctx === this.cartesianCtx) {
+            ctx.clearRect(0, 0, width, height);
+            ctx.fillStyle = 'rgba(18, 18, 26, 1)';
+            ctx.fillRect(0, 0, width, height);
+        }
+        ctx.fillStyle = '#606070';
+        ctx.font = '500 14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(message, width / 2, height / 2);
+    }
+
+    drawGrid() {
+        const ctx = this.ctx;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.03)';
+        ctx.lineWidth = 1;
+
+        // Circular layout: spokes across the band between the axes
+        if (this.viewMode === 'function' && this.axisLayout === 'circular') {
+            const { inner, outer } = this.getCircularGeometry();
+            for (let i = 0; i < 24; i++) {
+                const from = this.circularPoint(i / 24, inner);
+                const to = this.circularPoint(i / 24, outer);
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            }
+            return;
+        }
+
+        // Vertical grid lines
+        const numVLines = 10;
+        for (let i = 0; i <= numVLines; i++) {
             const x = this.padding.left + (i / numVLines) * (this.width - this.padding.left - this.padding.right);
             ctx.beginPath();
-            ctx.moveTo(x, this.padding.top);
-            ctx.lineTo(x, this.height - this.padding.bottom);
+            ctx.moveTo(x, this.padding.top);
+            ctx.lineTo(x, this.height - this.padding.bottom);
+            ctx.stroke();
+        }
+    }
+
+    drawAxes() {
+        const ctx = this.ctx;
+        const xAxisY = this.getXAxisY();
+        const yAxisY = this.getYAxisY();
+        const left = this.padding.left;
+        const right = this.width - this.padding.right;
+
+        // Create gradients for axes (horizontal)
+        const xGrad = ctx.createLinearGradient(left, xAxisY, right, xAxisY);
+        xGrad.addColorStop(0, '#06b6d4');
+        xGrad.addColorStop(1, '#8b5cf6');
+
+        const yGrad = ctx.createLinearGradient(left, yAxisY, right, yAxisY);
+        yGrad.addColorStop(0, '#f472b6');
+        yGrad.addColorStop(1, '#fb923c');
+
+        // Draw X axis (bottom)
+        ctx.strokeStyle = xGrad;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(left, xAxisY);
+        ctx.lineTo(right, xAxisY);
+        ctx.stroke();
+
+        // Draw Y axis (top)
+        ctx.strokeStyle = yGrad;
+        ctx.beginPath();
+        ctx.moveTo(left, yAxisY);
+        ctx.lineTo(right, yAxisY);
+        ctx.stroke();
+
+        // Draw axis labels
+        ctx.font = '600 14px Inter, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.fillStyle = '#06b6d4';
+        ctx.fillText('X axis', left, xAxisY + 25);
+
+        ctx.fillStyle = '#f472b6';
+        ctx.fillText('Y axis', left, yAxisY - 10);
+
+        // Draw tick marks and values
+        this.drawAxisTicks();
+    }
+
+    drawAxisTicks() {
+        const ctx = this.ctx;
+        const xAxisY = this.getXAxisY();
+        const yAxisY = this.getYAxisY();
+        const tickLength = 6;
+
+        ctx.font = '400 10px JetBrains Mono, monospace';
+        ctx.lineWidth = 1;
+
+        // X-axis ticks (bottom axis)
+        for (const value of AxesCore.scaleTicks(this.xMin, this.xMax, this.xScale)) {
+            const x = this.xToCanvas(value);
+
+            ctx.strokeStyle = 'rgba(6, 182, 212, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(x, xAxisY);
+            ctx.lineTo(x, xAxisY + tickLength);
+            ctx.stroke();
+
+            ctx.fillStyle = '#a0a0b0';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.formatTick(value, this.xScale), x, xAxisY + tickLength + 12);
+        }
+
+        // Y-axis ticks (top axis)
+        for (const value of AxesCore.scaleTicks(this.yMin, this.yMax, this.yScale)) {
+            const x = this.yToCanvas(value);
+
+            ctx.strokeStyle = 'rgba(244, 114, 182, 0.5)';
+            ctx.beginPath();
+            ctx.moveTo(x, yAxisY);
+            ctx.lineTo(x, yAxisY - tickLength);
+            ctx.stroke();
+
+            ctx.fillStyle = '#a0a0b0';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.formatTick(value, this.yScale), x, yAxisY - tickLength - 5);
+        }
+    }
+
+    // Tick label: one decimal on a linear axis; log and symlog ticks span decades, so keep them short
+    formatTick(value, scale) {
+        if (scale === 'linear') return value.toFixed(1);
+
+        const abs = Math.abs(value);
+        if (abs !== 0 && (abs >= 1e4 || abs < 1e-2)) {
+            return parseFloat(value.toPrecision(2)).toExponential().replace('e+', 'e');
+        }
+        return String(parseFloat(value.toPrecision(3)));
+    }
+
+    drawFunctionLines() {
+        const ctx = this.ctx;
+        const xAxisY = this.getXAxisY();
+        const yAxisY = this.getYAxisY();
+
+        // Overlay layers go underneath the base function
+        this.drawLayerLines();
+
+        // Determine how many lines to draw based on animation
+        const linesToDraw = this.isRevealing()
+            ? Math.floor(this.animationProgress * this.dataPoints.length)
+            : this.dataPoints.length;
+
+        if (this.continuousMode && linesToDraw > 1) {
+            // TRUE CONTINUOUS MODE: Draw lines at every pixel - so dense they appear solid
+            this.drawContinuousLines(linesToDraw);
+        } else {
+            // DISCRETE MODE: Draw individual lines
+            this.drawDiscreteLines(linesToDraw);
+        }
+    }
+
+    drawContinuousLines(linesToDraw) {
+        const ctx = this.ctx;
+
+        // In continuous mode, we draw individual lines at every pixel
+        // This creates a truly continuous appearance
+
+        // Use thin lines with moderate opacity so overlapping creates solid look
+        ctx.lineWidth = 1;
+        ctx.lineCap = 'round';
+        ctx.globalAlpha = 0.5;
+
+        for (let i = 0; i < linesToDraw; i++) {
+            const point = this.dataPoints[i];
+
+            // Skip out-of-range points (draw red marker later)
+            if (point.outOfRange) {
+                continue;
+            }
+
+            const ends = this.sampleLineEnds(point);
+
+            // Color based on position for gradient effect
+            const t = i / (this.dataPoints.length - 1);
+            ctx.strokeStyle = this.interpolateColor('#06b6d4', '#f472b6', t);
+            ctx.globalAlpha = 0.5 * this.brushFade(point.x, point.y);
+
+            // Draw line from X axis to Y axis
+            ctx.beginPath();
+            ctx.moveTo(ends.x1, ends.y1);
+            ctx.lineTo(ends.x2, ends.y2);
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+
+        // Draw red markers for out-of-range points on X axis only
+        ctx.fillStyle = '#ef4444';
+        for (let i = 0; i < linesToDraw; i++) {
+            const point = this.dataPoints[i];
+            if (point.outOfRange) {
+                const { x, y } = this.xAxisPoint(point.x);
+                ctx.beginPath();
+                ctx.arc(x, y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    drawDiscreteLines(linesToDraw) {
+        const ctx = this.ctx;
+
+        for (let i = 0; i < linesToDraw; i++) {
+            const point = this.dataPoints[i];
+
+            // Skip drawing line for out-of-range points (they get red marker in drawDataPoints)
+            if (point.outOfRange) {
+                continue;
+            }
+
+            const ends = this.sampleLineEnds(point);
+
+            // Calculate line color based on mode
+            let color;
+            if (this.lineColorMode === 'gradient') {
+                const t = i / (this.dataPoints.length - 1);
+                color = this.interpolateColor('#06b6d4', '#f472b6', t);
+            } else if (this.lineColorMode === 'slope') {
+                const normalizedSlope = (ends.lean + 1) / 2;
+                color = this.interpolateColor('#22c55e', '#ef4444', Math.max(0, Math.min(1, normalizedSlope)));
+            } else {
+                color = '#8b5cf6';
+            }
+
+            const isHovered = this.hoveredLayerId === null && this.hoveredLine === i;
+            const alpha = (isHovered ? 1 : 0.6) * this.brushFade(point.x, point.y);
+            const lineWidth = isHovered ? 2.5 : 1.5;
+
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = alpha;
+            ctx.lineWidth = lineWidth;
+            ctx.lineCap = 'round';
+
+            // Draw line from X axis to Y axis
+            ctx.beginPath();
+            ctx.moveTo(ends.x1, ends.y1);
+            ctx.lineTo(ends.x2, ends.y2);
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw the connecting lines of every visible overlay layer in its own color
+     */
+    drawLayerLines() {
+        const ctx = this.ctx;
+
+        ctx.lineCap = 'round';
+
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+
+            const points = layer.dataPoints;
+            const linesToDraw = this.isRevealing()
+                ? Math.floor(this.animationProgress * points.length)
+                : points.length;
+
+            ctx.strokeStyle = layer.color;
+
+            for (let i = 0; i < linesToDraw; i++) {
+                const point = points[i];
+                if (point.outOfRange) continue;
+
+                const isHovered = this.hoveredLayerId === layer.id && this.hoveredLine === i;
+                ctx.globalAlpha = (this.continuousMode ? 0.35 : (isHovered ? 1 : 0.6)) * this.brushFade(point.x, point.y, layer);
+                ctx.lineWidth = this.continuousMode ? 1 : (isHovered ? 2.5 : 1.5);
+
+                const ends = this.sampleLineEnds(point, layer);
+                ctx.beginPath();
+                ctx.moveTo(ends.x1, ends.y1);
+                ctx.lineTo(ends.x2, ends.y2);
+                ctx.stroke();
+            }
+        }
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Where a piecewise custom expression switches pieces. A switch that is a pole, jump or
+     * gap is already among the breaks; the rest are potential discontinuities worth marking.
+     * @returns {Array} - Ascending x positions
+     */
+    findPieceBoundaries() {
+        if (this.currentFunction !== 'custom' || !this.customExpressionValid || this.customConditions.length === 0) {
+            return [];
+        }
+
+        const near = 1e-6 * (this.xMax - this.xMin);
+        const conditions = this.customConditions.map(condition => x => condition(x, this.params));
+        return AxesCore.findSwitchPoints(conditions, this.xMin, this.xMax).filter(x =>
+            !this.breaks.some(brk => brk.type === 'gap'
+                ? x >= brk.from - near && x <= brk.to + near
+                : Math.abs(brk.x - x) <= near));
+    }
+
+    /**
+     * Mark where the base function breaks:
+     * a hatched band on the X axis over a domain gap, a dashed "∞" line at a pole,
+     * and at a jump the two one-sided limits as dashed lines to the Y axis, joined by a bracket
+     */
+    drawBreakMarkers() {
+        const ctx = this.ctx;
+        const xAxisY = this.getXAxisY();
+        const yAxisY = this.getYAxisY();
+        const axisStart = this.padding.left;
+        const axisEnd = this.width - this.padding.right;
+        const clampY = (y) => Math.max(axisStart, Math.min(axisEnd, this.yToCanvas(y)));
+
+        ctx.save();
+        ctx.lineWidth = 1.5;
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+
+        for (const brk of this.breaks) {
+            if (brk.type === 'gap') {
+                const x1 = this.xToCanvas(brk.from);
+                const x2 = Math.max(this.xToCanvas(brk.to), x1 + 4);
+
+                ctx.fillStyle = 'rgba(148, 163, 184, 0.15)';
+                ctx.fillRect(x1, xAxisY - 6, x2 - x1, 12);
+
+                ctx.strokeStyle = 'rgba(148, 163, 184, 0.6)';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                for (let x = x1 - 12; x < x2; x += 6) {
+                    ctx.moveTo(Math.max(x, x1), xAxisY + 6 - Math.max(0, x1 - x));
+                    ctx.lineTo(Math.min(x + 12, x2), xAxisY - 6 + Math.max(0, x + 12 - x2));
+                }
+                ctx.stroke();
+            } else if (brk.type === 'pole') {
+                const x = this.xToCanvas(brk.x);
+
+                ctx.strokeStyle = '#ef4444';
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, xAxisY);
+                ctx.lineTo(x, xAxisY - 28);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                ctx.fillStyle = '#ef4444';
+                ctx.fillText('∞', x, xAxisY - 32);
+            } else if (brk.type === 'jump') {
+                const x = this.xToCanvas(brk.x);
+                const yLeft = clampY(brk.left);
+                const yRight = clampY(brk.right);
+
+                ctx.strokeStyle = '#f59e0b';
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, xAxisY);
+                ctx.lineTo(yLeft, yAxisY);
+                ctx.moveTo(x, xAxisY);
+                ctx.lineTo(yRight, yAxisY);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                // Bracket on the Y axis spanning the jump
+                ctx.beginPath();
+                ctx.moveTo(yLeft, yAxisY + 6);
+                ctx.lineTo(yLeft, yAxisY + 10);
+                ctx.lineTo(yRight, yAxisY + 10);
+                ctx.lineTo(yRight, yAxisY + 6);
+                ctx.stroke();
+
+                // Tick on the X axis
+                ctx.beginPath();
+                ctx.moveTo(x, xAxisY - 6);
+                ctx.lineTo(x, xAxisY + 6);
+                ctx.stroke();
+            }
+        }
+
+        // Piece boundaries that are not breaks: a dotted tick, since the pieces may still meet
+        ctx.strokeStyle = '#94a3b8';
+        ctx.fillStyle = '#94a3b8';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([2, 3]);
+        for (const boundary of this.pieceBoundaries) {
+            const x = this.xToCanvas(boundary);
+            ctx.beginPath();
+            ctx.moveTo(x, xAxisY + 6);
+            ctx.lineTo(x, xAxisY - 22);
+            ctx.stroke();
+            ctx.fillText('piece', x, xAxisY - 26);
+        }
+        ctx.setLineDash([]);
+
+        ctx.restore();
+    }
+
+    // ===== Circular Layout =====
+    //
+    // The X axis is the inner circle and the Y axis the outer one, both running clockwise
+    // from the top, so the two ends of a range meet and a periodic function wraps around.
+
+    /**
+     * Switch between straight parallel axes and concentric circular axes
+     * @param {string} layout - 'parallel' or 'circular'
+     */
+    setAxisLayout(layout) {
+        this.axisLayout = layout;
+        document.getElementById('axisLayout').value = layout;
+        document.getElementById('circularHint').style.display = layout === 'circular' ? 'block' : 'none';
+        this.updateLayoutControls();
+
+        // Brushes and the preimage stay on the straight axes; they apply again when the layout switches back
+        this.brushDrag = null;
+        this.preimageDragging = false;
+        this.hoveredLine = null;
+        this.hoveredLayerId = null;
+        this.updateBrushReadout();
+        this.render();
+    }
+
+    /**
+     * The envelope, brushing and the preimage work on straight axes: with circular axes their
+     * sections (data-layout="parallel") are disabled and say so
+     */
+    updateLayoutControls() {
+        const circular = this.axisLayout === 'circular';
+        document.querySelectorAll('[data-layout="parallel"]').forEach((section) => {
+            section.classList.toggle('layout-disabled', circular);
+            section.querySelectorAll('input, select, button').forEach((control) => {
+                control.disabled = circular;
+            });
+        });
+    }
+
+    // Center and radii of the circular axes, leaving room for tick labels around the outer one
+    getCircularGeometry() {
+        const outer = Math.max(40, Math.min(this.width, this.height) / 2 - 40);
+        return { cx: this.width / 2, cy: this.height / 2, inner: outer * 0.45, outer };
+    }
+
+    /**
+     * Point at a fraction of the way around a circular axis
+     * @param {number} fraction - 0..1 clockwise from the top
+     * @param {number} radius - Radius of the axis
+     * @returns {Object} - { x, y, angle }
+     */
+    circularPoint(fraction, radius) {
+        const { cx, cy } = this.getCircularGeometry();
+        const angle = -Math.PI / 2 + fraction * 2 * Math.PI;
+        return { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle), angle };
+    }
+
+    /**
+     * Draw the two circular axes with ticks: X inside, Y outside, labels facing away from the rings
+     */
+    drawCircularAxes() {
+        const ctx = this.ctx;
+        const { cx, cy, inner, outer } = this.getCircularGeometry();
+        const rings = [
+            { radius: inner, min: this.xMin, max: this.xMax, scale: this.xScale, color: '#06b6d4', label: 'X axis', out: -1 },
+            { radius: outer, min: this.yMin, max: this.yMax, scale: this.yScale, color: '#f472b6', label: 'Y axis', out: 1 }
+        ];
+
+        for (const ring of rings) {
+            ctx.strokeStyle = ring.color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(cx, cy, ring.radius, 0, Math.PI * 2);
             ctx.stroke();
+
+            // The last tick shares its place with the first: label that place "min | max"
+            const ticks = AxesCore.scaleTicks(ring.min, ring.max, ring.scale);
+            ctx.font = '400 10px JetBrains Mono, monospace';
+            ctx.textAlign = 'center';
+            ctx.lineWidth = 1;
+            ticks.slice(0, -1).forEach((value, i) => {
+                const fraction = AxesCore.scaleFraction(value, ring.min, ring.max, ring.scale);
+                const tick = this.circularPoint(fraction, ring.radius + ring.out * 6);
+                const base = this.circularPoint(fraction, ring.radius);
+                const label = this.circularPoint(fraction, ring.radius + ring.out * 20);
+
+                ctx.strokeStyle = ring.color;
+                ctx.globalAlpha = 0.5;
+                ctx.beginPath();
+                ctx.moveTo(base.x, base.y);
+                ctx.lineTo(tick.x, tick.y);
+                ctx.stroke();
+                ctx.globalAlpha = 1;
+
+                ctx.fillStyle = '#a0a0b0';
+                const text = i === 0
+                    ? `${this.formatTick(ring.min, ring.scale)} | ${this.formatTick(ring.max, ring.scale)}`
+                    : this.formatTick(value, ring.scale);
+                ctx.fillText(text, label.x, label.y + 4);
+            });
+        }
+
+        // Axis labels: X in the middle of the inner ring, Y in the corner
+        ctx.font = '600 14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#06b6d4';
+        ctx.fillText('X axis', cx, cy + 5);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#f472b6';
+        ctx.fillText('Y axis', 16, 24);
+    }
+
+    // ===== Axis Scales =====
+
+    /**
+     * Switch an axis between linear, log and symlog; both views follow
+     * @param {string} axis - 'x' or 'y'
+     * @param {string} scale - One of AxesCore.SCALES
+     */
+    setAxisScale(axis, scale) {
+        if (axis === 'x') {
+            this.xScale = scale;
+        } else {
+            this.yScale = scale;
+        }
+        document.getElementById(axis + 'Scale').value = scale;
+
+        this.calculateDataPoints();
+        this.render();
+    }
+
+    /**
+     * Keep the ranges drawable on a log axis, which only holds positive values: a log X range
+     * starting at or below 0 starts three decades below xMax instead, and a manual Y range
+     * reaching 0 or below gives way to the Y fit (which stays above 0)
+     * @returns {Array} - Sentences explaining each change, for the scale note
+     */
+    constrainRangesToScales() {
+        const adjustments = [];
+
+        if (this.xScale === 'log' && !(this.xMax > 0)) {
+            this.xScale = 'linear';
+            document.getElementById('xScale').value = 'linear';
+            adjustments.push('A log X axis needs positive x values, so X is linear again.');
+        } else if (this.xScale === 'log' && !(this.xMin > 0)) {
+            this.xMin = this.xMax / 1000;
+            document.getElementById('xMin').value = parseFloat(this.xMin.toPrecision(6));
+            adjustments.push(`A log X axis cannot reach 0, so X now starts at ${this.formatTick(this.xMin, 'log')}.`);
+        }
+
+        if (this.yScale === 'log' && this.yRangeOverride && !(this.yRangeOverride.yMin > 0)) {
+            this.yRangeOverride = null;
+            adjustments.push('A log Y axis cannot reach 0, so the manual Y range was replaced by the fit.');
+        }
+
+        return adjustments;
+    }
+
+    // Explain range changes made for a log axis, and how many samples a log Y axis cannot show
+    updateScaleNote(adjustments = []) {
+        const note = document.getElementById('scaleNote');
+        if (!note) return;
+
+        const lines = [...adjustments];
+        if (this.yScale === 'log') {
+            const hidden = this.dataPoints.filter(p => p.y <= 0).length;
+            if (hidden > 0) {
+                lines.push(`${hidden} of ${this.dataPoints.length} samples have y ≤ 0, which a log Y axis cannot show; ` +
+                    'they are marked red on the X axis.');
+            }
+        }
+
+        note.textContent = lines.join(' ');
+        note.style.display = lines.length > 0 ? 'block' : 'none';
+    }
+
+    // ===== Zoom and Pan =====
+
+    /**
+     * Change the visible ranges and resample; both views follow since they share them
+     * @param {Object} view - { xMin, xMax } and/or { yMin, yMax }; the Y range becomes an override
+     */
+    setView(view) {
+        if ('xMin' in view) {
+            this.xMin = view.xMin;
+            this.xMax = view.xMax;
+            document.getElementById('xMin').value = parseFloat(this.xMin.toPrecision(6));
+            document.getElementById('xMax').value = parseFloat(this.xMax.toPrecision(6));
+        }
+        if ('yMin' in view) {
+            this.yRangeOverride = { yMin: view.yMin, yMax: view.yMax };
+        }
+
+        this.calculateDataPoints();
+        this.render();
+        this.scheduleHashUpdate();
+    }
+
+    resetView() {
+        this.yRangeOverride = null;
+        this.setView({ ...this.homeView });
+    }
+
+    // Scale a range around an anchor value along its axis, refusing to collapse or explode it
+    zoomRange(min, max, anchor, factor, scale = 'linear') {
+        const t = AxesCore.scaleFraction(anchor, min, max, scale);
+        const zoomed = {
+            min: AxesCore.scaleValue(t * (1 - factor), min, max, scale),
+            max: AxesCore.scaleValue(t + (1 - t) * factor, min, max, scale)
+        };
+
+        // Log and symlog axes are there to span many decades
+        const span = zoomed.max - zoomed.min;
+        const magnitude = Math.max(Math.abs(zoomed.min), Math.abs(zoomed.max), scale === 'log' ? 0 : 1);
+        const limit = scale === 'linear' ? 1e9 : 1e30;
+        if (!(span >= 1e-9 * magnitude && span <= limit)) return { min, max };
+        return zoomed;
+    }
+
+    // Shift a range along its axis by a fraction of the axis length
+    panRange(min, max, fraction, scale = 'linear') {
+        return {
+            min: AxesCore.scaleValue(fraction, min, max, scale),
+            max: AxesCore.scaleValue(1 + fraction, min, max, scale)
+        };
+    }
+
+    // Plot area of the Cartesian canvas (matches drawCartesianFrame)
+    getCartesianPlot() {
+        const padding = { top: 40, bottom: 50, left: 60, right: 30 };
+        return {
+            padding,
+            plotWidth: this.cartWidth - padding.left - padding.right,
+            plotHeight: this.cartHeight - padding.top - padding.bottom
+        };
+    }
+
+    /**
+     * Wheel zoom: around the cursor on the Cartesian plot (both ranges),
+     * or along the axis under the cursor in the parallel view (that axis only)
+     */
+    handleWheel(e, target) {
+        if (this.viewMode !== 'function') return;
+
+        const rect = e.target.getBoundingClientRect();
+        const mouseX = e.clientX - rect.left;
+        const mouseY = e.clientY - rect.top;
+        const factor = Math.exp(e.deltaY * 0.0015);
+
+        if (target === 'parallel') {
+            const axis = this.axisAt(mouseX, mouseY);
+            if (!axis) return;
+            e.preventDefault();
+
+            if (axis === 'x') {
+                const { min, max } = this.zoomRange(this.xMin, this.xMax, this.canvasToX(mouseX), factor, this.xScale);
+                this.setView({ xMin: min, xMax: max });
+            } else {
+                const { min, max } = this.zoomRange(this.yMin, this.yMax, this.canvasToY(mouseX), factor, this.yScale);
+                this.setView({ yMin: min, yMax: max });
+            }
+            return;
+        }
+
+        const { padding, plotWidth, plotHeight } = this.getCartesianPlot();
+        const tX = (mouseX - padding.left) / plotWidth;
+        const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+        if (tX < 0 || tX > 1 || tY < 0 || tY > 1) return;
+        e.preventDefault();
+
+        const x = this.zoomRange(this.xMin, this.xMax, AxesCore.scaleValue(tX, this.xMin, this.xMax, this.xScale), factor, this.xScale);
+        const y = this.zoomRange(this.yMin, this.yMax, AxesCore.scaleValue(tY, this.yMin, this.yMax, this.yScale), factor, this.yScale);
+        this.setView({ xMin: x.min, xMax: x.max, yMin: y.min, yMax: y.max });
+    }
+
+    handleCartesianMouseDown(e) {
+        if (this.viewMode !== 'function') return;
+
+        const rect = this.cartesianCanvas.getBoundingClientRect();
+        const { padding, plotWidth, plotHeight } = this.getCartesianPlot();
+        const mouseX = e.clientX - rect.left;
+        const mouseY = e.clientY - rect.top;
+        if (mouseX < padding.left || mouseX > padding.left + plotWidth ||
+            mouseY < padding.top || mouseY > padding.top + plotHeight) return;
+
+        e.preventDefault();
+        this.startPan('cartesian', e);
+    }
+
+    startPan(target, e) {
+        this.panDrag = {
+            target,
+            startX: e.clientX,
+            startY: e.clientY,
+            view: { xMin: this.xMin, xMax: this.xMax, yMin: this.yMin, yMax: this.yMax }
+        };
+        this.hideTooltip();
+    }
+
+    /**
+     * Move the ranges with the pointer: the Cartesian plot pans both, a parallel axis pans its own
+     */
+    updatePan(e) {
+        const { target, startX, startY, view } = this.panDrag;
+        const dx = e.clientX - startX;
+        const dy = e.clientY - startY;
+
+        if (target === 'cartesian') {
+            const { plotWidth, plotHeight } = this.getCartesianPlot();
+            const x = this.panRange(view.xMin, view.xMax, -dx / plotWidth, this.xScale);
+            const y = this.panRange(view.yMin, view.yMax, dy / plotHeight, this.yScale);
+            this.setView({ xMin: x.min, xMax: x.max, yMin: y.min, yMax: y.max });
+            return;
+        }
+
+        const axisWidth = this.width - this.padding.left - this.padding.right;
+        if (target === 'x') {
+            const { min, max } = this.panRange(view.xMin, view.xMax, -dx / axisWidth, this.xScale);
+            this.setView({ xMin: min, xMax: max });
+        } else {
+            const { min, max } = this.panRange(view.yMin, view.yMax, -dx / axisWidth, this.yScale);
+            this.setView({ yMin: min, yMax: max });
+        }
+    }
+
+    /**
+     * Apply one bound of a min/max pair of number inputs. A bound that is not a number, or that
+     * would leave min at or above max, is refused and the input shows the previous value again
+     * @param {HTMLInputElement} input - The input that changed
+     * @param {string} field - Field of this bound, e.g. 'surfaceYMin'
+     * @param {Array} pair - [minField, maxField]
+     * @param {Object} target - Object holding the pair (default: the visualizer)
+     * @returns {boolean} - Whether the bound was applied
+     */
+    setRangeBound(input, field, [minField, maxField], target = this) {
+        const value = parseFloat(input.value);
+        const min = field === minField ? value : target[minField];
+        const max = field === maxField ? value : target[maxField];
+        if (!isFinite(value) || !(min < max)) {
+            input.value = target[field];
+            return false;
         }
+        target[field] = value;
+        return true;
     }
 
-    drawAxes() {
-        const ctx = this.ctx;
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
-        const left = this.padding.left;
-        const right = this.width - this.padding.right;
+    handleYRangeInput() {
+        const minText = document.getElementById('yRangeMin').value.trim();
+        const maxText = document.getElementById('yRangeMax').value.trim();
+        const yMin = parseFloat(minText);
+        const yMax = parseFloat(maxText);
 
-        // Create gradients for axes (horizontal)
-        const xGrad = ctx.createLinearGradient(left, xAxisY, right, xAxisY);
-        xGrad.addColorStop(0, '#06b6d4');
-        xGrad.addColorStop(1, '#8b5cf6');
+        if (minText === '' && maxText === '') {
+            this.yRangeOverride = null;
+        } else if (isFinite(yMin) && isFinite(yMax) && yMin < yMax) {
+            this.yRangeOverride = { yMin, yMax };
+        } else {
+            return; // Half-entered or inverted: leave the view alone until both bounds make sense
+        }
 
-        const yGrad = ctx.createLinearGradient(left, yAxisY, right, yAxisY);
-        yGrad.addColorStop(0, '#f472b6');
-        yGrad.addColorStop(1, '#fb923c');
+        this.calculateDataPoints();
+        this.render();
+    }
 
-        // Draw X axis (bottom)
-        ctx.strokeStyle = xGrad;
-        ctx.lineWidth = 3;
-        ctx.lineCap = 'round';
-        ctx.beginPath();
-        ctx.moveTo(left, xAxisY);
-        ctx.lineTo(right, xAxisY);
-        ctx.stroke();
+    // Show an override in the Y range inputs, or the fitted range as their placeholders
+    updateYRangeInputs() {
+        const minInput = document.getElementById('yRangeMin');
+        const maxInput = document.getElementById('yRangeMax');
+        if (!minInput) return;
 
-        // Draw Y axis (top)
-        ctx.strokeStyle = yGrad;
-        ctx.beginPath();
-        ctx.moveTo(left, yAxisY);
-        ctx.lineTo(right, yAxisY);
-        ctx.stroke();
+        const format = (v) => String(parseFloat(v.toPrecision(6)));
+        if (this.yRangeOverride) {
+            minInput.value = format(this.yRangeOverride.yMin);
+            maxInput.value = format(this.yRangeOverride.yMax);
+        } else {
+            minInput.value = '';
+            maxInput.value = '';
+        }
+        minInput.placeholder = format(this.yMin);
+        maxInput.placeholder = format(this.yMax);
+    }
 
-        // Draw axis labels
-        ctx.font = '600 14px Inter, sans-serif';
-        ctx.textAlign = 'left';
+    // ===== Brushing =====
 
-        ctx.fillStyle = '#06b6d4';
-        ctx.fillText('X axis', left, xAxisY + 25);
+    // Canvas span of a brush on its axis
+    brushSpan(axis) {
+        const brush = this.brushes[axis];
+        const toCanvas = axis === 'x' ? (v) => this.xToCanvas(v) : (v) => this.yToCanvas(v);
+        return { start: toCanvas(brush.min), end: toCanvas(brush.max) };
+    }
 
-        ctx.fillStyle = '#f472b6';
-        ctx.fillText('Y axis', left, yAxisY - 10);
+    /**
+     * The part of an axis' brush under a canvas position
+     * @returns {string|null} - 'min' or 'max' for an edge, 'move' for the inside, null outside
+     */
+    brushPartAt(axis, canvasX) {
+        if (!this.brushes[axis]) return null;
+
+        const { start, end } = this.brushSpan(axis);
+        if (Math.abs(canvasX - start) <= 5) return 'min';
+        if (Math.abs(canvasX - end) <= 5) return 'max';
+        if (canvasX > start && canvasX < end) return 'move';
+        return null;
+    }
 
-        // Draw tick marks and values
-        this.drawAxisTicks();
+    startBrushDrag(axis, canvasX) {
+        const toValue = axis === 'x' ? (v) => this.canvasToX(v) : (v) => this.canvasToY(v);
+        const value = toValue(canvasX);
+        const part = this.brushPartAt(axis, canvasX);
+
+        this.brushDrag = part
+            ? { axis, mode: part, anchor: value, origin: { ...this.brushes[axis] }, moved: true }
+            : { axis, mode: 'create', anchor: value, moved: false };
     }
 
-    drawAxisTicks() {
-        const ctx = this.ctx;
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
-        const tickLength = 6;
+    updateBrushDrag(canvasX) {
+        const { axis, mode, anchor, origin } = this.brushDrag;
+        const toValue = axis === 'x' ? (v) => this.canvasToX(v) : (v) => this.canvasToY(v);
+        const [lo, hi] = axis === 'x' ? [this.xMin, this.xMax] : [this.yMin, this.yMax];
+        const clamp = (v) => Math.max(lo, Math.min(hi, v));
+        const value = clamp(toValue(canvasX));
+        const brush = this.brushes[axis];
+
+        if (mode === 'create') {
+            this.brushDrag.moved = true;
+            this.brushes[axis] = { min: Math.min(anchor, value), max: Math.max(anchor, value) };
+        } else if (mode === 'move') {
+            const width = origin.max - origin.min;
+            const min = Math.max(lo, Math.min(hi - width, origin.min + value - anchor));
+            this.brushes[axis] = { min, max: min + width };
+        } else {
+            // Dragging an edge past the other one swaps which edge is held
+            const other = mode === 'min' ? brush.max : brush.min;
+            this.brushes[axis] = { min: Math.min(value, other), max: Math.max(value, other) };
+            this.brushDrag.mode = value <= other ? 'min' : 'max';
+        }
 
-        ctx.font = '400 10px JetBrains Mono, monospace';
-        ctx.lineWidth = 1;
+        this.updateBrushReadout();
+        this.render();
+    }
 
-        // X-axis ticks (bottom axis)
-        const numXTicks = 5;
-        for (let i = 0; i <= numXTicks; i++) {
-            const value = this.xMin + (i / numXTicks) * (this.xMax - this.xMin);
-            const x = this.xToCanvas(value);
+    endBrushDrag() {
+        if (!this.brushDrag) return;
 
-            ctx.strokeStyle = 'rgba(6, 182, 212, 0.5)';
-            ctx.beginPath();
-            ctx.moveTo(x, xAxisY);
-            ctx.lineTo(x, xAxisY + tickLength);
-            ctx.stroke();
+        // A click without a drag clears the brush of that axis
+        const { axis, moved } = this.brushDrag;
+        const brush = this.brushes[axis];
+        if (!moved || (brush && brush.max <= brush.min)) {
+            this.brushes[axis] = null;
+        }
 
-            ctx.fillStyle = '#a0a0b0';
-            ctx.textAlign = 'center';
-            ctx.fillText(value.toFixed(1), x, xAxisY + tickLength + 12);
+        this.brushDrag = null;
+        this.updateBrushReadout();
+        this.render();
+    }
+
+    clearBrushes() {
+        this.brushes = { x: null, y: null };
+        this.brushDrag = null;
+        this.updateBrushReadout();
+        this.render();
+    }
+
+    hasBrush() {
+        return this.viewMode === 'function' && this.axisLayout === 'parallel' && Boolean(this.brushes.x || this.brushes.y);
+    }
+
+    /**
+     * Whether a sample passes every brush, compared on the canvas so a layer with its
+     * own Y range is selected by what is drawn where
+     * @param {number} x - Sample x
+     * @param {number} y - Sample y
+     * @param {Object} range - Y range the sample is drawn with
+     */
+    isBrushed(x, y, range = this) {
+        if (!this.hasBrush()) return true;
+
+        if (this.brushes.x) {
+            const { start, end } = this.brushSpan('x');
+            const px = this.xToCanvas(x);
+            if (px < start || px > end) return false;
         }
+        if (this.brushes.y) {
+            const { start, end } = this.brushSpan('y');
+            const py = this.yToCanvas(y, range);
+            if (!(py >= start && py <= end)) return false;
+        }
+        return true;
+    }
 
-        // Y-axis ticks (top axis)
-        const numYTicks = 5;
-        for (let i = 0; i <= numYTicks; i++) {
-            const value = this.yMin + (i / numYTicks) * (this.yMax - this.yMin);
-            const x = this.yToCanvas(value);
+    // Opacity factor for a line or point outside the brushes
+    brushFade(x, y, range = this) {
+        return this.isBrushed(x, y, range) ? 1 : 0.12;
+    }
 
-            ctx.strokeStyle = 'rgba(244, 114, 182, 0.5)';
-            ctx.beginPath();
-            ctx.moveTo(x, yAxisY);
-            ctx.lineTo(x, yAxisY - tickLength);
-            ctx.stroke();
+    updateBrushReadout() {
+        const readout = document.getElementById('brushReadout');
+        if (!readout) return;
 
-            ctx.fillStyle = '#a0a0b0';
-            ctx.textAlign = 'center';
-            ctx.fillText(value.toFixed(1), x, yAxisY - tickLength - 5);
+        const active = this.hasBrush();
+        readout.style.display = active ? 'block' : 'none';
+        document.getElementById('brushClearGroup').style.display = active ? 'block' : 'none';
+        if (!active) return;
+
+        const format = (v) => parseFloat(v.toFixed(3));
+        const parts = [];
+        for (const axis of ['x', 'y']) {
+            const brush = this.brushes[axis];
+            if (brush) parts.push(`${axis} in [${format(brush.min)}, ${format(brush.max)}]`);
         }
+
+        const points = this.dataPoints.filter(p => !p.outOfRange);
+        const selected = points.filter(p => this.isBrushed(p.x, p.y)).length;
+        readout.textContent = `${parts.join(' and ')}: ${selected} of ${points.length} lines selected`;
     }
 
-    drawFunctionLines() {
+    /**
+     * Draw the brushes as bands around their axis, with handles on the edges
+     */
+    drawBrushes() {
         const ctx = this.ctx;
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
 
-        // Determine how many lines to draw based on animation
-        const linesToDraw = this.isAnimating
-            ? Math.floor(this.animationProgress * this.dataPoints.length)
-            : this.dataPoints.length;
+        ctx.save();
+        for (const axis of ['x', 'y']) {
+            if (!this.brushes[axis]) continue;
 
-        if (this.continuousMode && linesToDraw > 1) {
-            // TRUE CONTINUOUS MODE: Draw lines at every pixel - so dense they appear solid
-            this.drawContinuousLines(linesToDraw);
+            const { start, end } = this.brushSpan(axis);
+            const axisY = axis === 'x' ? this.getXAxisY() : this.getYAxisY();
+
+            ctx.fillStyle = 'rgba(139, 92, 246, 0.25)';
+            ctx.fillRect(start, axisY - 9, end - start, 18);
+            ctx.strokeStyle = '#8b5cf6';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(start, axisY - 9, end - start, 18);
+
+            ctx.fillStyle = '#c4b5fd';
+            for (const edge of [start, end]) {
+                ctx.fillRect(edge - 2, axisY - 12, 4, 24);
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Shade the brushed ranges in the Cartesian view
+     */
+    drawCartesianBrushes(xToCart, yToCart, padding, plotWidth, plotHeight) {
+        const ctx = this.cartesianCtx;
+        ctx.fillStyle = 'rgba(139, 92, 246, 0.1)';
+
+        if (this.brushes.x) {
+            const x1 = xToCart(this.brushes.x.min);
+            ctx.fillRect(x1, padding.top, xToCart(this.brushes.x.max) - x1, plotHeight);
+        }
+        if (this.brushes.y) {
+            const y1 = yToCart(this.brushes.y.max);
+            ctx.fillRect(padding.left, y1, plotWidth, yToCart(this.brushes.y.min) - y1);
+        }
+    }
+
+    // ===== Preimage Query =====
+
+    /**
+     * Solve f(x) = y for the base function and show the solutions in both views
+     * @param {number} y - Target value, kept within the displayed Y range
+     * @param {boolean} redraw - Render right away (false while recalculating)
+     */
+    setPreimage(y, redraw = true) {
+        const func = MathFunctions[this.currentFunction];
+        const target = Math.max(this.yMin, Math.min(this.yMax, y));
+        const { roots, intervals } = AxesCore.solveEquation(
+            (x) => func.evaluate(x, this.params), target, this.xMin, this.xMax,
+            { segments: this.curveSegments, breaks: this.breaks }
+        );
+
+        this.preimage = { y: target, roots, intervals };
+        this.updatePreimageReadout();
+        if (redraw) this.render();
+    }
+
+    clearPreimage() {
+        this.preimage = null;
+        this.preimageDragging = false;
+        this.updatePreimageReadout();
+        this.render();
+    }
+
+    updatePreimageReadout() {
+        const readout = document.getElementById('preimageReadout');
+        const clearGroup = document.getElementById('preimageClearGroup');
+        if (!readout) return;
+
+        readout.style.display = this.preimage ? 'block' : 'none';
+        clearGroup.style.display = this.preimage ? 'block' : 'none';
+        if (!this.preimage) return;
+
+        const { y, roots, intervals } = this.preimage;
+        const format = (v) => parseFloat(v.toFixed(4));
+        const shown = roots.slice(0, 12).map(format).join(', ');
+
+        let text = `f(x) = ${format(y)}: `;
+        if (roots.length === 0 && intervals.length === 0) {
+            text += `no solution in [${this.xMin}, ${this.xMax}]`;
         } else {
-            // DISCRETE MODE: Draw individual lines
-            this.drawDiscreteLines(linesToDraw);
+            const parts = [];
+            if (roots.length > 0) {
+                parts.push(`x = ${shown}${roots.length > 12 ? ` … (${roots.length} in total)` : ''}`);
+            }
+            for (const interval of intervals) {
+                parts.push(`every x in [${format(interval.from)}, ${format(interval.to)}]`);
+            }
+            text += parts.join('; ');
         }
+        readout.textContent = text;
     }
 
-    drawContinuousLines(linesToDraw) {
+    /**
+     * Highlight the lines of every solution, from the X axis to the picked value on the Y axis
+     */
+    drawPreimage() {
         const ctx = this.ctx;
         const xAxisY = this.getXAxisY();
         const yAxisY = this.getYAxisY();
+        const { y, roots, intervals } = this.preimage;
+        const yCanvasX = this.yToCanvas(y);
 
-        // In continuous mode, we draw individual lines at every pixel
-        // This creates a truly continuous appearance
+        ctx.save();
 
-        // Use thin lines with moderate opacity so overlapping creates solid look
-        ctx.lineWidth = 1;
+        // A constant run maps a whole X interval to the one value: shade the fan
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        for (const interval of intervals) {
+            ctx.beginPath();
+            ctx.moveTo(this.xToCanvas(interval.from), xAxisY);
+            ctx.lineTo(this.xToCanvas(interval.to), xAxisY);
+            ctx.lineTo(yCanvasX, yAxisY);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.lineWidth = 2.5;
         ctx.lineCap = 'round';
-        ctx.globalAlpha = 0.5;
+        for (const x of roots) {
+            const xCanvasX = this.xToCanvas(x);
+            ctx.beginPath();
+            ctx.moveTo(xCanvasX, xAxisY);
+            ctx.lineTo(yCanvasX, yAxisY);
+            ctx.stroke();
 
-        for (let i = 0; i < linesToDraw; i++) {
-            const point = this.dataPoints[i];
-            const xCanvasX = this.xToCanvas(point.x);
+            ctx.beginPath();
+            ctx.arc(xCanvasX, xAxisY, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
 
-            // Skip out-of-range points (draw red marker later)
-            // Also skip if this point is marked as discontinuous (start of a jump)
-            if (point.outOfRange || point.isDiscontinuous) {
-                continue;
+        // Handle on the Y axis
+        ctx.beginPath();
+        ctx.moveTo(yCanvasX, yAxisY + 2);
+        ctx.lineTo(yCanvasX - 6, yAxisY - 8);
+        ctx.lineTo(yCanvasX + 6, yAxisY - 8);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.font = 'bold 11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`y = ${y.toFixed(2)}`, yCanvasX, yAxisY - 26);
+
+        ctx.restore();
+    }
+
+    /**
+     * Shade the signed area ∫ₐᵇ f dx between the curve and y = 0: orange where it adds to the
+     * integral, blue where it takes away (f below the axis, or above it when b < a), with dashed
+     * lines at a and b
+     */
+    drawCartesianIntegralArea(xToCart, yToCart, padding, plotWidth, plotHeight) {
+        const ctx = this.cartesianCtx;
+        const h = this.cartHeight;
+        const bottom = padding.top + plotHeight;
+        // A log Y axis has no zero, so the area reaches down to the bottom edge
+        const zero = this.yScale === 'log' ? bottom : Math.max(padding.top, Math.min(bottom, yToCart(0)));
+        const flipped = this.integralUpper < this.integralLower;
+
+        // Runs of defined samples; each is closed down to the zero line at both ends
+        const runs = [[]];
+        for (const { x, y } of this.integralArea.samples) {
+            const py = yToCart(y);
+            if (isFinite(y) && isFinite(py)) {
+                runs[runs.length - 1].push({ px: xToCart(x), py: this.clampCartY(py, padding, h) });
+            } else if (runs[runs.length - 1].length > 0) {
+                runs.push([]);
             }
+        }
 
-            const yCanvasX = this.yToCanvas(point.y);
+        // The same area twice, once clipped above the zero line and once below it
+        const positive = 'rgba(251, 146, 60, 0.25)';
+        const negative = 'rgba(96, 165, 250, 0.25)';
+        const halves = [
+            [padding.top, zero - padding.top, flipped ? negative : positive],
+            [zero, bottom - zero, flipped ? positive : negative]
+        ];
+        for (const [top, height, color] of halves) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(padding.left, top, plotWidth, height);
+            ctx.clip();
+            ctx.beginPath();
+            for (const run of runs.filter(r => r.length > 1)) {
+                ctx.moveTo(run[0].px, zero);
+                run.forEach(p => ctx.lineTo(p.px, p.py));
+                ctx.lineTo(run[run.length - 1].px, zero);
+                ctx.closePath();
+            }
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.restore();
+        }
 
-            // Color based on position for gradient effect
-            const t = i / (this.dataPoints.length - 1);
-            ctx.strokeStyle = this.interpolateColor('#06b6d4', '#f472b6', t);
+        ctx.save();
+        ctx.strokeStyle = 'rgba(251, 146, 60, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        for (const x of [this.integralLower, this.integralUpper]) {
+            if (x < this.xMin || x > this.xMax) continue;
+            ctx.moveTo(xToCart(x), padding.top);
+            ctx.lineTo(xToCart(x), bottom);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Mark the solutions on the Cartesian curve: the level line y = y0 and a point at each solution
+     */
+    drawCartesianPreimage(xToCart, yToCart, padding, plotWidth, plotHeight) {
+        const ctx = this.cartesianCtx;
+        const { y, roots, intervals } = this.preimage;
+        const py = yToCart(y);
+        const bottom = padding.top + plotHeight;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, py);
+        ctx.lineTo(padding.left + plotWidth, py);
+        for (const x of roots) {
+            ctx.moveTo(xToCart(x), py);
+            ctx.lineTo(xToCart(x), bottom);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-            // Draw vertical line from X axis (bottom) to Y axis (top)
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        for (const interval of intervals) {
             ctx.beginPath();
-            ctx.moveTo(xCanvasX, xAxisY);
-            ctx.lineTo(yCanvasX, yAxisY);
+            ctx.moveTo(xToCart(interval.from), py);
+            ctx.lineTo(xToCart(interval.to), py);
             ctx.stroke();
         }
 
-        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#ffffff';
+        for (const x of roots) {
+            ctx.beginPath();
+            ctx.arc(xToCart(x), py, 4.5, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.restore();
+    }
 
-        // Draw red markers for out-of-range points on X axis only
-        ctx.fillStyle = '#ef4444';
-        for (let i = 0; i < linesToDraw; i++) {
-            const point = this.dataPoints[i];
-            if (point.outOfRange) {
-                const xCanvasX = this.xToCanvas(point.x);
-                ctx.beginPath();
-                ctx.arc(xCanvasX, xAxisY, 2, 0, Math.PI * 2);
-                ctx.fill();
+    // ===== Roots, Extrema and Inflection Points =====
+
+    /**
+     * Find the feature points of the base function, with symbolic derivatives when the
+     * expression can be differentiated and numeric differences otherwise
+     */
+    calculateFeatures() {
+        this.features = null;
+
+        if (this.showFeatures) {
+            const func = MathFunctions[this.currentFunction];
+            const evaluate = (x) => func.evaluate(x, this.params);
+            const options = { analysis: { segments: this.curveSegments, breaks: this.breaks } };
+
+            const exprString = this.getCurrentExpressionString();
+            const [first, second] = exprString ? ExpressionParser.derivatives(exprString, 2) : [];
+            let symbolic = false;
+            if (first && first.valid && first.symbolic) {
+                options.derivative = first.evaluate;
+                if (second.valid && second.symbolic) {
+                    options.secondDerivative = second.evaluate;
+                    symbolic = true;
+                }
+            }
+
+            this.features = {
+                ...AxesCore.findFeatures(evaluate, this.xMin, this.xMax, options),
+                symbolic
+            };
+        }
+
+        this.renderFeatureList();
+    }
+
+    // [kind, points] pairs in display order
+    featureEntries() {
+        return Object.keys(this.featureStyles).map(kind => [kind, this.features[kind]]);
+    }
+
+    renderFeatureList() {
+        const list = document.getElementById('featureList');
+        const source = document.getElementById('featureSource');
+        if (!list) return;
+
+        list.innerHTML = '';
+        source.style.display = this.features ? 'block' : 'none';
+        if (!this.features) return;
+
+        const format = (v) => parseFloat(v.toFixed(4));
+        let count = 0;
+        for (const [kind, points] of this.featureEntries()) {
+            const style = this.featureStyles[kind];
+            for (const point of points) {
+                const row = document.createElement('div');
+                row.className = 'feature-row';
+                row.innerHTML = `
+                    <span class="feature-glyph" style="color: ${style.color}">${style.glyph}</span>
+                    <span class="feature-type">${style.label}</span>
+                    <span class="feature-value">x = ${format(point.x)}, y = ${format(point.y)}</span>
+                `;
+                list.appendChild(row);
+                count++;
+            }
+        }
+
+        source.textContent = (count === 0 ? 'None in this X range. ' : '') +
+            (this.features.symbolic ? 'Derivatives: symbolic' : 'Derivatives: numeric differences');
+    }
+
+    /**
+     * Draw a feature marker: circle for a root, triangles for extrema, diamond for an inflection
+     */
+    drawFeatureGlyph(ctx, kind, x, y, size = 5) {
+        ctx.fillStyle = this.featureStyles[kind].color;
+        ctx.strokeStyle = 'rgba(18, 18, 26, 1)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        if (kind === 'roots') {
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+        } else if (kind === 'maxima') {
+            ctx.moveTo(x, y - size * 1.2);
+            ctx.lineTo(x + size, y + size * 0.8);
+            ctx.lineTo(x - size, y + size * 0.8);
+            ctx.closePath();
+        } else if (kind === 'minima') {
+            ctx.moveTo(x, y + size * 1.2);
+            ctx.lineTo(x + size, y - size * 0.8);
+            ctx.lineTo(x - size, y - size * 0.8);
+            ctx.closePath();
+        } else {
+            ctx.moveTo(x, y - size * 1.2);
+            ctx.lineTo(x + size, y);
+            ctx.lineTo(x, y + size * 1.2);
+            ctx.lineTo(x - size, y);
+            ctx.closePath();
+        }
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Mark each feature on both parallel axes, joined by its line of the family
+     */
+    drawFeatureMarkers() {
+        const ctx = this.ctx;
+
+        ctx.save();
+        for (const [kind, points] of this.featureEntries()) {
+            for (const point of points) {
+                const ends = this.sampleLineEnds(point);
+                const inRange = point.y >= this.yMin && point.y <= this.yMax;
+
+                if (inRange) {
+                    ctx.strokeStyle = this.featureStyles[kind].color;
+                    ctx.globalAlpha = 0.7;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([3, 3]);
+                    ctx.beginPath();
+                    ctx.moveTo(ends.x1, ends.y1);
+                    ctx.lineTo(ends.x2, ends.y2);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                    ctx.globalAlpha = 1;
+                }
+
+                this.drawFeatureGlyph(ctx, kind, ends.x1, ends.y1);
+                if (inRange) {
+                    this.drawFeatureGlyph(ctx, kind, ends.x2, ends.y2);
+                }
+            }
+        }
+        ctx.restore();
+    }
+
+    // ===== Envelope =====
+
+    /**
+     * Find where the lines of the base function meet: the exact dual point for linear
+     * functions, otherwise the envelope traced from neighbouring lines
+     */
+    calculateEnvelope() {
+        const ranges = { xMin: this.xMin, xMax: this.xMax, yMin: this.yMin, yMax: this.yMax };
+        this.envelope = { dualPoint: null, curves: [], linear: false };
+
+        if (this.showEnvelope) {
+            const linearAxes = this.xScale === 'linear' && this.yScale === 'linear';
+            if (linearAxes && (this.currentFunction === 'linear' || this.currentFunction === 'linearCustom')) {
+                const { m, b } = this.currentFunction === 'linear' ? { m: 1, b: 0 } : this.params;
+                this.envelope.linear = true;
+                this.envelope.dualPoint = AxesCore.dualPoint(m, b, ranges);
+            } else {
+                // Trace in axis fractions, where log and symlog axes are linear too
+                const fractions = this.dataPoints.map(p => ({
+                    ...p,
+                    x: AxesCore.scaleFraction(p.x, this.xMin, this.xMax, this.xScale),
+                    y: AxesCore.scaleFraction(p.y, this.yMin, this.yMax, this.yScale)
+                }));
+                this.envelope.curves = AxesCore.traceEnvelope(fractions, { xMin: 0, xMax: 1, yMin: 0, yMax: 1 })
+                    .map(curve => curve.map(point => ({
+                        ...point,
+                        x: AxesCore.scaleValue(point.x, this.xMin, this.xMax, this.xScale)
+                    })));
             }
         }
+
+        this.updateEnvelopeReadout();
     }
 
-    drawDiscreteLines(linesToDraw) {
-        const ctx = this.ctx;
+    // Convert axis fractions (t from the X axis to the Y axis, u along the axes) to canvas coordinates
+    envelopeToCanvas(point) {
         const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
+        return {
+            x: this.padding.left + point.u * (this.width - this.padding.left - this.padding.right),
+            y: xAxisY + point.t * (this.getYAxisY() - xAxisY)
+        };
+    }
 
-        for (let i = 0; i < linesToDraw; i++) {
-            const point = this.dataPoints[i];
-            const xCanvasX = this.xToCanvas(point.x);
+    // Describe where the lines meet relative to the axes
+    describeEnvelopePosition(t) {
+        if (t > 0 && t < 1) return `between the axes, ${Math.round(t * 100)}% of the way from X up to Y`;
+        if (t >= 1) return 'above the Y axis';
+        return 'below the X axis';
+    }
 
-            // Skip drawing line for out-of-range points (they get red marker in drawDataPoints)
-            // Also skip if discontinuous
-            if (point.outOfRange || point.isDiscontinuous) {
-                continue;
+    updateEnvelopeReadout() {
+        const readout = document.getElementById('envelopeReadout');
+        if (!readout) return;
+
+        if (!this.showEnvelope) {
+            readout.style.display = 'none';
+            return;
+        }
+        readout.style.display = 'block';
+
+        const { dualPoint, curves, linear } = this.envelope;
+        if (linear) {
+            if (!dualPoint) {
+                readout.textContent = 'The lines are parallel: their dual point is at infinity. ' +
+                    'A slope that does not match the axis scales makes them meet.';
+                return;
             }
+            const axisValue = this.xMin + dualPoint.u * (this.xMax - this.xMin);
+            readout.textContent = `All lines meet in one dual point, ${this.describeEnvelopePosition(dualPoint.t)} ` +
+                `(at ${axisValue.toFixed(2)} on the X axis scale).`;
+            return;
+        }
 
-            const yCanvasX = this.yToCanvas(point.y);
+        const points = curves.flat();
+        if (points.length === 0) {
+            readout.textContent = 'No envelope: fewer than two neighbouring lines are in range.';
+            return;
+        }
 
-            // Calculate line color based on mode
-            let color;
-            if (this.lineColorMode === 'gradient') {
-                const t = i / (this.dataPoints.length - 1);
-                color = this.interpolateColor('#06b6d4', '#f472b6', t);
-            } else if (this.lineColorMode === 'slope') {
-                const slope = (yCanvasX - xCanvasX) / (yAxisY - xAxisY);
-                const normalizedSlope = (slope + 1) / 2;
-                color = this.interpolateColor('#22c55e', '#ef4444', Math.max(0, Math.min(1, normalizedSlope)));
-            } else {
-                color = '#8b5cf6';
-            }
+        const between = points.filter(p => p.t > 0 && p.t < 1).length;
+        const above = points.filter(p => p.t >= 1).length;
+        const below = points.length - between - above;
+        readout.textContent = `Envelope traced from ${points.length} neighbouring-line intersections: ` +
+            `${between} between the axes (f decreasing), ${above} above the Y axis (f rising slower than the axis scales), ` +
+            `${below} below the X axis (rising faster).`;
+    }
 
-            const isHovered = this.hoveredLine === i;
-            const alpha = isHovered ? 1 : 0.6;
-            const lineWidth = isHovered ? 2.5 : 1.5;
+    /**
+     * Draw the dual point of a linear function, or the traced envelope of any other function
+     */
+    drawEnvelope() {
+        const ctx = this.ctx;
+        const { dualPoint, curves } = this.envelope;
 
-            ctx.strokeStyle = color;
-            ctx.globalAlpha = alpha;
-            ctx.lineWidth = lineWidth;
-            ctx.lineCap = 'round';
+        ctx.save();
+        ctx.strokeStyle = '#facc15';
+        ctx.fillStyle = '#facc15';
+        ctx.lineWidth = 2;
+        ctx.lineJoin = 'round';
 
-            // Draw vertical line from X axis (bottom) to Y axis (top)
+        if (dualPoint) {
+            const p = this.envelopeToCanvas(dualPoint);
             ctx.beginPath();
-            ctx.moveTo(xCanvasX, xAxisY);
-            ctx.lineTo(yCanvasX, yAxisY);
+            ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
             ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
         }
 
-        ctx.globalAlpha = 1;
+        // Only the lines revealed so far contribute to the envelope
+        const revealedX = this.isRevealing()
+            ? AxesCore.scaleValue(this.animationProgress, this.xMin, this.xMax, this.xScale)
+            : Infinity;
+
+        // Far outside the canvas the envelope is not drawn
+        const limit = { min: -this.height, max: 2 * this.height };
+
+        for (const curve of curves) {
+            ctx.beginPath();
+            let started = false;
+            for (const point of curve) {
+                const p = this.envelopeToCanvas(point);
+                if (point.x > revealedX || p.y < limit.min || p.y > limit.max) {
+                    started = false;
+                    continue;
+                }
+                if (started) ctx.lineTo(p.x, p.y);
+                else ctx.moveTo(p.x, p.y);
+                started = true;
+            }
+            ctx.stroke();
+        }
+
+        ctx.restore();
     }
 
     drawDataPoints() {
         const ctx = this.ctx;
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
         const pointRadius = 4;
 
-        const linesToDraw = this.isAnimating
+        const linesToDraw = this.isRevealing()
             ? Math.floor(this.animationProgress * this.dataPoints.length)
             : this.dataPoints.length;
 
         // Skip drawing individual points in continuous mode (too many)
         if (this.continuousMode) return;
 
+        // Overlay layer points: smaller dots in the layer color
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+
+            const layerLines = this.isRevealing()
+                ? Math.floor(this.animationProgress * layer.dataPoints.length)
+                : layer.dataPoints.length;
+
+            ctx.fillStyle = layer.color;
+            for (let i = 0; i < layerLines; i++) {
+                const point = layer.dataPoints[i];
+                if (point.outOfRange) continue;
+
+                const isHovered = this.hoveredLayerId === layer.id && this.hoveredLine === i;
+                const radius = isHovered ? pointRadius : pointRadius - 1.5;
+                ctx.globalAlpha = this.brushFade(point.x, point.y, layer);
+
+                const ends = this.sampleLineEnds(point, layer);
+                ctx.beginPath();
+                ctx.arc(ends.x1, ends.y1, radius, 0, Math.PI * 2);
+                ctx.fill();
+
+                ctx.beginPath();
+                ctx.arc(ends.x2, ends.y2, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
         for (let i = 0; i < linesToDraw; i++) {
             const point = this.dataPoints[i];
-            const xCanvasX = this.xToCanvas(point.x);
+            const xPoint = this.xAxisPoint(point.x);
 
-            const isHovered = this.hoveredLine === i;
+            const isHovered = this.hoveredLayerId === null && this.hoveredLine === i;
             const radius = isHovered ? pointRadius + 2 : pointRadius;
+            ctx.globalAlpha = point.outOfRange ? 1 : this.brushFade(point.x, point.y);
 
-            // Point on X axis (bottom) - RED if out of range
+            // Point on X axis - RED if out of range
             ctx.beginPath();
-            ctx.arc(xCanvasX, xAxisY, radius, 0, Math.PI * 2);
+            ctx.arc(xPoint.x, xPoint.y, radius, 0, Math.PI * 2);
             if (point.outOfRange) {
                 ctx.fillStyle = '#ef4444'; // Red for out of range
             } else {
@@ -774,11 +4149,11 @@ class ParallelAxesVisualizer {
             }
             ctx.fill();
 
-            // Point on Y axis (top) - ONLY draw if in range
+            // Point on Y axis - ONLY draw if in range
             if (!point.outOfRange) {
-                const yCanvasX = this.yToCanvas(point.y);
+                const yPoint = this.yAxisPoint(point.y);
                 ctx.beginPath();
-                ctx.arc(yCanvasX, yAxisY, radius, 0, Math.PI * 2);
+                ctx.arc(yPoint.x, yPoint.y, radius, 0, Math.PI * 2);
 
                 // Color based on slope: Red (low slope) -> Green (high slope)
                 // Use normalized slope calculated in calculateDataPoints
@@ -794,6 +4169,8 @@ class ParallelAxesVisualizer {
                 ctx.fill();
             }
         }
+
+        ctx.globalAlpha = 1;
     }
 
     interpolateColor(color1, color2, t) {
@@ -818,28 +4195,23 @@ class ParallelAxesVisualizer {
      */
     drawCalculusCurvesParallel() {
         const ctx = this.ctx;
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
 
-        // Draw derivative lines (green, semi-transparent)
-        if (this.showDerivative && this.derivativePoints.length > 0) {
-            ctx.strokeStyle = '#22c55e';
+        // Draw derivative lines (green for f', one color and dash per order, semi-transparent)
+        for (const derivative of this.showDerivative ? this.derivatives : []) {
+            ctx.strokeStyle = this.derivativeColors[derivative.order - 1];
             ctx.lineWidth = 1.5;
             ctx.globalAlpha = 0.6;
-            ctx.setLineDash([4, 3]);
+            ctx.setLineDash([4, 3 + derivative.order - 1]);
             ctx.lineCap = 'round';
 
-            for (const point of this.derivativePoints) {
-                const xCanvasX = this.xToCanvas(point.x);
-
+            for (const point of derivative.points) {
                 // Check if y is in visible range
                 if (point.y < this.yMin || point.y > this.yMax) continue;
 
-                const yCanvasX = this.yToCanvas(point.y);
-
+                const ends = this.sampleLineEnds(point);
                 ctx.beginPath();
-                ctx.moveTo(xCanvasX, xAxisY);
-                ctx.lineTo(yCanvasX, yAxisY);
+                ctx.moveTo(ends.x1, ends.y1);
+                ctx.lineTo(ends.x2, ends.y2);
                 ctx.stroke();
             }
 
@@ -856,16 +4228,13 @@ class ParallelAxesVisualizer {
             ctx.lineCap = 'round';
 
             for (const point of this.integralPoints) {
-                const xCanvasX = this.xToCanvas(point.x);
-
                 // Check if y is in visible range
                 if (point.y < this.yMin || point.y > this.yMax) continue;
 
-                const yCanvasX = this.yToCanvas(point.y);
-
+                const ends = this.sampleLineEnds(point);
                 ctx.beginPath();
-                ctx.moveTo(xCanvasX, xAxisY);
-                ctx.lineTo(yCanvasX, yAxisY);
+                ctx.moveTo(ends.x1, ends.y1);
+                ctx.lineTo(ends.x2, ends.y2);
                 ctx.stroke();
             }
 
@@ -874,50 +4243,124 @@ class ParallelAxesVisualizer {
         }
     }
 
+    /**
+     * Get every visible series (base function first, then overlay layers)
+     * @returns {Array} - [{ layerId, label, color, points, range: { yMin, yMax } }]
+     */
+    getVisibleSeries() {
+        const series = [{
+            layerId: null,
+            label: this.layers.length > 0 ? 'Base: ' + this.getBaseLabel() : null,
+            color: null,
+            points: this.dataPoints,
+            range: this
+        }];
+
+        for (const layer of this.layers) {
+            if (!layer.visible) continue;
+            series.push({
+                layerId: layer.id,
+                label: `Layer ${layer.id}: ${this.getLayerLabel(layer)}`,
+                color: layer.color,
+                points: layer.dataPoints,
+                range: layer
+            });
+        }
+
+        return series;
+    }
+
+    getBaseLabel() {
+        if (this.currentFunction === 'custom' && this.customExpression) {
+            return 'y = ' + this.customExpression;
+        }
+        return getFormattedFormula(this.currentFunction, this.params);
+    }
+
+    /**
+     * Get the series the hovered line belongs to
+     */
+    getHoveredSeries() {
+        if (this.hoveredLine === null || this.hoveredLine < 0) return null;
+        return this.getVisibleSeries().find(series => series.layerId === this.hoveredLayerId) || null;
+    }
+
     handleMouseMove(e) {
         const rect = this.canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
 
-        const xAxisY = this.getXAxisY();
-        const yAxisY = this.getYAxisY();
+        if (this.preimageDragging) {
+            this.setPreimage(this.canvasToY(mouseX));
+            return;
+        }
+        if (this.panDrag) {
+            return;
+        }
+        if (this.brushDrag) {
+            this.updateBrushDrag(mouseX);
+            return;
+        }
+        if (this.viewMode === 'function') {
+            this.canvas.style.cursor = this.getAxisCursor(mouseX, mouseY);
+        }
+
+        const polylineView = this.getPolylineView();
+        if (polylineView) {
+            const { axes, polylines } = polylineView;
+            const index = this.findClosestPolyline(axes, polylines, mouseX, mouseY);
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            if (index >= 0 && this.viewMode === 'dataset') {
+                this.showDatasetTooltip(e.clientX, e.clientY, polylines[index].index);
+            } else if (index >= 0 && this.viewMode === 'complex') {
+                this.showComplexTooltip(e.clientX, e.clientY, polylines[index].index);
+            } else if (index >= 0) {
+                this.showPolylineTooltip(e.clientX, e.clientY, axes, polylines[index].values);
+            } else {
+                this.hideTooltip();
+            }
+            return;
+        }
 
-        // Find closest line
+        // Find closest line across the base function and all visible layers
         let closestIndex = -1;
+        let closestLayerId = null;
         let closestDistance = Infinity;
+        const circular = this.axisLayout === 'circular';
 
-        for (let i = 0; i < this.dataPoints.length; i++) {
-            const point = this.dataPoints[i];
-            const xCanvasX = this.xToCanvas(point.x);
-            const yCanvasX = this.yToCanvas(point.y);
-
-            // Calculate distance from mouse to line (vertical line from bottom to top)
-            const dist = this.pointToLineDistance(
-                mouseX, mouseY,
-                xCanvasX, xAxisY,
-                yCanvasX, yAxisY
-            );
+        for (const series of this.getVisibleSeries()) {
+            for (let i = 0; i < series.points.length; i++) {
+                const point = series.points[i];
+
+                // Around a circle an out-of-range value would wrap onto another one
+                if (circular && point.outOfRange) continue;
+
+                // Calculate distance from mouse to the line between the axes
+                const ends = this.sampleLineEnds(point, series.range);
+                const dist = this.pointToLineDistance(mouseX, mouseY, ends.x1, ends.y1, ends.x2, ends.y2);
 
-            if (dist < closestDistance && dist < 15) {
-                closestDistance = dist;
-                closestIndex = i;
+                if (dist < closestDistance && dist < 15) {
+                    closestDistance = dist;
+                    closestIndex = i;
+                    closestLayerId = series.layerId;
+                }
             }
         }
 
-        if (closestIndex !== this.hoveredLine) {
+        if (closestIndex !== this.hoveredLine || closestLayerId !== this.hoveredLayerId) {
             this.hoveredLine = closestIndex;
+            this.hoveredLayerId = closestLayerId;
             this.render();
+        }
 
-            if (closestIndex >= 0) {
-                const point = this.dataPoints[closestIndex];
-                this.showTooltip(e.clientX, e.clientY, point);
-            } else {
-                this.hideTooltip();
-            }
-        } else if (closestIndex >= 0) {
-            // Update tooltip position
-            const point = this.dataPoints[closestIndex];
-            this.showTooltip(e.clientX, e.clientY, point);
+        const series = this.getHoveredSeries();
+        if (series) {
+            this.showTooltip(e.clientX, e.clientY, series.points[closestIndex], series.label);
+        } else {
+            this.hideTooltip();
         }
     }
 
@@ -939,8 +4382,30 @@ class ParallelAxesVisualizer {
         return Math.sqrt((px - xx) ** 2 + (py - yy) ** 2);
     }
 
-    showTooltip(x, y, point) {
-        this.tooltip.innerHTML = `<strong>x:</strong> ${point.x.toFixed(2)}, <strong>y:</strong> ${point.y.toFixed(2)}`;
+    /**
+     * Fill the tooltip with lines of text. Labels and axis names come from user expressions and
+     * files, so everything is set as text, never as markup
+     * @param {Array} lines - Each a plain string, or a list of [name, value] pairs shown as "name: value, ..."
+     */
+    setTooltipLines(lines) {
+        this.tooltip.textContent = '';
+        lines.forEach((line, i) => {
+            if (i > 0) this.tooltip.appendChild(document.createElement('br'));
+            if (typeof line === 'string') {
+                this.tooltip.appendChild(document.createTextNode(line));
+                return;
+            }
+            line.forEach(([name, value], k) => {
+                const strong = document.createElement('strong');
+                strong.textContent = name + ':';
+                this.tooltip.append(k > 0 ? ', ' : '', strong, ' ' + value);
+            });
+        });
+    }
+
+    showTooltip(x, y, point, label = null) {
+        const values = [['x', point.x.toFixed(2)], ['y', point.y.toFixed(2)]];
+        this.setTooltipLines(label ? [label, values] : [values]);
         this.tooltip.style.left = (x + 15) + 'px';
         this.tooltip.style.top = (y - 10) + 'px';
         this.tooltip.classList.add('visible');
@@ -948,53 +4413,252 @@ class ParallelAxesVisualizer {
 
     // Handle mouse move on Cartesian canvas - bidirectional hover
     handleCartesianMouseMove(e) {
+        if (this.panDrag) return;
+
         const rect = this.cartesianCanvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
 
-        const padding = { top: 40, bottom: 50, left: 60, right: 30 };
-        const plotWidth = this.cartWidth - padding.left - padding.right;
-        const plotHeight = this.cartHeight - padding.top - padding.bottom;
+        const { padding, plotWidth, plotHeight } = this.getCartesianPlot();
 
         // Convert mouse position to data coordinates
         const dataX = this.xMin + ((mouseX - padding.left) / plotWidth) * (this.xMax - this.xMin);
-        const dataY = this.yMin + ((this.cartHeight - padding.bottom - mouseY) / plotHeight) * (this.yMax - this.yMin);
 
-        // Find closest data point
+        // Dataset mode: nearest row in the two chosen columns, compared in normalized units
+        if (this.viewMode === 'dataset') {
+            if (!this.dataset) return;
+            const rangeX = this.datasetRanges[this.datasetCartX];
+            const rangeY = this.datasetRanges[this.datasetCartY];
+            const tX = (mouseX - padding.left) / plotWidth;
+            const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+            const valuesX = this.dataset.columns[this.datasetCartX].values;
+            const valuesY = this.dataset.columns[this.datasetCartY].values;
+
+            let index = -1;
+            let closest = 0.05;
+            for (let r = 0; r < this.dataset.rowCount; r++) {
+                if (valuesX[r] === null || valuesY[r] === null) continue;
+                const dx = (valuesX[r] - rangeX.min) / (rangeX.max - rangeX.min) - tX;
+                const dy = (valuesY[r] - rangeY.min) / (rangeY.max - rangeY.min) - tY;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist < closest) {
+                    closest = dist;
+                    index = r;
+                }
+            }
+
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            if (index >= 0) {
+                this.showDatasetTooltip(e.clientX, e.clientY, index);
+            } else {
+                this.hideTooltip();
+            }
+            return;
+        }
+
+        // Complex mode: nearest sample to the pointer, either on the contour or on its image
+        if (this.viewMode === 'complex') {
+            const bounds = this.complexBounds;
+            if (!bounds) return;
+            const tX = (mouseX - padding.left) / plotWidth;
+            const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+            const distance = (p) => Math.hypot(
+                (p.re - bounds.xMin) / (bounds.xMax - bounds.xMin) - tX,
+                (p.im - bounds.yMin) / (bounds.yMax - bounds.yMin) - tY);
+
+            let index = -1;
+            let closest = 0.03;
+            this.complexSamples.forEach(({ z, w }, i) => {
+                const dist = Math.min(distance(z), w ? distance(w) : Infinity);
+                if (dist < closest) {
+                    closest = dist;
+                    index = i;
+                }
+            });
+
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            if (index >= 0) {
+                this.showComplexTooltip(e.clientX, e.clientY, index);
+            } else {
+                this.hideTooltip();
+            }
+            return;
+        }
+
+        // Implicit mode: nearest solution, compared in normalized units
+        if (this.viewMode === 'implicit') {
+            const tX = (mouseX - padding.left) / plotWidth;
+            const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+            const [axisX, axisY] = this.implicitAxes;
+
+            let index = -1;
+            let closest = 0.05;
+            this.implicitPolylines.forEach(({ values }, i) => {
+                const dist = Math.hypot(
+                    (values[0] - axisX.min) / (axisX.max - axisX.min) - tX,
+                    (values[1] - axisY.min) / (axisY.max - axisY.min) - tY);
+                if (dist < closest) {
+                    closest = dist;
+                    index = i;
+                }
+            });
+
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            if (index >= 0) {
+                this.showPolylineTooltip(e.clientX, e.clientY, this.implicitAxes, this.implicitPolylines[index].values);
+            } else {
+                this.hideTooltip();
+            }
+            return;
+        }
+
+        // Surface mode: the panel spans x and y, so pick the nearest grid sample
+        if (this.viewMode === 'surface') {
+            const n = this.surfaceGridSize;
+            const tX = (mouseX - padding.left) / plotWidth;
+            const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+            const inside = tX >= 0 && tX <= 1 && tY >= 0 && tY <= 1;
+            const index = inside ? Math.round(tY * (n - 1)) * n + Math.round(tX * (n - 1)) : -1;
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            return;
+        }
+
+        // Chain mode: every stage is plotted against x, so pick the nearest sample in x
+        if (this.viewMode === 'chain') {
+            const inside = dataX >= this.xMin && dataX <= this.xMax;
+            const step = (this.xMax - this.xMin) / Math.max(1, this.chainPolylines.length - 1);
+            const index = inside ? Math.round((dataX - this.xMin) / step) : -1;
+            if (index !== this.hoveredLine) {
+                this.hoveredLine = index;
+                this.render();
+            }
+            return;
+        }
+        const tY = (this.cartHeight - padding.bottom - mouseY) / plotHeight;
+        const pointerX = AxesCore.scaleValue((mouseX - padding.left) / plotWidth, this.xMin, this.xMax, this.xScale);
+
+        // Find closest data point - each series is compared in its own Y range
         let closestIndex = -1;
+        let closestLayerId = null;
         let closestDistance = Infinity;
 
-        for (let i = 0; i < this.dataPoints.length; i++) {
-            const point = this.dataPoints[i];
-            if (point.outOfRange) continue;
+        for (const series of this.getVisibleSeries()) {
+            const dataY = AxesCore.scaleValue(tY, series.range.yMin, series.range.yMax, this.yScale);
+
+            for (let i = 0; i < series.points.length; i++) {
+                const point = series.points[i];
+                if (point.outOfRange) continue;
 
-            // Calculate distance in data space
-            const dist = Math.sqrt((point.x - dataX) ** 2 + (point.y - dataY) ** 2);
+                // Calculate distance in data space
+                const dist = Math.sqrt((point.x - pointerX) ** 2 + (point.y - dataY) ** 2);
 
-            if (dist < closestDistance) {
-                closestDistance = dist;
-                closestIndex = i;
+                if (dist < closestDistance) {
+                    closestDistance = dist;
+                    closestIndex = i;
+                    closestLayerId = series.layerId;
+                }
             }
         }
 
         // Threshold in data units - about 5% of the range
         const threshold = Math.max(this.xMax - this.xMin, this.yMax - this.yMin) * 0.1;
 
-        if (closestDistance < threshold && closestIndex !== this.hoveredLine) {
+        if (closestDistance < threshold && (closestIndex !== this.hoveredLine || closestLayerId !== this.hoveredLayerId)) {
             this.hoveredLine = closestIndex;
+            this.hoveredLayerId = closestLayerId;
             this.render();
         } else if (closestDistance >= threshold && this.hoveredLine !== null) {
             this.hoveredLine = null;
+            this.hoveredLayerId = null;
             this.render();
         }
     }
 
+    // Tooltip for a dataset row: the two columns chosen for the Cartesian panel
+    showDatasetTooltip(x, y, row) {
+        const columns = this.dataset.columns;
+        const format = (value) => value === null ? '—' : value.toFixed(2);
+        const colX = columns[this.datasetCartX];
+        const colY = columns[this.datasetCartY];
+
+        this.setTooltipLines([
+            `Row ${row + 1}`,
+            [[colX.name, format(colX.values[row])], [colY.name, format(colY.values[row])]]
+        ]);
+        this.tooltip.style.left = (x + 15) + 'px';
+        this.tooltip.style.top = (y - 10) + 'px';
+        this.tooltip.classList.add('visible');
+    }
+
+    // Tooltip for a sample of the complex map: z and w = f(z) in a + bi form
+    showComplexTooltip(x, y, index) {
+        const { z, w } = this.complexSamples[index];
+        this.setTooltipLines([[['z', this.formatComplex(z)]], [['w', w ? this.formatComplex(w) : 'undefined']]]);
+        this.tooltip.style.left = (x + 15) + 'px';
+        this.tooltip.style.top = (y - 10) + 'px';
+        this.tooltip.classList.add('visible');
+    }
+
+    // e.g. "1.50 − 0.25i"
+    formatComplex({ re, im }) {
+        return `${re.toFixed(2)} ${im < 0 ? '−' : '+'} ${Math.abs(im).toFixed(2)}i`;
+    }
+
     hideTooltip() {
         this.tooltip.classList.remove('visible');
     }
 
+    handleMouseDown(e) {
+        if (this.viewMode !== 'function') return;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const mouseX = e.clientX - rect.left;
+        const mouseY = e.clientY - rect.top;
+        const axis = this.axisAt(mouseX, mouseY);
+        if (!axis) return;
+
+        e.preventDefault();
+        this.hoveredLine = null;
+        this.hideTooltip();
+
+        // Shift-drag or middle-button drag pans the axis
+        if (e.shiftKey || e.button === 1) {
+            this.startPan(axis, e);
+        } else if (axis === 'y' && this.yAxisTool === 'preimage') {
+            this.preimageDragging = true;
+            this.setPreimage(this.canvasToY(mouseX));
+        } else {
+            this.startBrushDrag(axis, mouseX);
+        }
+    }
+
+    // Cursor for a position over the parallel axes: brush edges resize, brushes move, axes select
+    getAxisCursor(mouseX, mouseY) {
+        const axis = this.axisAt(mouseX, mouseY);
+        if (!axis) return '';
+        if (axis === 'y' && this.yAxisTool === 'preimage') return 'crosshair';
+
+        const part = this.brushPartAt(axis, mouseX);
+        if (part === 'min' || part === 'max') return 'ew-resize';
+        if (part === 'move') return 'move';
+        return 'crosshair';
+    }
+
     handleMouseLeave() {
         this.hoveredLine = null;
+        this.hoveredLayerId = null;
         this.hideTooltip();
         this.render();
     }
@@ -1007,7 +4671,17 @@ class ParallelAxesVisualizer {
         }
     }
 
+    // Whether lines are being revealed progressively (the 'reveal' animation mode)
+    isRevealing() {
+        return this.isAnimating && this.animationMode === 'reveal';
+    }
+
     playAnimation() {
+        if (this.animationMode === 'sweep') {
+            this.playSweep();
+            return;
+        }
+
         this.isAnimating = true;
         this.updatePlayButton();
 
@@ -1027,7 +4701,76 @@ class ParallelAxesVisualizer {
 
             this.render();
 
-            if (this.isAnimating) {
+            if (this.isAnimating) {
+                this.animationId = requestAnimationFrame(animate);
+            }
+        };
+
+        this.animationId = requestAnimationFrame(animate);
+    }
+
+    pauseAnimation() {
+        if (this.isAnimating && this.animationMode === 'sweep') {
+            // The sweep changed the parameters; keep the shared link in step
+            this.scheduleHashUpdate();
+        }
+
+        this.isAnimating = false;
+        this.updatePlayButton();
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+    }
+
+    resetAnimation() {
+        this.pauseAnimation();
+        this.animationProgress = 0;
+        this.render();
+    }
+
+    // ===== Parameter Sweep =====
+
+    /**
+     * Switch Play between revealing lines and sweeping parameters
+     * @param {string} mode - 'reveal' or 'sweep'
+     */
+    setAnimationMode(mode) {
+        this.resetAnimation();
+        this.animationMode = mode;
+        document.getElementById('animationMode').value = mode;
+        document.getElementById('sweepOptions').style.display = mode === 'sweep' ? 'block' : 'none';
+        document.getElementById('animSpeedGroup').style.display = mode === 'sweep' ? 'none' : 'block';
+    }
+
+    /**
+     * Play the keyframes from the current timeline position
+     */
+    playSweep() {
+        if (this.sweepKeyframes.length < 2) return;
+
+        this.isAnimating = true;
+        this.updatePlayButton();
+
+        if (this.sweepRepeat === 'once' && this.sweepPosition >= 1) {
+            this.sweepPosition = 0;
+        }
+
+        const resumeAt = this.sweepPosition * this.sweepDuration;
+        let start = null;
+
+        const animate = (now) => {
+            if (!this.isAnimating) return;
+            if (start === null) start = now - resumeAt * 1000;
+
+            const { position, done } = ParameterSweep.timelinePosition(
+                (now - start) / 1000, this.sweepDuration, this.sweepRepeat);
+            this.applySweepPosition(position);
+
+            if (done) {
+                this.pauseAnimation();
+            } else {
                 this.animationId = requestAnimationFrame(animate);
             }
         };
@@ -1035,20 +4778,106 @@ class ParallelAxesVisualizer {
         this.animationId = requestAnimationFrame(animate);
     }
 
-    pauseAnimation() {
-        this.isAnimating = false;
-        this.updatePlayButton();
+    /**
+     * Set the parameters to their interpolated values at a timeline position,
+     * move the sliders along and recalculate
+     * @param {number} position - 0..1
+     */
+    applySweepPosition(position) {
+        if (this.sweepKeyframes.length === 0) return;
+        this.sweepPosition = position;
+        this.applySweepParams(ParameterSweep.interpolate(this.sweepKeyframes, position, this.sweepEasing));
+    }
 
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+    applySweepParams(params) {
+        for (const [key, value] of Object.entries(params)) {
+            // Rounded so the formula display stays readable
+            this.params[key] = Math.round(value * 1000) / 1000;
+            this.updateParamSlider(key);
         }
-    }
 
-    resetAnimation() {
-        this.pauseAnimation();
-        this.animationProgress = 0;
+        this.calculateDataPoints();
+        if (this.showDerivative || this.showIntegral) {
+            this.calculateCalculusPoints();
+        }
         this.render();
+        this.updateDescription();
+    }
+
+    // Sync a parameter slider and its value label with this.params
+    updateParamSlider(key) {
+        const slider = document.getElementById(`param_${key}`);
+        if (!slider) return;
+        slider.value = this.params[key];
+        document.getElementById(`param_${key}_value`).textContent = this.params[key];
+    }
+
+    /**
+     * Add the current slider values as a keyframe; keyframes are then spaced evenly
+     * over the timeline (positions can be edited afterwards)
+     */
+    addKeyframe() {
+        if (Object.keys(this.params).length === 0) return;
+
+        this.sweepKeyframes.push({ at: 1, params: { ...this.params } });
+        const count = this.sweepKeyframes.length;
+        this.sweepKeyframes.forEach((keyframe, i) => {
+            keyframe.at = count === 1 ? 0 : i / (count - 1);
+        });
+
+        this.renderKeyframeList();
+    }
+
+    /**
+     * Build the keyframe list: position on the timeline, values, jump-to and remove
+     */
+    renderKeyframeList() {
+        const list = document.getElementById('keyframeList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        const hasParams = Object.keys(MathFunctions[this.currentFunction].params || {}).length > 0;
+        document.getElementById('addKeyframeBtn').disabled = !hasParams;
+        document.getElementById('sweepHint').textContent = hasParams
+            ? 'Set the sliders and add a keyframe; add at least two, then press Play.'
+            : 'This function has no parameters to animate.';
+
+        this.sweepKeyframes.forEach((keyframe, i) => {
+            const values = Object.entries(keyframe.params).map(([key, value]) => `${key} = ${value}`).join(', ');
+
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.innerHTML = `
+                <div class="layer-header">
+                    <input type="number" class="keyframe-at" id="keyframe_${i}_at" min="0" max="100" step="5"
+                           value="${Math.round(keyframe.at * 100)}" title="Position on the timeline (%)">
+                    <span class="layer-name" title="${values}">${values}</span>
+                    <button class="layer-remove" id="keyframe_${i}_apply" title="Set sliders to this keyframe">↺</button>
+                    <button class="layer-remove" id="keyframe_${i}_remove" title="Remove keyframe">×</button>
+                </div>
+            `;
+            list.appendChild(item);
+
+            document.getElementById(`keyframe_${i}_at`).addEventListener('change', (e) => {
+                const percent = parseFloat(e.target.value);
+                if (isFinite(percent)) {
+                    keyframe.at = Math.min(1, Math.max(0, percent / 100));
+                    this.sweepKeyframes = ParameterSweep.sortKeyframes(this.sweepKeyframes);
+                }
+                this.renderKeyframeList();
+            });
+
+            document.getElementById(`keyframe_${i}_apply`).addEventListener('click', () => {
+                this.pauseAnimation();
+                this.sweepPosition = keyframe.at;
+                this.applySweepParams(keyframe.params);
+            });
+
+            document.getElementById(`keyframe_${i}_remove`).addEventListener('click', () => {
+                this.sweepKeyframes.splice(i, 1);
+                this.renderKeyframeList();
+            });
+        });
     }
 
     updatePlayButton() {
@@ -1072,9 +4901,10 @@ class ParallelAxesVisualizer {
         const formulaEl = document.getElementById('funcFormula');
         const explanationEl = document.getElementById('funcExplanation');
 
-        // For custom functions, use the custom expression
+        // For custom functions, use the custom expression with any parameter values filled in
         if (this.currentFunction === 'custom' && this.customExpression) {
-            formulaEl.textContent = 'y = ' + this.customExpression;
+            const filledIn = this.customExpressionValid && Object.keys(this.params).length > 0;
+            formulaEl.textContent = 'y = ' + (filledIn ? this.getCurrentExpressionString() : this.customExpression);
             explanationEl.textContent = func.description;
         } else {
             formulaEl.textContent = getFormattedFormula(this.currentFunction, this.params);
@@ -1101,6 +4931,8 @@ class ParallelAxesVisualizer {
 
             window.customFunctionEvaluator = (x) => x;
             this.customExpressionValid = false;
+            this.customConditions = [];
+            this.setCustomParams([]);
 
             this.calculateDataPoints();
             this.calculateCalculusPoints();
@@ -1111,7 +4943,7 @@ class ParallelAxesVisualizer {
 
         // Normalize and parse the expression
         const normalized = ExpressionParser.normalize(exprString);
-        const parsed = ExpressionParser.parse(normalized);
+        const parsed = ExpressionParser.parse(normalized, { parameters: true });
 
         if (parsed.valid) {
             // Valid expression
@@ -1119,11 +4951,13 @@ class ParallelAxesVisualizer {
             errorEl.textContent = '';
 
             // Render LaTeX preview using KaTeX
-            this.renderLatex(latexPreview, 'y = ' + parsed.latex);
+            this.renderLatex(latexPreview, 'y = ' + parsed.latex + this.definitionsTex(parsed.uses));
 
             // Set the global evaluator for the custom function
             window.customFunctionEvaluator = parsed.evaluate;
             this.customExpressionValid = true;
+            this.customConditions = parsed.conditions;
+            this.setCustomParams(parsed.parameters);
 
             // Recalculate and render
             this.calculateDataPoints();
@@ -1139,6 +4973,96 @@ class ParallelAxesVisualizer {
         }
     }
 
+    // ===== Definitions =====
+
+    /**
+     * Define a helper from the definition input; a name that is already defined is replaced
+     */
+    addDefinition() {
+        const input = document.getElementById('definitionInput');
+        const result = DefinitionLibrary.define(input.value);
+        if (result.valid) input.value = '';
+        this.showDefinitionResult(result);
+    }
+
+    showDefinitionResult(result) {
+        document.getElementById('definitionInput').classList.toggle('error', !result.valid);
+        document.getElementById('definitionError').textContent = result.valid ? '' : result.error;
+        if (!result.valid) return;
+
+        this.renderDefinitionList();
+
+        // Expressions are compiled with their definitions written out, so parse them again;
+        // a layer whose expression no longer parses draws nothing until it does
+        for (const layer of this.layers) {
+            if (layer.functionKey !== 'custom') continue;
+            const parsed = ExpressionParser.parse(ExpressionParser.normalize(layer.expression));
+            layer.evaluate = parsed.valid ? parsed.evaluate : () => NaN;
+        }
+        this.handleCustomExpressionInput(this.customExpression);
+        const handlers = {
+            surface: ['surfaceExpressionInput', 'handleSurfaceExpressionInput'],
+            complex: ['complexExpressionInput', 'handleComplexExpressionInput'],
+            implicit: ['implicitExpressionInput', 'handleImplicitExpressionInput']
+        };
+        if (handlers[this.viewMode]) {
+            const [inputId, handler] = handlers[this.viewMode];
+            this[handler](document.getElementById(inputId).value);
+        }
+    }
+
+    /**
+     * Build the definition list: rendered definition, edit and remove
+     */
+    renderDefinitionList() {
+        const list = document.getElementById('definitionList');
+        list.innerHTML = '';
+
+        for (const entry of DefinitionLibrary.list()) {
+            const item = document.createElement('div');
+            item.className = 'layer-item';
+            item.innerHTML = `
+                <div class="layer-header">
+                    <span class="layer-name definition-latex" id="definition_${entry.id}_latex"></span>
+                    <button class="layer-remove" id="definition_${entry.id}_edit" title="Edit definition">✎</button>
+                    <button class="layer-remove" id="definition_${entry.id}_remove" title="Remove definition">×</button>
+                </div>
+            `;
+            list.appendChild(item);
+
+            const latexEl = document.getElementById(`definition_${entry.id}_latex`);
+            const parsed = ExpressionParser.parseDefinition(entry.text);
+            latexEl.title = entry.text;
+            if (parsed.valid) {
+                this.renderLatex(latexEl, parsed.latex);
+            } else {
+                latexEl.textContent = entry.text;
+            }
+
+            document.getElementById(`definition_${entry.id}_edit`).addEventListener('click', () => {
+                const input = document.getElementById('definitionInput');
+                input.value = entry.text;
+                input.focus();
+            });
+
+            document.getElementById(`definition_${entry.id}_remove`).addEventListener('click', () => {
+                this.showDefinitionResult(DefinitionLibrary.remove(entry.id));
+            });
+        }
+    }
+
+    /**
+     * LaTeX for the definitions an expression uses, appended to its preview
+     * @param {Array} uses - Definition names, from the parse result
+     * @returns {string} - e.g. ",\quad g(x) = e^{-x^2}"
+     */
+    definitionsTex(uses = []) {
+        return ExpressionParser.getDefinitions()
+            .filter(definition => uses.includes(definition.name))
+            .map(definition => `,\\quad ${definition.latex}`)
+            .join('');
+    }
+
     /**
      * Render LaTeX content using KaTeX
      * @param {HTMLElement} element - Target element
@@ -1161,176 +5085,662 @@ class ParallelAxesVisualizer {
     }
 
     /**
-     * Calculate derivative and integral data points
+     * Calculate derivative and integral data points
+     */
+    calculateCalculusPoints() {
+        this.derivatives = [];
+        this.integralPoints = [];
+        this.integralData = null;
+        this.integralArea = null;
+
+        // Get the current expression string for calculus
+        let exprString = this.getCurrentExpressionString();
+        if (!exprString) return;
+
+        const numPoints = this.continuousMode ? 500 : this.numPoints;
+        const positions = AxesCore.scalePositions(this.xMin, this.xMax, numPoints, this.xScale);
+
+        // Calculate derivatives up to the selected order if enabled
+        if (this.showDerivative) {
+            for (const data of ExpressionParser.derivatives(exprString, this.derivativeOrder)) {
+                const points = [];
+                if (data.valid) {
+                    for (const x of positions) {
+                        const y = data.evaluate(x);
+                        if (!isNaN(y) && isFinite(y)) {
+                            points.push({ x, y });
+                        }
+                    }
+                }
+                this.derivatives.push({ order: data.order, data, points });
+            }
+        }
+
+        // Calculate the integral from a if enabled, and the area from a to b
+        if (this.showIntegral) {
+            this.integralData = ExpressionParser.integralEvaluator(exprString, this.integralLower);
+
+            if (this.integralData.valid) {
+                const values = this.integralData.values(positions);
+                positions.forEach((x, i) => {
+                    if (isFinite(values[i])) {
+                        this.integralPoints.push({ x, y: values[i] });
+                    }
+                });
+
+                // Only the visible part of [a, b] is shaded
+                const parsed = ExpressionParser.parse(exprString);
+                const from = Math.max(Math.min(this.integralLower, this.integralUpper), this.xMin);
+                const to = Math.min(Math.max(this.integralLower, this.integralUpper), this.xMax);
+                const samples = from < to
+                    ? AxesCore.scalePositions(from, to, 300, this.xScale).map(x => ({ x, y: parsed.evaluate(x) }))
+                    : [];
+                this.integralArea = {
+                    ...ExpressionParser.integral(exprString, this.integralLower, this.integralUpper),
+                    samples: samples
+                };
+            }
+        }
+
+        this.updateCalculusFormulas();
+    }
+
+    /**
+     * Get the current expression as a string for calculus operations
+     */
+    getCurrentExpressionString() {
+        if (this.currentFunction === 'custom') {
+            if (!this.customExpressionValid) return null;
+            const normalized = ExpressionParser.normalize(this.customExpression);
+            return Object.keys(this.params).length > 0 ? ExpressionParser.substitute(normalized, this.params) : normalized;
+        }
+
+        // Built-ins declare their expression (see registerFunction); fill in the parameter values
+        const func = MathFunctions[this.currentFunction];
+        return func && func.expression ? ExpressionParser.substitute(func.expression, this.params) : null;
+    }
+
+    /**
+     * Update the calculus formula displays with LaTeX
+     */
+    updateCalculusFormulas() {
+        const derivativeFormulasEl = document.getElementById('derivativeFormulas');
+        const integralFormulaEl = document.getElementById('integralFormula');
+        const integralLatexEl = document.getElementById('integralLatex');
+
+        // One row per derivative order; a numeric fallback is labelled, with the reason on hover
+        derivativeFormulasEl.innerHTML = '';
+        for (const { order, data } of this.showDerivative ? this.derivatives : []) {
+            if (!data.valid) continue;
+
+            const row = document.createElement('div');
+            row.className = 'calculus-formula derivative-formula';
+            row.style.borderLeftColor = this.derivativeColors[order - 1];
+            row.innerHTML = `
+                <span class="formula-label">${order === 4 ? 'f⁗' : 'f' + "'".repeat(order)}(x) =</span>
+                <span class="formula-content"></span>
+            `;
+            if (!data.symbolic) {
+                const badge = document.createElement('span');
+                badge.className = 'formula-badge';
+                badge.textContent = 'numeric';
+                badge.title = `No symbolic derivative (${data.reason}); computed by central differences`;
+                row.appendChild(badge);
+            }
+            derivativeFormulasEl.appendChild(row);
+            this.renderLatex(row.querySelector('.formula-content'), data.latex);
+        }
+
+        // Show/hide integral formula
+        if (this.showIntegral && this.integralData && this.integralData.valid) {
+            integralFormulaEl.style.display = 'flex';
+            this.renderLatex(integralLatexEl, this.integralData.latex);
+        } else {
+            integralFormulaEl.style.display = 'none';
+        }
+
+        // The definite integral with its error bound, or why it has no value
+        const integralValueEl = document.getElementById('integralValue');
+        const area = this.showIntegral ? this.integralArea : null;
+        if (area && area.valid) {
+            const badge = document.getElementById('integralValueBadge');
+            integralValueEl.style.display = 'flex';
+            if (area.converged) {
+                this.renderLatex(document.getElementById('integralValueLatex'),
+                    `${area.latex} \\approx ${parseFloat(area.value.toPrecision(10))}`);
+                badge.className = 'formula-badge error-bound';
+                badge.textContent = `± ${area.error.toExponential(1)}`;
+                badge.title = 'Error estimate of the adaptive Gauss–Kronrod quadrature';
+            } else {
+                this.renderLatex(document.getElementById('integralValueLatex'), area.latex);
+                badge.className = 'formula-badge';
+                badge.textContent = 'no value';
+                badge.title = area.reason.charAt(0).toUpperCase() + area.reason.slice(1);
+            }
+        } else {
+            integralValueEl.style.display = 'none';
+        }
+    }
+
+    // Draw density visualization on Y axis
+    // Density = count of points within ±vicinity of each Y position
+    // Color: cyan (low density/high slope) to pink (high density/low slope)
+    drawDensityOnYAxis() {
+        if (this.dataPoints.length < 2) return;
+
+        const ctx = this.ctx;
+        const yAxisY = this.getYAxisY();
+        const left = this.padding.left;
+        const right = this.width - this.padding.right;
+        const vicinity = this.densityVicinity;
+
+        // Get valid Y values
+        const yValues = this.dataPoints
+            .filter(p => !p.outOfRange)
+            .map(p => p.y);
+
+        if (yValues.length === 0) return;
+
+        // Calculate density for each position along the Y axis
+        const numSamples = 100;
+        const densities = [];
+        let maxDensity = 0;
+
+        for (let i = 0; i < numSamples; i++) {
+            const yValue = AxesCore.scaleValue(i / (numSamples - 1), this.yMin, this.yMax, this.yScale);
+
+            // Count how many Y values are within ±vicinity
+            const count = yValues.filter(y => Math.abs(y - yValue) <= vicinity).length;
+            densities.push({ yValue, count, x: this.yToCanvas(yValue) });
+            maxDensity = Math.max(maxDensity, count);
+        }
+
+        if (maxDensity === 0) return;
+
+        // Draw density bars on Y axis (which is now horizontal at top)
+        const barHeight = 8;
+
+        for (const { x, count } of densities) {
+            const normalizedDensity = count / maxDensity;
+
+            // Color gradient: cyan (low density) -> pink (high density)
+            // This matches the line colors
+            const color = this.interpolateColor('#06b6d4', '#f472b6', normalizedDensity);
+
+            // Variable bar height based on density
+            const height = 3 + normalizedDensity * 12;
+
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.8;
+            ctx.fillRect(x - 2, yAxisY - height - 3, 4, height);
+        }
+
+        ctx.globalAlpha = 1;
+
+        // Add insight label
+        ctx.font = '9px Inter, sans-serif';
+        ctx.fillStyle = '#a0a0b0';
+        ctx.textAlign = 'right';
+        ctx.fillText(`Density ±${vicinity.toFixed(1)} | High = flat slope (GD converges here)`, right, yAxisY - 20);
+    }
+
+    // Cartesian view of a composition chain: every stage u_k plotted against x
+    renderChainCartesian() {
+        const ctx = this.cartesianCtx;
+        const axes = this.chainAxes;
+        const stageAxes = axes.slice(1);
+        if (stageAxes.length === 0) return;
+
+        const bounds = {
+            xMin: this.xMin,
+            xMax: this.xMax,
+            yMin: Math.min(...stageAxes.map(axis => axis.min)),
+            yMax: Math.max(...stageAxes.map(axis => axis.max))
+        };
+        const { padding, xToCart, yToCart } = this.drawCartesianFrame(bounds, { x: 'x', y: 'u' });
+        const inBounds = (v) => v !== null && v >= bounds.yMin && v <= bounds.yMax;
+
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        stageAxes.forEach((axis, s) => {
+            const k = s + 1;
+            ctx.strokeStyle = axis.color;
+            ctx.beginPath();
+            let started = false;
+            for (const { values } of this.chainPolylines) {
+                if (!inBounds(values[k])) {
+                    started = false;
+                    continue;
+                }
+                if (started) {
+                    ctx.lineTo(xToCart(values[0]), yToCart(values[k]));
+                } else {
+                    ctx.moveTo(xToCart(values[0]), yToCart(values[k]));
+                    started = true;
+                }
+            }
+            ctx.stroke();
+
+            // Legend
+            const ly = padding.top + 4 + s * 16;
+            ctx.fillStyle = axis.color;
+            ctx.fillRect(padding.left + 8, ly - 4, 14, 3);
+            ctx.fillStyle = '#a0a0b0';
+            ctx.font = '11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(axis.label, padding.left + 28, ly);
+        });
+
+        // Hovered sample: its value on every stage
+        const hovered = this.chainPolylines[this.hoveredLine];
+        if (hovered) {
+            const px = xToCart(hovered.values[0]);
+
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(px, padding.top);
+            ctx.lineTo(px, this.cartHeight - padding.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            stageAxes.forEach((axis, s) => {
+                const value = hovered.values[s + 1];
+                if (!inBounds(value)) return;
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(px, yToCart(value), 6, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = axis.color;
+                ctx.beginPath();
+                ctx.arc(px, yToCart(value), 4, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+
+    // Cartesian view of a surface: heatmap of z over the (x, y) plane, or contour lines
+    renderSurfaceCartesian() {
+        const ctx = this.cartesianCtx;
+        const heatmap = this.surfaceHeatmap;
+        if (!heatmap) return;
+
+        const bounds = { xMin: this.xMin, xMax: this.xMax, yMin: this.surfaceYMin, yMax: this.surfaceYMax };
+        const { padding, plotWidth, plotHeight, xToCart, yToCart } = this.drawCartesianFrame(bounds, { x: 'x', y: 'y' });
+        const { res, values, zMin, zMax } = heatmap;
+        const zToT = (z) => Math.max(0, Math.min(1, (z - zMin) / (zMax - zMin)));
+
+        // Heatmap cells centered on the grid nodes (faint underneath contour lines)
+        const cellW = plotWidth / (res - 1);
+        const cellH = plotHeight / (res - 1);
+        ctx.globalAlpha = this.surfaceCartesianView === 'contour' ? 0.25 : 0.9;
+        for (let j = 0; j < res; j++) {
+            for (let i = 0; i < res; i++) {
+                const z = values[j * res + i];
+                if (z === null) continue;
+                ctx.fillStyle = this.surfaceColor(zToT(z));
+                const cx = padding.left + i * cellW;
+                const cy = this.cartHeight - padding.bottom - j * cellH;
+                ctx.fillRect(cx - cellW / 2, cy - cellH / 2, cellW + 0.5, cellH + 0.5);
+            }
+        }
+        ctx.globalAlpha = 1;
+
+        if (this.surfaceCartesianView === 'contour') {
+            const numLevels = 10;
+            ctx.lineWidth = 1.5;
+            for (let l = 1; l <= numLevels; l++) {
+                const level = zMin + (l / (numLevels + 1)) * (zMax - zMin);
+                ctx.strokeStyle = this.surfaceColor(l / (numLevels + 1));
+                ctx.beginPath();
+                for (const [x0, y0, x1, y1] of this.traceContour(values, res, res, level)) {
+                    ctx.moveTo(padding.left + x0 * cellW, this.cartHeight - padding.bottom - y0 * cellH);
+                    ctx.lineTo(padding.left + x1 * cellW, this.cartHeight - padding.bottom - y1 * cellH);
+                }
+                ctx.stroke();
+            }
+        }
+
+        // Hovered grid sample
+        const hovered = this.surfacePolylines[this.hoveredLine];
+        if (hovered) {
+            const order = this.surfaceAxisOrder.split('');
+            const sample = {};
+            order.forEach((key, k) => { sample[key] = hovered.values[k]; });
+
+            const px = xToCart(sample.x);
+            const py = yToCart(sample.y);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(px, py, 6, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = '#f472b6';
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            const zText = sample.z === null ? 'undefined' : sample.z.toFixed(2);
+            ctx.fillText(`(${sample.x.toFixed(2)}, ${sample.y.toFixed(2)}) → ${zText}`, px + 10, py - 10);
+        }
+    }
+
+    /**
+     * Curves through the complex samples, as index lists: every row and column of a grid
+     * (so the image shows how the map bends the grid), or the whole line or circle
+     * @returns {Array} - [[sampleIndex, ...]]
      */
-    calculateCalculusPoints() {
-        this.derivativePoints = [];
-        this.integralPoints = [];
-        this.derivativeData = null;
-        this.integralData = null;
-
-        // Get the current expression string for calculus
-        let exprString = this.getCurrentExpressionString();
-        if (!exprString) return;
-
-        const numPoints = this.continuousMode ? 500 : this.numPoints;
-        const step = (this.xMax - this.xMin) / (numPoints - 1);
+    getComplexCurves() {
+        const count = this.complexSamples.length;
+        if (this.complexContour === 'line') {
+            return [[...Array(count).keys()]];
+        }
+        if (this.complexContour === 'circle') {
+            return [[...Array(count).keys(), 0]];
+        }
 
-        // Calculate derivative if enabled
-        if (this.showDerivative) {
-            this.derivativeData = ExpressionParser.derivative(exprString);
-
-            if (this.derivativeData.valid) {
-                for (let i = 0; i < numPoints; i++) {
-                    const x = this.xMin + i * step;
-                    const y = this.derivativeData.evaluate(x);
-                    if (!isNaN(y) && isFinite(y)) {
-                        this.derivativePoints.push({ x, y });
-                    }
-                }
-            }
+        const n = this.complexDensity;
+        const curves = [];
+        for (let k = 0; k < n; k++) {
+            curves.push([...Array(n).keys()].map(i => k * n + i));
+            curves.push([...Array(n).keys()].map(j => j * n + k));
         }
+        return curves;
+    }
 
-        // Calculate integral if enabled
-        if (this.showIntegral) {
-            this.integralData = ExpressionParser.integralEvaluator(exprString, this.xMin, this.xMax);
+    // Cartesian view of a complex map: the input contour in the z-plane (faint) and its image
+    // in the w-plane, colored like the polylines
+    renderComplexCartesian() {
+        const ctx = this.cartesianCtx;
+        const bounds = this.complexBounds;
+        if (!bounds) return;
+
+        const { padding, xToCart, yToCart } = this.drawCartesianFrame(bounds, { x: 'Re', y: 'Im' });
+        const samples = this.complexSamples;
+        const inBounds = (p) => p !== null &&
+            p.re >= bounds.xMin && p.re <= bounds.xMax && p.im >= bounds.yMin && p.im <= bounds.yMax;
+        const colorAt = (i) => this.lineColorMode === 'solid'
+            ? '#8b5cf6'
+            : this.interpolateColor('#06b6d4', '#f472b6', i / Math.max(1, samples.length - 1));
+
+        ctx.lineWidth = 1.5;
+        ctx.lineCap = 'round';
 
-            if (this.integralData.valid) {
-                for (let i = 0; i < numPoints; i++) {
-                    const x = this.xMin + i * step;
-                    const y = this.integralData.evaluate(x);
-                    if (!isNaN(y) && isFinite(y)) {
-                        this.integralPoints.push({ x, y });
-                    }
+        for (const curve of this.getComplexCurves()) {
+            // Input contour
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.beginPath();
+            curve.forEach((i, k) => {
+                const { z } = samples[i];
+                if (k === 0) {
+                    ctx.moveTo(xToCart(z.re), yToCart(z.im));
+                } else {
+                    ctx.lineTo(xToCart(z.re), yToCart(z.im));
                 }
+            });
+            ctx.stroke();
+
+            // Image, one segment at a time so it can change color and stop at undefined values.
+            // A jump across half the panel is a pole or a branch cut, not part of the curve
+            for (let k = 1; k < curve.length; k++) {
+                const a = samples[curve[k - 1]].w;
+                const b = samples[curve[k]].w;
+                if (!inBounds(a) || !inBounds(b)) continue;
+                if (Math.abs(b.re - a.re) > (bounds.xMax - bounds.xMin) / 2 ||
+                    Math.abs(b.im - a.im) > (bounds.yMax - bounds.yMin) / 2) continue;
+                ctx.strokeStyle = colorAt(curve[k]);
+                ctx.beginPath();
+                ctx.moveTo(xToCart(a.re), yToCart(a.im));
+                ctx.lineTo(xToCart(b.re), yToCart(b.im));
+                ctx.stroke();
             }
         }
 
-        this.updateCalculusFormulas();
-    }
+        // Legend
+        ctx.font = '11px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        [['rgba(255, 255, 255, 0.4)', 'z (input contour)'], ['#f472b6', 'w = f(z)']].forEach(([color, label], s) => {
+            const ly = padding.top + 4 + s * 16;
+            ctx.fillStyle = color;
+            ctx.fillRect(padding.left + 8, ly - 4, 14, 3);
+            ctx.fillStyle = '#a0a0b0';
+            ctx.fillText(label, padding.left + 28, ly);
+        });
 
-    /**
-     * Get the current expression as a string for calculus operations
-     */
-    getCurrentExpressionString() {
-        if (this.currentFunction === 'custom') {
-            return this.customExpressionValid ? ExpressionParser.normalize(this.customExpression) : null;
-        }
-
-        // For built-in functions, return the expression string
-        const expressionMap = {
-            'linear': 'x',
-            'linearCustom': `${this.params.m || 1} * x + ${this.params.b || 0}`,
-            'quadratic': 'x^2',
-            'cubic': 'x^3',
-            'quadraticFull': `${this.params.a || 1} * x^2 + ${this.params.b || 0} * x + ${this.params.c || 0}`,
-            'sin': 'sin(x)',
-            'cos': 'cos(x)',
-            'tan': 'tan(x)',
-            'sqrt': 'sqrt(x)',
-            'abs': 'abs(x)',
-            'reciprocal': '1/x',
-            'exp': 'exp(x)',
-            'log': 'log(x)'
-        };
+        // Hovered sample: z, its image w and the arrow between them
+        const hovered = samples[this.hoveredLine];
+        if (hovered) {
+            const zx = xToCart(hovered.z.re);
+            const zy = yToCart(hovered.z.im);
 
-        return expressionMap[this.currentFunction] || null;
-    }
+            if (inBounds(hovered.w)) {
+                const wx = xToCart(hovered.w.re);
+                const wy = yToCart(hovered.w.im);
 
-    /**
-     * Update the calculus formula displays with LaTeX
-     */
-    updateCalculusFormulas() {
-        const derivativeFormulaEl = document.getElementById('derivativeFormula');
-        const integralFormulaEl = document.getElementById('integralFormula');
-        const derivativeLatexEl = document.getElementById('derivativeLatex');
-        const integralLatexEl = document.getElementById('integralLatex');
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(zx, zy);
+                ctx.lineTo(wx, wy);
+                ctx.stroke();
+                ctx.setLineDash([]);
 
-        // Show/hide derivative formula
-        if (this.showDerivative && this.derivativeData && this.derivativeData.valid) {
-            derivativeFormulaEl.style.display = 'flex';
-            this.renderLatex(derivativeLatexEl, this.derivativeData.latex);
-        } else {
-            derivativeFormulaEl.style.display = 'none';
-        }
+                ctx.fillStyle = '#ffffff';
+                ctx.beginPath();
+                ctx.arc(wx, wy, 6, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.fillStyle = '#f472b6';
+                ctx.beginPath();
+                ctx.arc(wx, wy, 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
 
-        // Show/hide integral formula
-        if (this.showIntegral && this.integralData && this.integralData.valid) {
-            integralFormulaEl.style.display = 'flex';
-            this.renderLatex(integralLatexEl, this.integralData.latex);
-        } else {
-            integralFormulaEl.style.display = 'none';
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(zx, zy, 5, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            const wText = hovered.w ? this.formatComplex(hovered.w) : 'undefined';
+            ctx.fillText(`${this.formatComplex(hovered.z)} → ${wText}`, zx + 10, zy - 10);
         }
     }
 
-    // Draw density visualization on Y axis
-    // Density = count of points within ±vicinity of each Y position
-    // Color: cyan (low density/high slope) to pink (high density/low slope)
-    drawDensityOnYAxis() {
-        if (this.dataPoints.length < 2) return;
+    // Cartesian view of an implicit curve: the F = 0 contour, whatever its branches do,
+    // with the solutions found at the sampled x as dots
+    renderImplicitCartesian() {
+        const ctx = this.cartesianCtx;
+        const grid = this.implicitGrid;
+        if (!grid) return;
+
+        const bounds = { xMin: this.xMin, xMax: this.xMax, yMin: this.implicitYMin, yMax: this.implicitYMax };
+        const { plotWidth, plotHeight, padding, xToCart, yToCart } = this.drawCartesianFrame(bounds, { x: 'x', y: 'y' });
+        const { res, values } = grid;
+        const cellW = plotWidth / (res - 1);
+        const cellH = plotHeight / (res - 1);
+
+        // A sign change across a pole also crosses 0; its segment runs where |F| is larger
+        // than at the corners of its cell instead of close to 0
+        const evaluate = this.implicitEvaluate;
+        const onCurve = (gx, gy) => {
+            const i = Math.min(res - 2, Math.floor(gx));
+            const j = Math.min(res - 2, Math.floor(gy));
+            const corners = [values[j * res + i], values[j * res + i + 1], values[(j + 1) * res + i], values[(j + 1) * res + i + 1]];
+            const x = this.xMin + (gx / (res - 1)) * (this.xMax - this.xMin);
+            const y = this.implicitYMin + (gy / (res - 1)) * (this.implicitYMax - this.implicitYMin);
+            return Math.abs(evaluate(x, y)) <= Math.max(...corners.map(Math.abs));
+        };
 
-        const ctx = this.ctx;
-        const yAxisY = this.getYAxisY();
-        const left = this.padding.left;
-        const right = this.width - this.padding.right;
-        const vicinity = this.densityVicinity;
+        ctx.strokeStyle = '#8b5cf6';
+        ctx.lineWidth = 2;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        for (const [x0, y0, x1, y1] of this.traceContour(values, res, res, 0)) {
+            if (!onCurve((x0 + x1) / 2, (y0 + y1) / 2)) continue;
+            ctx.moveTo(padding.left + x0 * cellW, this.cartHeight - padding.bottom - y0 * cellH);
+            ctx.lineTo(padding.left + x1 * cellW, this.cartHeight - padding.bottom - y1 * cellH);
+        }
+        ctx.stroke();
 
-        // Get valid Y values
-        const yValues = this.dataPoints
-            .filter(p => !p.outOfRange)
-            .map(p => p.y);
+        // Solutions at the sampled x, in their branch colors
+        if (this.showPoints) {
+            for (const { values: [x, y], t } of this.implicitPolylines) {
+                ctx.fillStyle = this.lineColorMode === 'solid' ? '#8b5cf6' : this.interpolateColor('#06b6d4', '#f472b6', t);
+                ctx.beginPath();
+                ctx.arc(xToCart(x), yToCart(y), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
 
-        if (yValues.length === 0) return;
+        // Hovered solution
+        const hovered = this.implicitPolylines[this.hoveredLine];
+        if (hovered) {
+            const [x, y] = hovered.values;
+            const px = xToCart(x);
+            const py = yToCart(y);
 
-        // Calculate density for each position along the Y axis
-        const numSamples = 100;
-        const densities = [];
-        let maxDensity = 0;
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(px, py, 6, 0, Math.PI * 2);
+            ctx.fill();
 
-        for (let i = 0; i < numSamples; i++) {
-            const yValue = this.yMin + (i / (numSamples - 1)) * (this.yMax - this.yMin);
+            ctx.fillStyle = '#f472b6';
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, Math.PI * 2);
+            ctx.fill();
 
-            // Count how many Y values are within ±vicinity
-            const count = yValues.filter(y => Math.abs(y - yValue) <= vicinity).length;
-            densities.push({ yValue, count, x: this.yToCanvas(yValue) });
-            maxDensity = Math.max(maxDensity, count);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(`(${x.toFixed(2)}, ${y.toFixed(2)}), branch ${hovered.branch + 1}`, px + 10, py - 10);
         }
+    }
 
-        if (maxDensity === 0) return;
-
-        // Draw density bars on Y axis (which is now horizontal at top)
-        const barHeight = 8;
+    // Cartesian view of a dataset: scatter plot of the two chosen columns
+    renderDatasetCartesian() {
+        const ctx = this.cartesianCtx;
+        const columns = this.dataset.columns;
+        const colX = columns[this.datasetCartX];
+        const colY = columns[this.datasetCartY];
+        const rangeX = this.datasetRanges[this.datasetCartX];
+        const rangeY = this.datasetRanges[this.datasetCartY];
+
+        const bounds = { xMin: rangeX.min, xMax: rangeX.max, yMin: rangeY.min, yMax: rangeY.max };
+        const { xToCart, yToCart } = this.drawCartesianFrame(bounds, { x: colX.name, y: colY.name });
+        const inBounds = (x, y) => x !== null && y !== null &&
+            x >= bounds.xMin && x <= bounds.xMax && y >= bounds.yMin && y <= bounds.yMax;
+
+        ctx.globalAlpha = 0.8;
+        for (let r = 0; r < this.dataset.rowCount; r++) {
+            const x = colX.values[r];
+            const y = colY.values[r];
+            if (!inBounds(x, y)) continue;
+
+            ctx.fillStyle = this.lineColorMode === 'solid'
+                ? '#8b5cf6'
+                : this.interpolateColor('#06b6d4', '#f472b6', r / Math.max(1, this.dataset.rowCount - 1));
+            ctx.beginPath();
+            ctx.arc(xToCart(x), yToCart(y), 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        ctx.globalAlpha = 1;
 
-        for (const { x, count } of densities) {
-            const normalizedDensity = count / maxDensity;
+        // Hovered row
+        const row = this.hoveredLine;
+        if (row !== null && row >= 0 && inBounds(colX.values[row], colY.values[row])) {
+            const px = xToCart(colX.values[row]);
+            const py = yToCart(colY.values[row]);
 
-            // Color gradient: cyan (low density) -> pink (high density)
-            // This matches the line colors
-            const color = this.interpolateColor('#06b6d4', '#f472b6', normalizedDensity);
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(px, py, 6, 0, Math.PI * 2);
+            ctx.fill();
 
-            // Variable bar height based on density
-            const height = 3 + normalizedDensity * 12;
+            ctx.fillStyle = '#f472b6';
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, Math.PI * 2);
+            ctx.fill();
 
-            ctx.fillStyle = color;
-            ctx.globalAlpha = 0.8;
-            ctx.fillRect(x - 2, yAxisY - height - 3, 4, height);
+            ctx.fillStyle = '#ffffff';
+            ctx.font = 'bold 11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(`(${colX.values[row].toFixed(2)}, ${colY.values[row].toFixed(2)})`, px + 10, py - 10);
         }
+    }
 
-        ctx.globalAlpha = 1;
+    // Surface colormap: cyan (low) → purple → pink (high)
+    surfaceColor(t) {
+        return t < 0.5
+            ? this.interpolateColor('#06b6d4', '#8b5cf6', t * 2)
+            : this.interpolateColor('#8b5cf6', '#f472b6', (t - 0.5) * 2);
+    }
 
-        // Add insight label
-        ctx.font = '9px Inter, sans-serif';
-        ctx.fillStyle = '#a0a0b0';
-        ctx.textAlign = 'right';
-        ctx.fillText(`Density ±${vicinity.toFixed(1)} | High = flat slope (GD converges here)`, right, yAxisY - 20);
+    /**
+     * Marching squares: line segments where a gridded scalar field crosses a level
+     * @param {Array} values - Row-major node values (null = undefined)
+     * @param {number} nx - Nodes per row
+     * @param {number} ny - Number of rows
+     * @param {number} level - Contour level
+     * @returns {Array} - Segments [x0, y0, x1, y1] in fractional grid coordinates
+     */
+    traceContour(values, nx, ny, level) {
+        const segments = [];
+        const lerp = (a, b) => (level - a) / (b - a);
+
+        for (let j = 0; j < ny - 1; j++) {
+            for (let i = 0; i < nx - 1; i++) {
+                const a = values[j * nx + i];             // (i, j)
+                const b = values[j * nx + i + 1];         // (i + 1, j)
+                const c = values[(j + 1) * nx + i + 1];   // (i + 1, j + 1)
+                const d = values[(j + 1) * nx + i];       // (i, j + 1)
+                if (a === null || b === null || c === null || d === null) continue;
+
+                // Crossings on bottom, right, top and left edges
+                const edges = [];
+                if ((a < level) !== (b < level)) edges[0] = [i + lerp(a, b), j];
+                if ((b < level) !== (c < level)) edges[1] = [i + 1, j + lerp(b, c)];
+                if ((d < level) !== (c < level)) edges[2] = [i + lerp(d, c), j + 1];
+                if ((a < level) !== (d < level)) edges[3] = [i, j + lerp(a, d)];
+
+                const crossings = edges.filter(Boolean);
+                if (crossings.length === 2) {
+                    segments.push([...crossings[0], ...crossings[1]]);
+                } else if (crossings.length === 4) {
+                    // Saddle: resolve with the cell center value
+                    const center = (a + b + c + d) / 4;
+                    if ((center < level) === (a < level)) {
+                        segments.push([...edges[0], ...edges[1]], [...edges[2], ...edges[3]]);
+                    } else {
+                        segments.push([...edges[3], ...edges[0]], [...edges[1], ...edges[2]]);
+                    }
+                }
+            }
+        }
+
+        return segments;
     }
 
-    // Render Cartesian (orthogonal) coordinate system
-    renderCartesian() {
+    /**
+     * Clear the Cartesian canvas and draw background, grid, axes, tick labels and titles
+     * @param {Object} bounds - { xMin, xMax, yMin, yMax } in data coordinates,
+     *                          with optional { xScale, yScale } (default 'linear')
+     * @param {Object} titles - Axis titles { x, y }
+     * @returns {Object} - { padding, plotWidth, plotHeight, xToCart, yToCart }
+     */
+    drawCartesianFrame(bounds, titles = { x: 'X', y: 'Y' }) {
         const ctx = this.cartesianCtx;
         const w = this.cartWidth;
         const h = this.cartHeight;
-        const padding = { top: 40, bottom: 50, left: 60, right: 30 };
+        const { padding } = this.getCartesianPlot();
 
         ctx.clearRect(0, 0, w, h);
 
@@ -1342,17 +5752,20 @@ class ParallelAxesVisualizer {
         const plotHeight = h - padding.top - padding.bottom;
 
         // Convert data coords to Cartesian canvas coords
-        const xToCart = (x) => padding.left + ((x - this.xMin) / (this.xMax - this.xMin)) * plotWidth;
-        const yToCart = (y) => h - padding.bottom - ((y - this.yMin) / (this.yMax - this.yMin)) * plotHeight;
+        const xScale = bounds.xScale || 'linear';
+        const yScale = bounds.yScale || 'linear';
+        const xToCart = (x) => padding.left + AxesCore.scaleFraction(x, bounds.xMin, bounds.xMax, xScale) * plotWidth;
+        const yToCart = (y) => h - padding.bottom - AxesCore.scaleFraction(y, bounds.yMin, bounds.yMax, yScale) * plotHeight;
 
-        // Draw grid
+        // Draw grid: ten even lines on a linear axis, one per tick on a log or symlog axis
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
         ctx.lineWidth = 1;
 
         // Vertical grid lines
-        const numVLines = 10;
-        for (let i = 0; i <= numVLines; i++) {
-            const x = padding.left + (i / numVLines) * plotWidth;
+        const gridX = xScale === 'linear'
+            ? AxesCore.scaleTicks(0, 1, 'linear', 10).map(t => padding.left + t * plotWidth)
+            : AxesCore.scaleTicks(bounds.xMin, bounds.xMax, xScale).map(xToCart);
+        for (const x of gridX) {
             ctx.beginPath();
             ctx.moveTo(x, padding.top);
             ctx.lineTo(x, h - padding.bottom);
@@ -1360,9 +5773,10 @@ class ParallelAxesVisualizer {
         }
 
         // Horizontal grid lines
-        const numHLines = 10;
-        for (let i = 0; i <= numHLines; i++) {
-            const y = padding.top + (i / numHLines) * plotHeight;
+        const gridY = yScale === 'linear'
+            ? AxesCore.scaleTicks(0, 1, 'linear', 10).map(t => padding.top + t * plotHeight)
+            : AxesCore.scaleTicks(bounds.yMin, bounds.yMax, yScale).map(yToCart);
+        for (const y of gridY) {
             ctx.beginPath();
             ctx.moveTo(padding.left, y);
             ctx.lineTo(w - padding.right, y);
@@ -1374,7 +5788,7 @@ class ParallelAxesVisualizer {
         ctx.lineWidth = 2;
 
         // X axis (at y = 0 if in range)
-        if (this.yMin <= 0 && this.yMax >= 0) {
+        if (bounds.yMin <= 0 && bounds.yMax >= 0) {
             const axisY = yToCart(0);
             ctx.beginPath();
             ctx.moveTo(padding.left, axisY);
@@ -1383,7 +5797,7 @@ class ParallelAxesVisualizer {
         }
 
         // Y axis (at x = 0 if in range)
-        if (this.xMin <= 0 && this.xMax >= 0) {
+        if (bounds.xMin <= 0 && bounds.xMax >= 0) {
             const axisX = xToCart(0);
             ctx.beginPath();
             ctx.moveTo(axisX, padding.top);
@@ -1397,84 +5811,213 @@ class ParallelAxesVisualizer {
         ctx.textAlign = 'center';
 
         // X axis labels
-        for (let i = 0; i <= 4; i++) {
-            const val = this.xMin + (i / 4) * (this.xMax - this.xMin);
+        for (const val of AxesCore.scaleTicks(bounds.xMin, bounds.xMax, xScale, 4)) {
             const x = xToCart(val);
-            ctx.fillText(val.toFixed(1), x, h - padding.bottom + 20);
+            ctx.fillText(this.formatTick(val, xScale), x, h - padding.bottom + 20);
         }
 
         // Y axis labels
         ctx.textAlign = 'right';
-        for (let i = 0; i <= 4; i++) {
-            const val = this.yMin + (i / 4) * (this.yMax - this.yMin);
+        for (const val of AxesCore.scaleTicks(bounds.yMin, bounds.yMax, yScale, 4)) {
             const y = yToCart(val);
-            ctx.fillText(val.toFixed(1), padding.left - 10, y + 4);
+            ctx.fillText(this.formatTick(val, yScale), padding.left - 10, y + 4);
         }
 
         // Axis titles
         ctx.fillStyle = '#06b6d4';
         ctx.font = 'bold 12px Inter, sans-serif';
         ctx.textAlign = 'center';
-        ctx.fillText('X', w / 2, h - 10);
+        ctx.fillText(titles.x, w / 2, h - 10);
 
         ctx.save();
         ctx.translate(15, h / 2);
         ctx.rotate(-Math.PI / 2);
         ctx.fillStyle = '#f472b6';
-        ctx.fillText('Y', 0, 0);
+        ctx.fillText(titles.y, 0, 0);
         ctx.restore();
 
-        // Draw function curve with gradient coloring
-        // Draw function curve with gradient coloring
-        if (this.dataPoints.length > 1) {
+        return { padding, plotWidth, plotHeight, xToCart, yToCart };
+    }
+
+    // Keep canvas coordinates near a pole finite and small enough to draw
+    clampCartY(y, padding, h) {
+        return Math.max(padding.top - h, Math.min(2 * h, y));
+    }
+
+    /**
+     * Shade domain gaps and draw a dashed asymptote at each pole of the base function,
+     * and a dotted line at each piece boundary
+     */
+    drawCartesianBreaks(xToCart, yToCart, padding, plotWidth, plotHeight) {
+        const ctx = this.cartesianCtx;
+
+        for (const brk of this.breaks) {
+            if (brk.type === 'gap') {
+                const x1 = xToCart(brk.from);
+                const x2 = Math.max(xToCart(brk.to), x1 + 2);
+                ctx.fillStyle = 'rgba(148, 163, 184, 0.1)';
+                ctx.fillRect(x1, padding.top, x2 - x1, plotHeight);
+            } else if (brk.type === 'pole') {
+                const x = xToCart(brk.x);
+                ctx.strokeStyle = 'rgba(239, 68, 68, 0.6)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([5, 4]);
+                ctx.beginPath();
+                ctx.moveTo(x, padding.top);
+                ctx.lineTo(x, padding.top + plotHeight);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+        }
+
+        // Boundaries between the pieces of a piecewise expression
+        ctx.strokeStyle = 'rgba(148, 163, 184, 0.5)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        for (const boundary of this.pieceBoundaries) {
+            const x = xToCart(boundary);
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + plotHeight);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+    }
+
+    /**
+     * At each jump of the base function: open circles at the one-sided limits,
+     * and a filled dot at the value the function actually takes there
+     */
+    drawCartesianJumpEnds(xToCart, yToCart) {
+        const ctx = this.cartesianCtx;
+        const func = MathFunctions[this.currentFunction];
+
+        ctx.lineWidth = 1.5;
+        for (const brk of this.breaks) {
+            if (brk.type !== 'jump') continue;
+
+            const x = xToCart(brk.x);
+            ctx.strokeStyle = '#f59e0b';
+            ctx.fillStyle = 'rgba(18, 18, 26, 1)';
+            for (const limit of [brk.left, brk.right]) {
+                ctx.beginPath();
+                ctx.arc(x, yToCart(limit), 3.5, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            }
+
+            const value = func.evaluate(brk.x, this.params);
+            if (isFinite(value)) {
+                ctx.fillStyle = '#f59e0b';
+                ctx.beginPath();
+                ctx.arc(x, yToCart(value), 3.5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    // Render Cartesian (orthogonal) coordinate system
+    renderCartesian() {
+        const ctx = this.cartesianCtx;
+        const h = this.cartHeight;
+
+        const { padding, plotWidth, plotHeight, xToCart, yToCart } = this.drawCartesianFrame({
+            xMin: this.xMin, xMax: this.xMax, yMin: this.yMin, yMax: this.yMax,
+            xScale: this.xScale, yScale: this.yScale
+        });
+        const rangeYToCart = (y, range) =>
+            h - padding.bottom - AxesCore.scaleFraction(y, range.yMin, range.yMax, this.yScale) * plotHeight;
+
+        // The curves are drawn from the adaptive segments, so near a pole they run off the plot
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(padding.left, padding.top, plotWidth, plotHeight);
+        ctx.clip();
+
+        if (this.showIntegral && this.integralArea) {
+            this.drawCartesianIntegralArea(xToCart, yToCart, padding, plotWidth, plotHeight);
+        }
+
+        // Draw overlay layer curves in their own colors
+        for (const layer of this.layers) {
+            if (!layer.visible || !layer.segments) continue;
+
+            const layerYToCart = (y) => rangeYToCart(y, layer);
+
+            ctx.strokeStyle = layer.color;
             ctx.lineWidth = 2;
             ctx.lineCap = 'round';
             ctx.lineJoin = 'round';
 
-            // Draw all valid segments individually
-            // We use the full dataPoints array to maintain index relationships
-            // But skip outOfRange points for the actual drawing calls unless they connect to in-range points
+            for (const segment of layer.segments) {
+                ctx.beginPath();
+                segment.forEach((p, i) => {
+                    const py = this.clampCartY(layerYToCart(p.y), padding, h);
+                    if (i === 0) ctx.moveTo(xToCart(p.x), py);
+                    else ctx.lineTo(xToCart(p.x), py);
+                });
+                ctx.stroke();
+            }
+        }
 
-            for (let i = 0; i < this.dataPoints.length - 1; i++) {
-                const p1 = this.dataPoints[i];
-                const p2 = this.dataPoints[i + 1];
+        this.drawCartesianBreaks(xToCart, yToCart, padding, plotWidth, plotHeight);
 
-                // CRITICAL: Check for discontinuity
-                if (p1.isDiscontinuous) {
-                    continue; // Do not connect to next point (break the line)
-                }
+        const brushed = this.hasBrush();
+        if (brushed) {
+            this.drawCartesianBrushes(xToCart, yToCart, padding, plotWidth, plotHeight);
+        }
 
-                // Optimization: Don't draw if both are way out of range on the same side
-                if ((p1.y < this.yMin && p2.y < this.yMin) || (p1.y > this.yMax && p2.y > this.yMax)) {
-                    // continue; // Optional optimization
-                }
+        // Draw function curve with gradient coloring along X; with brushes, the selected part stands out
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
 
-                // If both are fully invalid (NaN etc), skip
-                if (isNaN(p1.y) || isNaN(p2.y)) continue;
+        for (const segment of this.curveSegments) {
+            for (let i = 0; i < segment.length - 1; i++) {
+                const p1 = segment[i];
+                const p2 = segment[i + 1];
+                const selected = !brushed || (this.isBrushed(p1.x, p1.y) && this.isBrushed(p2.x, p2.y));
 
-                // Color interpolation based on position
-                const t = i / (this.dataPoints.length - 1);
+                const t = AxesCore.scaleFraction((p1.x + p2.x) / 2, this.xMin, this.xMax, this.xScale);
                 ctx.strokeStyle = this.interpolateColor('#06b6d4', '#f472b6', t);
+                ctx.globalAlpha = selected ? 1 : 0.25;
+                ctx.lineWidth = brushed && selected ? 3.5 : 2;
 
                 ctx.beginPath();
-                ctx.moveTo(xToCart(p1.x), yToCart(p1.y));
-                ctx.lineTo(xToCart(p2.x), yToCart(p2.y));
+                ctx.moveTo(xToCart(p1.x), this.clampCartY(yToCart(p1.y), padding, h));
+                ctx.lineTo(xToCart(p2.x), this.clampCartY(yToCart(p2.y), padding, h));
                 ctx.stroke();
             }
         }
+        ctx.globalAlpha = 1;
+
+        this.drawCartesianJumpEnds(xToCart, yToCart);
+
+        if (this.features) {
+            for (const [kind, points] of this.featureEntries()) {
+                for (const point of points) {
+                    this.drawFeatureGlyph(ctx, kind, xToCart(point.x), this.clampCartY(yToCart(point.y), padding, h));
+                }
+            }
+        }
+        ctx.restore();
+
+        if (this.preimage && this.axisLayout === 'parallel') {
+            this.drawCartesianPreimage(xToCart, yToCart, padding, plotWidth, plotHeight);
+        }
 
-        // Draw derivative curve (green, dashed)
-        if (this.showDerivative && this.derivativePoints.length > 1) {
-            ctx.strokeStyle = '#22c55e';
+        // Draw derivative curves (green for f', one color and dash per order)
+        for (const derivative of this.showDerivative ? this.derivatives : []) {
+            if (derivative.points.length < 2) continue;
+            ctx.strokeStyle = this.derivativeColors[derivative.order - 1];
             ctx.lineWidth = 2;
-            ctx.setLineDash([6, 4]);
+            ctx.setLineDash([6, 4 + derivative.order - 1]);
             ctx.lineCap = 'round';
             ctx.lineJoin = 'round';
 
             ctx.beginPath();
             let started = false;
-            for (let i = 0; i < this.derivativePoints.length; i++) {
-                const p = this.derivativePoints[i];
+            for (let i = 0; i < derivative.points.length; i++) {
+                const p = derivative.points[i];
                 const px = xToCart(p.x);
                 const py = yToCart(p.y);
 
@@ -1534,11 +6077,32 @@ class ParallelAxesVisualizer {
             ctx.setLineDash([]);
         }
 
+        // Legend for overlay layers
+        if (this.layers.length > 0) {
+            ctx.font = '11px Inter, sans-serif';
+            ctx.textAlign = 'left';
+
+            const entries = this.getVisibleSeries();
+            entries.forEach((series, i) => {
+                const ly = padding.top + 4 + i * 16;
+                ctx.fillStyle = series.color || '#06b6d4';
+                ctx.fillRect(padding.left + 8, ly - 4, 14, 3);
+                ctx.fillStyle = '#a0a0b0';
+                let text = series.label;
+                if (this.layerYRange === 'perLayer') {
+                    text += `  [${series.range.yMin.toFixed(1)}, ${series.range.yMax.toFixed(1)}]`;
+                }
+                ctx.fillText(text, padding.left + 28, ly);
+            });
+        }
+
         // Highlight hovered point from parallel axes
-        if (this.hoveredLine !== null && this.dataPoints[this.hoveredLine]) {
-            const point = this.dataPoints[this.hoveredLine];
+        const hoveredSeries = this.getHoveredSeries();
+        if (hoveredSeries && hoveredSeries.points[this.hoveredLine]) {
+            const point = hoveredSeries.points[this.hoveredLine];
+            const range = hoveredSeries.range;
             const px = xToCart(point.x);
-            const py = yToCart(point.y);
+            const py = this.clampCartY(rangeYToCart(point.y, range), padding, h);
 
             // Draw crosshairs
             ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
@@ -1565,7 +6129,7 @@ class ParallelAxesVisualizer {
             ctx.arc(px, py, 6, 0, Math.PI * 2);
             ctx.fill();
 
-            ctx.fillStyle = '#f472b6';
+            ctx.fillStyle = hoveredSeries.color || '#f472b6';
             ctx.beginPath();
             ctx.arc(px, py, 4, 0, Math.PI * 2);
             ctx.fill();
@@ -0,0 +1,477 @@
+/**
+ * Scene Module for Parallel Axes Visualizer
+ * Versioned JSON scene files (export / import with schema validation and migrations)
+ * and a library of named scenes kept in localStorage
+ */
+
+const SceneStore = (function () {
+    const FORMAT = 'parallel-axes-scene';
+    const STORAGE_KEY = 'parallelAxes.scenes';
+
+    /**
+     * Current scene file version. When ParallelAxesVisualizer gains an option:
+     * - a new optional field only needs an entry in the schema below (older files get its default)
+     * - renaming or restructuring a field bumps VERSION and adds a migration from the previous version
+     */
+    const VERSION = 1;
+
+    /**
+     * Upgrade steps, keyed by the version they upgrade from. Each takes the scene object
+     * of that version and returns the scene object of the next one.
+     */
+    const MIGRATIONS = {};
+
+    /**
+     * A complete scene with default settings; fields missing from a file take these values
+     * @returns {Object} - The shareable state (see VisualizerState) plus view mode, layers,
+     *                     surface, complex map and implicit curve settings and animation position
+     */
+    function defaults() {
+        return {
+            ...VisualizerState.defaults(),
+            viewMode: 'function',
+            layerYRange: 'shared',
+            layers: [],
+            surface: {
+                expression: 'sin(x) * cos(y)',
+                yMin: -5,
+                yMax: 5,
+                gridSize: 15,
+                axisOrder: 'xyz',
+                cartesianView: 'heatmap'
+            },
+            complex: {
+                expression: 'z^2',
+                imMin: -2,
+                imMax: 2,
+                contour: 'grid',
+                density: 15,
+                axes: 'cartesian'
+            },
+            implicit: {
+                expression: 'x^2 + y^2 = 9',
+                yMin: -5,
+                yMax: 5
+            },
+            animation: { mode: 'reveal', progress: 0, speed: 5 },
+            sweep: { keyframes: [], duration: 4, repeat: 'loop', easing: 'easeInOut', position: 0 }
+        };
+    }
+
+    // ===== Schema =====
+
+    const isNumber = v => typeof v === 'number' && isFinite(v);
+    const isHexColor = v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+    const oneOf = (...options) => v => options.includes(v);
+    const integerIn = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+    const numberIn = (min, max) => v => isNumber(v) && v >= min && v <= max;
+
+    function isExpression(v) {
+        return typeof v === 'string' &&
+            (v.trim() === '' || ExpressionParser.parse(ExpressionParser.normalize(v)).valid);
+    }
+
+    // The main custom expression may have free parameters; a layer's has its values filled in
+    function isParameterizedExpression(v) {
+        return typeof v === 'string' &&
+            (v.trim() === '' || ExpressionParser.parse(ExpressionParser.normalize(v), { parameters: true }).valid);
+    }
+
+    const isDefinitionList = v => Array.isArray(v) &&
+        v.every(text => typeof text === 'string' && ExpressionParser.parseDefinition(text).valid);
+
+    const isRange = v => v && typeof v === 'object' && isNumber(v.min) && isNumber(v.max) && isNumber(v.step) &&
+        v.min < v.max && v.step > 0;
+
+    // Fields of the scene object: [check, description used in errors]
+    const FIELDS = {
+        currentFunction: [v => Object.prototype.hasOwnProperty.call(MathFunctions, v), 'a known function key'],
+        // Before the expressions, which may use them
+        definitions: [isDefinitionList, 'a list of definitions like "g(x) = exp(-x^2)"'],
+        customExpression: [isParameterizedExpression, 'a valid expression string'],
+        customParams: [v => v && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isRange),
+            'an object of { min, max, step } slider ranges with min < max and step > 0'],
+        xMin: [isNumber, 'a number'],
+        xMax: [isNumber, 'a number'],
+        numPoints: [integerIn(5, 100), 'an integer from 5 to 100'],
+        ySquash: [oneOf(0, 1, 2), '0, 1 or 2'],
+        lineColorMode: [oneOf('gradient', 'slope', 'solid'), '"gradient", "slope" or "solid"'],
+        showGrid: [v => typeof v === 'boolean', 'true or false'],
+        showPoints: [v => typeof v === 'boolean', 'true or false'],
+        continuousMode: [v => typeof v === 'boolean', 'true or false'],
+        showDerivative: [v => typeof v === 'boolean', 'true or false'],
+        showIntegral: [v => typeof v === 'boolean', 'true or false'],
+        integralLower: [isNumber, 'a number'],
+        integralUpper: [isNumber, 'a number'],
+        derivativeOrder: [integerIn(1, 4), 'an integer from 1 to 4'],
+        showEnvelope: [v => typeof v === 'boolean', 'true or false'],
+        showFeatures: [v => typeof v === 'boolean', 'true or false'],
+        xScale: [oneOf('linear', 'log', 'symlog'), '"linear", "log" or "symlog"'],
+        yScale: [oneOf('linear', 'log', 'symlog'), '"linear", "log" or "symlog"'],
+        axisLayout: [oneOf('parallel', 'circular'), '"parallel" or "circular"'],
+        yRange: [v => v === null || (typeof v === 'object' && isNumber(v.yMin) && isNumber(v.yMax) && v.yMin < v.yMax),
+            'null or { yMin, yMax } with yMin < yMax'],
+        viewMode: [oneOf('function', 'chain', 'surface', 'complex', 'implicit', 'dataset'),
+            '"function", "chain", "surface", "complex", "implicit" or "dataset"'],
+        layerYRange: [oneOf('shared', 'perLayer'), '"shared" or "perLayer"']
+    };
+
+    const SURFACE_FIELDS = {
+        expression: [v => typeof v === 'string' &&
+            ExpressionParser.parse(ExpressionParser.normalize(v), { variables: ['x', 'y'] }).valid, 'a valid expression in x and y'],
+        yMin: [isNumber, 'a number'],
+        yMax: [isNumber, 'a number'],
+        gridSize: [integerIn(3, 40), 'an integer from 3 to 40'],
+        axisOrder: [oneOf('xyz', 'xzy', 'yxz', 'yzx', 'zxy', 'zyx'), 'a permutation of "xyz"'],
+        cartesianView: [oneOf('heatmap', 'contour'), '"heatmap" or "contour"']
+    };
+
+    const COMPLEX_FIELDS = {
+        expression: [v => typeof v === 'string' &&
+            ExpressionParser.parseComplex(ExpressionParser.normalize(v)).valid, 'a valid expression in z'],
+        imMin: [isNumber, 'a number'],
+        imMax: [isNumber, 'a number'],
+        contour: [oneOf('grid', 'line', 'circle'), '"grid", "line" or "circle"'],
+        density: [integerIn(3, 40), 'an integer from 3 to 40'],
+        axes: [oneOf('cartesian', 'polar'), '"cartesian" or "polar"']
+    };
+
+    const IMPLICIT_FIELDS = {
+        expression: [v => typeof v === 'string' &&
+            ExpressionParser.parseImplicit(ExpressionParser.normalize(v)).valid, 'a valid equation in x and y'],
+        yMin: [isNumber, 'a number'],
+        yMax: [isNumber, 'a number']
+    };
+
+    const ANIMATION_FIELDS = {
+        mode: [oneOf('reveal', 'sweep'), '"reveal" or "sweep"'],
+        progress: [numberIn(0, 1), 'a number from 0 to 1'],
+        speed: [integerIn(1, 10), 'an integer from 1 to 10']
+    };
+
+    const SWEEP_FIELDS = {
+        duration: [numberIn(1, 20), 'a number of seconds from 1 to 20'],
+        repeat: [oneOf('once', 'loop', 'pingpong'), '"once", "loop" or "pingpong"'],
+        easing: [oneOf('linear', 'easeIn', 'easeOut', 'easeInOut'), '"linear", "easeIn", "easeOut" or "easeInOut"'],
+        position: [numberIn(0, 1), 'a number from 0 to 1']
+    };
+
+    const LAYER_FIELDS = {
+        functionKey: [v => Object.prototype.hasOwnProperty.call(MathFunctions, v), 'a known function key'],
+        expression: [isExpression, 'a valid expression string'],
+        color: [isHexColor, 'a hex color like #ff8800'],
+        visible: [v => typeof v === 'boolean', 'true or false']
+    };
+
+    class SceneError extends Error {
+        constructor(field, expected) {
+            super(`"${field}" must be ${expected}`);
+            this.field = field;
+        }
+    }
+
+    /**
+     * Check the fields of an object against a schema table
+     * @param {Object} target - Object being validated
+     * @param {Object} fields - Schema table
+     * @param {string} path - Field path prefix for errors, e.g. "scene.surface"
+     * @param {Object} fallback - Values used for fields the object does not have
+     * @returns {Object} - A copy holding only schema fields
+     */
+    function checkFields(target, fields, path, fallback) {
+        if (!target || typeof target !== 'object' || Array.isArray(target)) {
+            throw new SceneError(path, 'an object');
+        }
+
+        const result = {};
+        for (const [key, [check, expected]] of Object.entries(fields)) {
+            if (!(key in target)) {
+                result[key] = fallback[key];
+            } else if (check(target[key])) {
+                result[key] = target[key];
+            } else {
+                throw new SceneError(`${path}.${key}`, expected);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parameters of a function: every key must belong to it and be within its slider range
+     * @param {Object} config - The function's parameter configs, e.g. MathFunctions[functionKey].params
+     * @param {string} owner - Named in errors, e.g. the function key
+     */
+    function checkParams(params, config, owner, path) {
+        const result = {};
+
+        if (params === undefined) params = {};
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw new SceneError(path, 'an object');
+        }
+
+        for (const key of Object.keys(params)) {
+            if (!config[key]) {
+                throw new SceneError(`${path}.${key}`, `a parameter of "${owner}"`);
+            }
+        }
+
+        for (const [key, range] of Object.entries(config)) {
+            const value = key in params ? params[key] : range.default;
+            if (!numberIn(range.min, range.max)(value)) {
+                throw new SceneError(`${path}.${key}`, `a number from ${range.min} to ${range.max}`);
+            }
+            result[key] = value;
+        }
+        return result;
+    }
+
+    /**
+     * Validate a scene object of the current version, filling in defaults for missing fields
+     * @param {Object} scene - Scene object
+     * @returns {Object} - The complete, validated scene
+     */
+    function validateScene(scene) {
+        const fallback = defaults();
+        const result = checkFields(scene, FIELDS, 'scene', fallback);
+
+        if (result.xMin >= result.xMax) {
+            throw new SceneError('scene.xMax', 'greater than scene.xMin');
+        }
+
+        // Each free parameter of the custom expression has a slider range (see customParamConfigs)
+        const customParameters = result.customExpression.trim() === '' ? [] :
+            ExpressionParser.parse(ExpressionParser.normalize(result.customExpression), { parameters: true }).parameters;
+        for (const key of Object.keys(result.customParams)) {
+            if (!customParameters.includes(key)) {
+                throw new SceneError(`scene.customParams.${key}`, 'a parameter of the custom expression');
+            }
+        }
+        const customConfig = customParamConfigs(customParameters, result.customParams);
+        result.customParams = Object.fromEntries(Object.entries(customConfig)
+            .map(([key, { min, max, step }]) => [key, { min, max, step }]));
+
+        const paramConfig = result.currentFunction === 'custom'
+            ? customConfig
+            : MathFunctions[result.currentFunction].params || {};
+        result.params = checkParams(
+            'params' in scene ? scene.params : {},
+            paramConfig,
+            result.currentFunction,
+            'scene.params'
+        );
+
+        if (result.currentFunction === 'custom' && result.customExpression.trim() === '') {
+            throw new SceneError('scene.customExpression', 'a non-empty expression for the custom function');
+        }
+
+        result.surface = checkFields(
+            'surface' in scene ? scene.surface : {}, SURFACE_FIELDS, 'scene.surface', fallback.surface);
+        if (result.surface.yMin >= result.surface.yMax) {
+            throw new SceneError('scene.surface.yMax', 'greater than scene.surface.yMin');
+        }
+
+        result.complex = checkFields(
+            'complex' in scene ? scene.complex : {}, COMPLEX_FIELDS, 'scene.complex', fallback.complex);
+        if (result.complex.imMin >= result.complex.imMax) {
+            throw new SceneError('scene.complex.imMax', 'greater than scene.complex.imMin');
+        }
+
+        result.implicit = checkFields(
+            'implicit' in scene ? scene.implicit : {}, IMPLICIT_FIELDS, 'scene.implicit', fallback.implicit);
+        if (result.implicit.yMin >= result.implicit.yMax) {
+            throw new SceneError('scene.implicit.yMax', 'greater than scene.implicit.yMin');
+        }
+
+        result.animation = checkFields(
+            'animation' in scene ? scene.animation : {}, ANIMATION_FIELDS, 'scene.animation', fallback.animation);
+
+        // Keyframes animate the parameters of the scene's function
+        const sweep = 'sweep' in scene ? scene.sweep : {};
+        result.sweep = checkFields(sweep, SWEEP_FIELDS, 'scene.sweep', fallback.sweep);
+        const keyframes = 'keyframes' in sweep ? sweep.keyframes : [];
+        if (!Array.isArray(keyframes)) {
+            throw new SceneError('scene.sweep.keyframes', 'an array');
+        }
+        result.sweep.keyframes = keyframes.map((keyframe, i) => {
+            const path = `scene.sweep.keyframes[${i}]`;
+            if (!keyframe || typeof keyframe !== 'object' || !numberIn(0, 1)(keyframe.at)) {
+                throw new SceneError(`${path}.at`, 'a number from 0 to 1');
+            }
+            return { at: keyframe.at, params: checkParams(keyframe.params, paramConfig, result.currentFunction, `${path}.params`) };
+        });
+
+        const layers = 'layers' in scene ? scene.layers : [];
+        if (!Array.isArray(layers)) {
+            throw new SceneError('scene.layers', 'an array');
+        }
+        result.layers = layers.map((layer, i) => {
+            const path = `scene.layers[${i}]`;
+            const checked = checkFields(layer, LAYER_FIELDS, path, { expression: '', color: '#fbbf24', visible: true });
+            if (!('functionKey' in layer)) {
+                throw new SceneError(`${path}.functionKey`, LAYER_FIELDS.functionKey[1]);
+            }
+            if (checked.functionKey === 'custom' && checked.expression.trim() === '') {
+                throw new SceneError(`${path}.expression`, 'a non-empty expression for the custom function');
+            }
+            const layerConfig = checked.functionKey === 'custom' ? {} : MathFunctions[checked.functionKey].params || {};
+            checked.params = checkParams(layer.params, layerConfig, checked.functionKey, `${path}.params`);
+            return checked;
+        });
+
+        return result;
+    }
+
+    // ===== Files =====
+
+    /**
+     * Wrap a scene in the versioned file envelope
+     * @param {string} name - Scene name
+     * @param {Object} scene - From ParallelAxesVisualizer.getScene()
+     * @returns {Object} - { format, version, name, savedAt, scene }
+     */
+    function createFile(name, scene) {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            scene
+        };
+    }
+
+    /**
+     * Check the envelope, run migrations up to VERSION and validate the scene
+     * @param {Object} file - Parsed scene file
+     * @returns {Object} - { valid, error?, name, scene, replaced: names of saved definitions the scene's took the place of }
+     */
+    function readFile(file) {
+        try {
+            if (!file || typeof file !== 'object' || file.format !== FORMAT) {
+                throw new SceneError('format', `"${FORMAT}"`);
+            }
+            if (!Number.isInteger(file.version) || file.version < 1) {
+                throw new SceneError('version', 'a positive integer');
+            }
+            if (file.version > VERSION) {
+                throw new SceneError('version', `at most ${VERSION} (this file was saved by a newer version)`);
+            }
+
+            let scene = file.scene;
+            for (let version = file.version; version < VERSION; version++) {
+                scene = MIGRATIONS[version](scene);
+            }
+
+            const name = typeof file.name === 'string' && file.name.trim() !== '' ? file.name : 'Imported scene';
+
+            // The definitions the scene's expressions use come with it, and must be in place to check them.
+            // They only join the library once the whole scene is valid
+            let staged = null;
+            if (scene && typeof scene === 'object' && 'definitions' in scene) {
+                if (!isDefinitionList(scene.definitions)) {
+                    throw new SceneError('scene.definitions', FIELDS.definitions[1]);
+                }
+                staged = DefinitionLibrary.stage(scene.definitions);
+                if (!staged.valid) {
+                    throw new SceneError('scene.definitions', `definitions that fit this browser's library (${staged.error})`);
+                }
+            }
+            let validated;
+            try {
+                validated = validateScene(scene);
+            } catch (e) {
+                if (staged) staged.discard();
+                throw e;
+            }
+            if (staged) staged.save();
+
+            return { valid: true, name, scene: validated, replaced: staged ? staged.replaced : [] };
+        } catch (e) {
+            if (!(e instanceof SceneError)) throw e;
+            return { valid: false, error: 'Invalid scene: ' + e.message, field: e.field };
+        }
+    }
+
+    /**
+     * Parse the text of a scene file
+     * @param {string} text - JSON text
+     * @returns {Object} - See readFile
+     */
+    function parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            return { valid: false, error: 'Invalid JSON: ' + e.message };
+        }
+        return readFile(file);
+    }
+
+    function stringify(file) {
+        return JSON.stringify(file, null, 2);
+    }
+
+    // ===== Local Library =====
+
+    /**
+     * Saved scenes, newest first
+     * @returns {Array} - [{ id, format, version, name, savedAt, scene }]
+     */
+    function list() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function store(entries) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    }
+
+    /**
+     * Save a scene under a name
+     * @returns {Object} - The stored entry
+     */
+    function save(name, scene) {
+        const entries = list();
+        const entry = { id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), ...createFile(name, scene) };
+        entries.unshift(entry);
+        store(entries);
+        return entry;
+    }
+
+    function rename(id, name) {
+        const entries = list();
+        const entry = entries.find(e => e.id === id);
+        if (!entry) return;
+        entry.name = name;
+        store(entries);
+    }
+
+    function remove(id) {
+        store(list().filter(e => e.id !== id));
+    }
+
+    function get(id) {
+        return list().find(e => e.id === id) || null;
+    }
+
+    // Public API
+    return {
+        VERSION: VERSION,
+        defaults: defaults,
+        createFile: createFile,
+        readFile: readFile,
+        parse: parse,
+        stringify: stringify,
+        list: list,
+        save: save,
+        rename: rename,
+        remove: remove,
+        get: get
+    };
+})();
+
+// Export for use in main.js
+window.SceneStore = SceneStore;
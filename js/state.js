@@ -0,0 +1,349 @@
+/**
+ * State Module for Parallel Axes Visualizer
+ * Serializes the visualizer settings to a URL hash and validates hashes coming back in,
+ * so a view can be shared as a link
+ */
+
+const VisualizerState = (function () {
+    const COLOR_MODES = ['gradient', 'slope', 'solid'];
+    const SCALES = ['linear', 'log', 'symlog'];
+    const LAYOUTS = ['parallel', 'circular'];
+    const NUM_POINTS_RANGE = { min: 5, max: 100 };
+    const DERIVATIVE_ORDERS = 4;
+
+    /**
+     * Settings used when the hash is empty, and for any field a hash gets wrong
+     * @returns {Object} - A fresh default state
+     */
+    function defaults() {
+        return {
+            currentFunction: 'linear',
+            params: defaultParams('linear'),
+            customExpression: '',
+            customParams: {}, // Slider range per free parameter of the custom expression: { a: { min, max, step } }
+            definitions: [], // Texts of the user definitions the custom expression uses, e.g. ['g(x) = exp(-x^2)']
+            xMin: -5,
+            xMax: 5,
+            xScale: 'linear',
+            yScale: 'linear',
+            numPoints: 25,
+            ySquash: 0,
+            lineColorMode: 'gradient',
+            axisLayout: 'parallel',
+            showGrid: true,
+            showPoints: true,
+            continuousMode: false,
+            showDerivative: false,
+            derivativeOrder: 1, // Highest derivative order shown, 1 to 4
+            showIntegral: false,
+            integralLower: 0, // Limits a and b of the shaded definite integral; F(x) starts at a
+            integralUpper: 1,
+            showEnvelope: false,
+            showFeatures: false,
+            yRange: null // { yMin, yMax } when set by hand or by zooming, null to fit
+        };
+    }
+
+    function defaultParams(functionKey) {
+        const params = {};
+        for (const [key, config] of Object.entries(MathFunctions[functionKey].params || {})) {
+            params[key] = config.default;
+        }
+        return params;
+    }
+
+    // ===== Encoding =====
+
+    /**
+     * Encode a state as a URL hash (without the leading #)
+     * @param {Object} state - As returned by defaults() or ParallelAxesVisualizer.getState()
+     * @returns {string} - e.g. "f=quadraticFull&p.a=-0.5&p.b=0&p.c=0&xmin=-3&xmax=3&...",
+     *                     a custom expression adds "expr=a*sin(b*x)&r.a=-10:10:0.1&..." for its slider ranges
+     *                     and "def=g(x) = exp(-x^2)&..." for the definitions it uses
+     */
+    function toHash(state) {
+        const query = new URLSearchParams();
+        query.set('f', state.currentFunction);
+        for (const [key, value] of Object.entries(state.params)) {
+            query.set('p.' + key, value);
+        }
+        if (state.currentFunction === 'custom') {
+            query.set('expr', state.customExpression);
+            for (const [key, range] of Object.entries(state.customParams)) {
+                query.set('r.' + key, `${range.min}:${range.max}:${range.step}`);
+            }
+            for (const text of state.definitions) {
+                query.append('def', text);
+            }
+        }
+        query.set('xmin', state.xMin);
+        query.set('xmax', state.xMax);
+        if (state.yRange) {
+            query.set('ymin', state.yRange.yMin);
+            query.set('ymax', state.yRange.yMax);
+        }
+        query.set('xscale', state.xScale);
+        query.set('yscale', state.yScale);
+        query.set('n', state.numPoints);
+        query.set('fit', state.ySquash);
+        query.set('color', state.lineColorMode);
+        query.set('layout', state.axisLayout);
+        query.set('grid', state.showGrid ? 1 : 0);
+        query.set('points', state.showPoints ? 1 : 0);
+        query.set('continuous', state.continuousMode ? 1 : 0);
+        query.set('derivative', state.showDerivative ? 1 : 0);
+        query.set('dorder', state.derivativeOrder);
+        query.set('integral', state.showIntegral ? 1 : 0);
+        query.set('ia', state.integralLower);
+        query.set('ib', state.integralUpper);
+        query.set('envelope', state.showEnvelope ? 1 : 0);
+        query.set('features', state.showFeatures ? 1 : 0);
+        return query.toString();
+    }
+
+    // ===== Decoding =====
+
+    function readNumber(query, key) {
+        if (!query.has(key) || query.get(key).trim() === '') return null;
+        const value = Number(query.get(key));
+        return isFinite(value) ? value : NaN;
+    }
+
+    // A slider range "min:max:step"; null when absent, undefined when invalid
+    function readRange(query, key) {
+        if (!query.has(key)) return null;
+        const [min, max, step, ...rest] = query.get(key).split(':').map(part => (part.trim() === '' ? NaN : Number(part)));
+        if (rest.length === 0 && isFinite(min) && isFinite(max) && isFinite(step) && min < max && step > 0) {
+            return { min, max, step };
+        }
+        return undefined;
+    }
+
+    function readFlag(query, key) {
+        if (!query.has(key)) return null;
+        const value = query.get(key);
+        if (value === '1' || value === 'true') return true;
+        if (value === '0' || value === 'false') return false;
+        return undefined;
+    }
+
+    /**
+     * Decode a URL hash. Every field is validated on its own: a missing or invalid field
+     * keeps its default and is reported, the rest of the hash is still used.
+     * @param {string} hash - location.hash, with or without the leading #
+     * @returns {Object} - { state, empty, problems: ['X range', ...], replaced: names of saved definitions
+     *                     the link's definitions took the place of }
+     */
+    function fromHash(hash) {
+        const state = defaults();
+        const problems = [];
+        const replaced = [];
+        const text = (hash || '').replace(/^#/, '');
+
+        if (text.trim() === '') {
+            return { state, empty: true, problems, replaced };
+        }
+
+        const query = new URLSearchParams(text);
+
+        // Function and its parameters
+        const functionKey = query.get('f');
+        let paramConfigs = MathFunctions[state.currentFunction].params || {};
+        if (functionKey && Object.prototype.hasOwnProperty.call(MathFunctions, functionKey)) {
+            state.currentFunction = functionKey;
+            state.params = defaultParams(functionKey);
+            paramConfigs = MathFunctions[functionKey].params || {};
+        } else {
+            problems.push('function');
+        }
+
+        // A custom expression brings its own parameters, one per free symbol, each with its slider range,
+        // and the definitions it uses. These are installed to parse it, and only join this browser's
+        // library once the expression has been accepted
+        if (state.currentFunction === 'custom') {
+            const linked = query.getAll('def');
+            let staged = null;
+            if (linked.length > 0) {
+                staged = DefinitionLibrary.stage(linked);
+                if (staged.valid) {
+                    state.definitions = linked;
+                } else {
+                    problems.push('definitions');
+                    staged = null;
+                }
+            }
+
+            const expression = query.get('expr') || '';
+            const parsed = ExpressionParser.parse(ExpressionParser.normalize(expression), { parameters: true });
+            if (parsed.valid) {
+                state.customExpression = expression;
+                for (const key of parsed.parameters) {
+                    const range = readRange(query, 'r.' + key);
+                    if (range) {
+                        state.customParams[key] = range;
+                    } else if (range === undefined) {
+                        problems.push(`parameter ${key} range`);
+                    }
+                }
+                paramConfigs = customParamConfigs(parsed.parameters, state.customParams);
+                state.customParams = Object.fromEntries(Object.entries(paramConfigs)
+                    .map(([key, { min, max, step }]) => [key, { min, max, step }]));
+                if (staged) {
+                    staged.save();
+                    replaced.push(...staged.replaced);
+                }
+            } else {
+                problems.push('custom expression');
+                paramConfigs = {};
+                state.definitions = [];
+                if (staged) staged.discard();
+            }
+            state.params = {};
+            for (const [key, config] of Object.entries(paramConfigs)) {
+                state.params[key] = config.default;
+            }
+        }
+
+        for (const [key, config] of Object.entries(paramConfigs)) {
+            const value = readNumber(query, 'p.' + key);
+            if (value !== null && !isNaN(value) && value >= config.min && value <= config.max) {
+                state.params[key] = value;
+            } else {
+                problems.push(`parameter ${key}`);
+            }
+        }
+
+        // X range is validated as a pair so a bad bound cannot invert the axis
+        const xMin = readNumber(query, 'xmin');
+        const xMax = readNumber(query, 'xmax');
+        if (xMin !== null && xMax !== null && !isNaN(xMin) && !isNaN(xMax) && xMin < xMax) {
+            state.xMin = xMin;
+            state.xMax = xMax;
+        } else {
+            problems.push('X range');
+        }
+
+        // An explicit Y range is optional; without one the Y fit applies
+        const yMin = readNumber(query, 'ymin');
+        const yMax = readNumber(query, 'ymax');
+        if (yMin !== null || yMax !== null) {
+            if (yMin !== null && yMax !== null && !isNaN(yMin) && !isNaN(yMax) && yMin < yMax) {
+                state.yRange = { yMin, yMax };
+            } else {
+                problems.push('Y range');
+            }
+        }
+
+        // Scales came later too: a missing one stays linear. A log axis only holds positive values
+        const scales = { xscale: ['xScale', 'X scale'], yscale: ['yScale', 'Y scale'] };
+        for (const [key, [field, name]] of Object.entries(scales)) {
+            if (!query.has(key)) continue;
+            if (SCALES.includes(query.get(key))) {
+                state[field] = query.get(key);
+            } else {
+                problems.push(name);
+            }
+        }
+        if (state.xScale === 'log' && state.xMin <= 0) {
+            state.xScale = 'linear';
+            problems.push('X scale');
+        }
+        if (state.yScale === 'log' && state.yRange && state.yRange.yMin <= 0) {
+            state.yRange = null;
+            problems.push('Y range');
+        }
+
+        const numPoints = readNumber(query, 'n');
+        if (Number.isInteger(numPoints) && numPoints >= NUM_POINTS_RANGE.min && numPoints <= NUM_POINTS_RANGE.max) {
+            state.numPoints = numPoints;
+        } else {
+            problems.push('sample points');
+        }
+
+        const ySquash = readNumber(query, 'fit');
+        if (ySquash === 0 || ySquash === 1 || ySquash === 2) {
+            state.ySquash = ySquash;
+        } else {
+            problems.push('Y fit');
+        }
+
+        const colorMode = query.get('color');
+        if (COLOR_MODES.includes(colorMode)) {
+            state.lineColorMode = colorMode;
+        } else {
+            problems.push('line colors');
+        }
+
+        if (query.has('layout')) {
+            if (LAYOUTS.includes(query.get('layout'))) {
+                state.axisLayout = query.get('layout');
+            } else {
+                problems.push('axis layout');
+            }
+        }
+
+        const flags = {
+            grid: 'showGrid',
+            points: 'showPoints',
+            continuous: 'continuousMode',
+            derivative: 'showDerivative',
+            integral: 'showIntegral'
+        };
+        for (const [key, field] of Object.entries(flags)) {
+            const value = readFlag(query, key);
+            if (typeof value === 'boolean') {
+                state[field] = value;
+            } else {
+                problems.push(key);
+            }
+        }
+
+        // Added after the first shared links, so a link without them just keeps the defaults
+        const laterFlags = {
+            envelope: 'showEnvelope',
+            features: 'showFeatures'
+        };
+        for (const [key, field] of Object.entries(laterFlags)) {
+            const value = readFlag(query, key);
+            if (typeof value === 'boolean') {
+                state[field] = value;
+            } else if (value !== null) {
+                problems.push(key);
+            }
+        }
+
+        // Also later: a link without a derivative order shows f' only
+        if (query.has('dorder')) {
+            const order = readNumber(query, 'dorder');
+            if (Number.isInteger(order) && order >= 1 && order <= DERIVATIVE_ORDERS) {
+                state.derivativeOrder = order;
+            } else {
+                problems.push('derivative order');
+            }
+        }
+
+        // Integral limits came later as well; b below a is allowed and flips the sign
+        const integralLower = readNumber(query, 'ia');
+        const integralUpper = readNumber(query, 'ib');
+        if (integralLower !== null || integralUpper !== null) {
+            if (integralLower !== null && integralUpper !== null && !isNaN(integralLower) && !isNaN(integralUpper)) {
+                state.integralLower = integralLower;
+                state.integralUpper = integralUpper;
+            } else {
+                problems.push('integral limits');
+            }
+        }
+
+        return { state, empty: false, problems, replaced };
+    }
+
+    // Public API
+    return {
+        defaults: defaults,
+        toHash: toHash,
+        fromHash: fromHash
+    };
+})();
+
+// Export for use in main.js
+window.VisualizerState = VisualizerState;
@@ -0,0 +1,327 @@
+/**
+ * SVG Context for Parallel Axes Visualizer
+ * Implements the subset of CanvasRenderingContext2D used by the renderers and records
+ * every call as SVG elements, so render() and renderCartesian() can draw vector output
+ */
+
+class SvgGradient {
+    constructor(id, x0, y0, x1, y1) {
+        this.id = id;
+        this.coords = { x0, y0, x1, y1 };
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+class SvgContext {
+    /**
+     * @param {number} width - Drawing width in CSS pixels
+     * @param {number} height - Drawing height in CSS pixels
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+
+        // Drawing state (mirrors the canvas API)
+        this.strokeStyle = '#000000';
+        this.fillStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.lineDash = [];
+        this.transform = [1, 0, 0, 1, 0, 0]; // a, b, c, d, e, f
+        this.clipId = null;
+
+        this.stateStack = [];
+        this.path = '';
+        this.elements = [];
+        this.gradients = [];
+        this.clipPaths = [];
+    }
+
+    // ===== State =====
+
+    save() {
+        this.stateStack.push({
+            strokeStyle: this.strokeStyle,
+            fillStyle: this.fillStyle,
+            lineWidth: this.lineWidth,
+            lineCap: this.lineCap,
+            lineJoin: this.lineJoin,
+            globalAlpha: this.globalAlpha,
+            font: this.font,
+            textAlign: this.textAlign,
+            lineDash: [...this.lineDash],
+            transform: [...this.transform],
+            clipId: this.clipId
+        });
+    }
+
+    restore() {
+        const state = this.stateStack.pop();
+        if (state) Object.assign(this, state);
+    }
+
+    setLineDash(segments) {
+        this.lineDash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.lineDash];
+    }
+
+    // ===== Transforms =====
+
+    multiply(a2, b2, c2, d2, e2, f2) {
+        const [a, b, c, d, e, f] = this.transform;
+        this.transform = [
+            a * a2 + c * b2,
+            b * a2 + d * b2,
+            a * c2 + c * d2,
+            b * c2 + d * d2,
+            a * e2 + c * f2 + e,
+            b * e2 + d * f2 + f
+        ];
+    }
+
+    translate(x, y) {
+        this.multiply(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.multiply(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.multiply(cos, sin, -sin, cos, 0, 0);
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.transform = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.transform = [1, 0, 0, 1, 0, 0];
+    }
+
+    // Apply the current transform to a point
+    point(x, y) {
+        const [a, b, c, d, e, f] = this.transform;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    // Uniform scale factor of the current transform (for radii and line widths)
+    scaleFactor() {
+        const [a, b, c, d] = this.transform;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    // ===== Paths =====
+
+    beginPath() {
+        this.path = '';
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this.point(x, y);
+        this.path += `M${this.num(px)} ${this.num(py)}`;
+    }
+
+    lineTo(x, y) {
+        const [px, py] = this.point(x, y);
+        this.path += (this.path ? 'L' : 'M') + `${this.num(px)} ${this.num(py)}`;
+    }
+
+    closePath() {
+        if (this.path) this.path += 'Z';
+    }
+
+    rect(x, y, w, h) {
+        this.moveTo(x, y);
+        this.lineTo(x + w, y);
+        this.lineTo(x + w, y + h);
+        this.lineTo(x, y + h);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        const r = radius * this.scaleFactor();
+        const sweep = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+
+        const [sx, sy] = this.point(x + radius * Math.cos(startAngle), y + radius * Math.sin(startAngle));
+        this.path += (this.path ? 'L' : 'M') + `${this.num(sx)} ${this.num(sy)}`;
+
+        // Full circle: two half arcs, since a single SVG arc cannot close on itself
+        if (sweep >= Math.PI * 2 - 1e-9) {
+            const [ox, oy] = this.point(x - radius * Math.cos(startAngle), y - radius * Math.sin(startAngle));
+            this.path += `A${this.num(r)} ${this.num(r)} 0 1 1 ${this.num(ox)} ${this.num(oy)}`;
+            this.path += `A${this.num(r)} ${this.num(r)} 0 1 1 ${this.num(sx)} ${this.num(sy)}`;
+            return;
+        }
+
+        const [ex, ey] = this.point(x + radius * Math.cos(endAngle), y + radius * Math.sin(endAngle));
+        const largeArc = ((sweep % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2) > Math.PI ? 1 : 0;
+        const sweepFlag = counterclockwise ? 0 : 1;
+        this.path += `A${this.num(r)} ${this.num(r)} 0 ${largeArc} ${sweepFlag} ${this.num(ex)} ${this.num(ey)}`;
+    }
+
+    // Intersect the clip region with the current path; nested clips chain their clipPaths
+    clip() {
+        if (!this.path) return;
+        const id = `clip${this.clipPaths.length + 1}`;
+        this.clipPaths.push({ id, path: this.path, parent: this.clipId });
+        this.clipId = id;
+    }
+
+    // ===== Drawing =====
+
+    stroke() {
+        if (!this.path) return;
+        const paint = this.paint(this.strokeStyle);
+        const dash = this.lineDash.length > 0
+            ? ` stroke-dasharray="${this.lineDash.map(v => this.num(v * this.scaleFactor())).join(' ')}"`
+            : '';
+        this.elements.push(
+            `<path d="${this.path}" fill="none" stroke="${paint.color}"` +
+            ` stroke-opacity="${this.num(paint.opacity * this.globalAlpha)}"` +
+            ` stroke-width="${this.num(this.lineWidth * this.scaleFactor())}"` +
+            ` stroke-linecap="${this.lineCap}" stroke-linejoin="${this.lineJoin}"${dash}${this.clipAttr()}/>`
+        );
+    }
+
+    fill() {
+        if (!this.path) return;
+        const paint = this.paint(this.fillStyle);
+        this.elements.push(
+            `<path d="${this.path}" fill="${paint.color}" fill-opacity="${this.num(paint.opacity * this.globalAlpha)}"${this.clipAttr()}/>`
+        );
+    }
+
+    fillRect(x, y, w, h) {
+        const path = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.fill();
+        this.path = path;
+    }
+
+    strokeRect(x, y, w, h) {
+        const path = this.path;
+        this.beginPath();
+        this.rect(x, y, w, h);
+        this.stroke();
+        this.path = path;
+    }
+
+    // Clearing the whole surface discards everything drawn so far, like a canvas would
+    clearRect(x, y, w, h) {
+        const [x0, y0] = this.point(x, y);
+        const [x1, y1] = this.point(x + w, y + h);
+        if (x0 <= 0 && y0 <= 0 && x1 >= this.width && y1 >= this.height) {
+            this.elements = [];
+        }
+    }
+
+    fillText(text, x, y) {
+        const paint = this.paint(this.fillStyle);
+        const font = this.parseFont(this.font);
+        const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const [a, b, c, d, e, f] = this.transform;
+
+        this.elements.push(
+            `<text x="${this.num(x)}" y="${this.num(y)}" transform="matrix(${[a, b, c, d, e, f].map(v => this.num(v)).join(' ')})"` +
+            ` fill="${paint.color}" fill-opacity="${this.num(paint.opacity * this.globalAlpha)}"` +
+            ` font-family="${this.escape(font.family)}" font-size="${font.size}" font-weight="${font.weight}"` +
+            ` text-anchor="${anchor}"${this.clipAttr()}>${this.escape(String(text))}</text>`
+        );
+    }
+
+    measureText(text) {
+        return { width: String(text).length * this.parseFont(this.font).size * 0.6 };
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        const [px0, py0] = this.point(x0, y0);
+        const [px1, py1] = this.point(x1, y1);
+        const gradient = new SvgGradient(`grad${this.gradients.length + 1}`, px0, py0, px1, py1);
+        this.gradients.push(gradient);
+        return gradient;
+    }
+
+    // ===== Output =====
+
+    /**
+     * Serialize everything drawn so far
+     * @returns {string} - A standalone SVG document
+     */
+    toString() {
+        const defs = this.gradients.map((g) => {
+            const stops = g.stops.map((s) => {
+                const paint = this.paint(s.color);
+                return `<stop offset="${s.offset}" stop-color="${paint.color}" stop-opacity="${paint.opacity}"/>`;
+            }).join('');
+            const { x0, y0, x1, y1 } = g.coords;
+            return `<linearGradient id="${g.id}" gradientUnits="userSpaceOnUse" x1="${this.num(x0)}" y1="${this.num(y0)}"` +
+                ` x2="${this.num(x1)}" y2="${this.num(y1)}">${stops}</linearGradient>`;
+        }).join('') + this.clipPaths.map(c =>
+            `<clipPath id="${c.id}"${c.parent ? ` clip-path="url(#${c.parent})"` : ''}><path d="${c.path}"/></clipPath>`
+        ).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}"` +
+            ` viewBox="0 0 ${this.width} ${this.height}">` +
+            (defs ? `<defs>${defs}</defs>` : '') +
+            this.elements.join('\n') +
+            '</svg>';
+    }
+
+    // ===== Helpers =====
+
+    num(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    clipAttr() {
+        return this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+    }
+
+    escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Convert a canvas color or gradient to an SVG paint
+     * @returns {Object} - { color, opacity }
+     */
+    paint(style) {
+        if (style instanceof SvgGradient) {
+            return { color: `url(#${style.id})`, opacity: 1 };
+        }
+
+        const rgba = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(style);
+        if (rgba) {
+            return { color: `rgb(${rgba[1]}, ${rgba[2]}, ${rgba[3]})`, opacity: parseFloat(rgba[4]) };
+        }
+
+        return { color: style, opacity: 1 };
+    }
+
+    // Parse a CSS font shorthand such as "600 14px Inter, sans-serif"
+    parseFont(font) {
+        const match = /^(?:(\S+)\s+)?([\d.]+)px\s+(.+)$/.exec(font.trim());
+        if (!match) {
+            return { weight: 'normal', size: 10, family: 'sans-serif' };
+        }
+        return { weight: match[1] || 'normal', size: parseFloat(match[2]), family: match[3] };
+    }
+}
+
+// Export for use in main.js
+window.SvgContext = SvgContext;
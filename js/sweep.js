@@ -0,0 +1,90 @@
+/**
+ * Parameter Sweep Module for Parallel Axes Visualizer
+ * Keyframe interpolation and timing for animating function parameters
+ */
+
+const ParameterSweep = (function () {
+    // Easing curves on [0, 1], applied to each segment between two keyframes
+    const EASINGS = {
+        linear: t => t,
+        easeIn: t => t * t * t,
+        easeOut: t => 1 - Math.pow(1 - t, 3),
+        easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+    };
+
+    const REPEAT_MODES = ['once', 'loop', 'pingpong'];
+
+    /**
+     * Map elapsed time to a position on the timeline
+     * @param {number} elapsed - Seconds since the start of the sweep
+     * @param {number} duration - Seconds for one pass over the keyframes
+     * @param {string} repeat - 'once', 'loop' or 'pingpong'
+     * @returns {Object} - { position: 0..1, done: true once a 'once' sweep reached the end }
+     */
+    function timelinePosition(elapsed, duration, repeat) {
+        const cycles = Math.max(0, elapsed / duration);
+
+        if (repeat === 'loop') {
+            return { position: cycles % 1, done: false };
+        }
+        if (repeat === 'pingpong') {
+            const phase = cycles % 2;
+            return { position: phase <= 1 ? phase : 2 - phase, done: false };
+        }
+        return { position: Math.min(cycles, 1), done: cycles >= 1 };
+    }
+
+    /**
+     * Parameter values at a timeline position
+     * @param {Array} keyframes - [{ at: 0..1, params: { key: value } }], sorted by at
+     * @param {number} position - Timeline position, 0..1
+     * @param {string} easing - Key of EASINGS
+     * @returns {Object} - Interpolated params (those of the nearest keyframe outside the keyed span)
+     */
+    function interpolate(keyframes, position, easing = 'linear') {
+        if (keyframes.length === 0) return {};
+
+        const first = keyframes[0];
+        const last = keyframes[keyframes.length - 1];
+        if (position <= first.at) return { ...first.params };
+        if (position >= last.at) return { ...last.params };
+
+        let i = 0;
+        while (i < keyframes.length - 2 && position > keyframes[i + 1].at) i++;
+
+        const from = keyframes[i];
+        const to = keyframes[i + 1];
+        const span = to.at - from.at;
+        const t = (EASINGS[easing] || EASINGS.linear)(span > 0 ? (position - from.at) / span : 1);
+
+        const params = {};
+        for (const key of Object.keys(from.params)) {
+            params[key] = from.params[key] + (to.params[key] - from.params[key]) * t;
+        }
+        return params;
+    }
+
+    /**
+     * Order keyframes by time, keeping insertion order for equal times
+     * @param {Array} keyframes - [{ at, params }]
+     * @returns {Array} - A sorted copy
+     */
+    function sortKeyframes(keyframes) {
+        return keyframes
+            .map((keyframe, index) => ({ keyframe, index }))
+            .sort((a, b) => a.keyframe.at - b.keyframe.at || a.index - b.index)
+            .map(entry => entry.keyframe);
+    }
+
+    // Public API
+    return {
+        EASINGS: EASINGS,
+        REPEAT_MODES: REPEAT_MODES,
+        timelinePosition: timelinePosition,
+        interpolate: interpolate,
+        sortKeyframes: sortKeyframes
+    };
+})();
+
+// Export for use in main.js
+window.ParameterSweep = ParameterSweep;
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Headless sampling for Parallel Axes Visualizer
+ * Runs the same computation core as the browser and prints the result as JSON or CSV,
+ * for batch figures and numeric regression checks.
+ *
+ * Usage:
+ *   node scripts/sample.js <function> [param=value ...] [options]
+ *   node scripts/sample.js --expr="x * sin(x)" [options]
+ *   node scripts/sample.js --expr="a * sin(b * x)" a=2 b=0.5 [options]
+ *
+ * Options:
+ *   --x=<min>:<max>   Domain (default -5:5)
+ *   --n=<count>       Sample points (default 25)
+ *   --fit=<0|1|2>     Y range: 0 standard, 1 min/max, 2 symmetric (default 0)
+ *   --xscale=<scale>  X axis scale: linear, log or symlog (default linear); samples are even along it
+ *   --yscale=<scale>  Y axis scale, used to fit the Y range (a log range stays above 0)
+ *   --csv             Print one CSV row per point instead of JSON
+ *
+ * The JSON output includes "breaks": poles, jumps and domain gaps found by adaptive sampling.
+ *
+ * Examples:
+ *   node scripts/sample.js quadraticFull a=-0.5 --x=-3:3 --fit=2
+ *   node scripts/sample.js --expr="1/x" --n=100 --csv > reciprocal.csv
+ *   node scripts/sample.js exp --x=0.01:10 --xscale=log --yscale=log --fit=1
+ *
+ * Built-in functions need nothing else; --expr needs the mathjs package (npm install mathjs).
+ */
+
+const path = require('path');
+const AxesCore = require(path.join(__dirname, '..', 'js', 'core.js'));
+
+function parseArgs(argv) {
+    const spec = {};
+    const options = {};
+    let csv = false;
+
+    for (const arg of argv) {
+        const option = /^--(\w+)(?:=(.*))?$/.exec(arg);
+        if (option) {
+            const [, name, value] = option;
+            if (name === 'expr') {
+                spec.expression = value;
+            } else if (name === 'x') {
+                const [min, max] = (value || '').split(':').map(Number);
+                options.xMin = min;
+                options.xMax = max;
+            } else if (name === 'n') {
+                options.numPoints = Number(value);
+            } else if (name === 'fit') {
+                options.ySquash = Number(value);
+            } else if (name === 'xscale') {
+                options.xScale = value;
+            } else if (name === 'yscale') {
+                options.yScale = value;
+            } else if (name === 'csv') {
+                csv = true;
+            } else {
+                throw new Error(`Unknown option --${name}`);
+            }
+        } else if (arg.includes('=')) {
+            const [key, value] = arg.split('=');
+            spec.params = spec.params || {};
+            spec.params[key] = Number(value);
+        } else {
+            spec.function = arg;
+        }
+    }
+
+    return { spec, options, csv };
+}
+
+function toCSV(result) {
+    const columns = ['index', 'x', 'y', 'slope', 'normalizedSlope', 'outOfRange', 'isDiscontinuous'];
+    const rows = result.points.map(point =>
+        columns.map(column => (column === 'isDiscontinuous' ? Boolean(point[column]) : point[column])).join(','));
+    return [columns.join(','), ...rows].join('\n');
+}
+
+function main() {
+    const { spec, options, csv } = parseArgs(process.argv.slice(2));
+    if (!spec.function && spec.expression === undefined) {
+        console.error('Usage: node scripts/sample.js <function> [param=value ...] [--x=min:max] [--n=count] [--fit=0|1|2] [--xscale=s] [--yscale=s] [--csv]');
+        console.error('       node scripts/sample.js --expr="x^2" [options]');
+        process.exit(2);
+    }
+
+    const result = AxesCore.computeSeries(spec, options);
+
+    if (csv) {
+        console.log(toCSV(result));
+    } else {
+        // Segments repeat the adaptive samples; the breaks summarize them
+        const { segments, ...summary } = result;
+        console.log(JSON.stringify({ spec, options, ...summary }, null, 2));
+    }
+}
+
+try {
+    main();
+} catch (e) {
+    console.error('Error: ' + e.message);
+    process.exit(1);
+}